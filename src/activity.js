@@ -0,0 +1,185 @@
+import { getDomain } from "./domains.js";
+import { getLockedGroupTitles, getManagedGroupName, getOwnership, isManagedGroup, isManagedMembership } from "./ownership.js";
+import {
+    findMatchingRule, getGroupNameForUrl, getGroupRules, getGroupingOptions, getGroupingStrategy, getMinGroupSize,
+    isTabGroupable, ruleNamesTitle
+} from "./rules.js";
+import { LocalStorageManager } from "./storage.js";
+
+// Every group, ungroup, move, rename and recolor the extension makes is logged in local storage with the
+// event that triggered it and the mapping behind the group, so grouping mistakes can be traced and the log
+// attached to bug reports. Entries are { time, trigger, action, tabIds, groupId, windowId?, groupName?,
+// title?, color?, previousTitle?, rule?, reason?, label?, error? }, oldest first.
+export const ACTIVITY_LOG_KEY = "activityLog";
+
+// Most entries kept; older ones are dropped first
+export const MAX_ACTIVITY_ENTRIES = 500;
+
+// Version of the exported log document; bump it when the entry format changes
+export const ACTIVITY_LOG_VERSION = 1;
+
+// What set off the work currently running, such as "tab loaded"; set by the operation queue
+let currentTrigger = null;
+
+// Writes run one after another, so concurrent entries aren't lost
+let logWrite = Promise.resolve();
+
+export function setActivityTrigger(trigger) {
+    currentTrigger = trigger;
+}
+
+// Append entries to the log, stamped with the time and the current trigger
+export function recordActivity(entries) {
+    const stamped = [].concat(entries).map(entry => ({ time: Date.now(), trigger: currentTrigger, ...entry }));
+    logWrite = logWrite
+        .then(async () => {
+            const log = await LocalStorageManager.get(ACTIVITY_LOG_KEY, []);
+            log.push(...stamped);
+            await LocalStorageManager.set(ACTIVITY_LOG_KEY, log.slice(-MAX_ACTIVITY_ENTRIES));
+        })
+        .catch(error => console.error("Error recording activity:", error));
+    return logWrite;
+}
+
+export async function getActivityLog() {
+    return await LocalStorageManager.get(ACTIVITY_LOG_KEY, []);
+}
+
+// The mapping a rule is shown and logged as
+function describeRule(rule) {
+    return { id: rule.id, type: rule.type, pattern: rule.pattern, groupName: rule.groupName };
+}
+
+// Action an operation is logged as: creating a group is "group", and an update is a rename or a recolor
+function operationAction(operation) {
+    if (operation.type === "create") return "group";
+    if (operation.type === "update") return operation.title === operation.previousTitle ? "recolor" : "rename";
+    return operation.type;
+}
+
+// Log grouping operations once applied, with the mapping that names each group. Joins only carry the
+// group's title, so their name comes from the ownership record.
+export async function recordGroupingOperations(operations) {
+    if (operations.length === 0) return;
+
+    const [groupRules, ownership] = await Promise.all([getGroupRules(), getOwnership()]);
+    await recordActivity(operations.map(operation => {
+        const groupName = operation.groupName ||
+            (operation.type === "join" ? getManagedGroupName({ id: operation.groupId, title: operation.title }, ownership) : null);
+        const rule = groupName ? groupRules.find(candidate => ruleNamesTitle(candidate, groupName)) : null;
+        return {
+            action: operationAction(operation),
+            tabIds: operation.tabIds || [],
+            groupId: operation.groupId ?? null,
+            ...(operation.windowId !== undefined ? { windowId: operation.windowId } : {}),
+            ...(groupName ? { groupName } : {}),
+            ...(operation.title !== undefined ? { title: operation.title } : {}),
+            ...(operation.color ? { color: operation.color } : {}),
+            ...(operation.previousTitle !== undefined ? { previousTitle: operation.previousTitle } : {}),
+            rule: rule ? describeRule(rule) : null,
+            ...(operation.reason ? { reason: operation.reason } : {})
+        };
+    }));
+}
+
+// Describe a log entry in a line of text
+export function describeActivity(entry) {
+    const tabCount = `${entry.tabIds.length} ${entry.tabIds.length === 1 ? "tab" : "tabs"}`;
+    const rule = entry.rule ? ` by mapping ${entry.rule.type} ${entry.rule.pattern}` : "";
+    let text;
+    switch (entry.action) {
+        case "group":
+            text = `Grouped ${tabCount} as "${entry.title}"${rule}`;
+            break;
+        case "join":
+            text = `Added ${tabCount} to "${entry.title}"${rule}`;
+            break;
+        case "move":
+            text = `Moved ${tabCount} to window ${entry.windowId}`;
+            break;
+        case "ungroup":
+            text = `Ungrouped ${tabCount}`;
+            break;
+        case "rename":
+            text = `Renamed "${entry.previousTitle}" to "${entry.title}"${rule}`;
+            break;
+        case "recolor":
+            text = `Recolored "${entry.title}" ${entry.color}`;
+            break;
+        case "undo":
+            text = `Undid "${entry.label}" for ${tabCount}`;
+            break;
+        case "redo":
+            text = `Redid "${entry.label}" for ${tabCount}`;
+            break;
+        case "error":
+            text = `Failed: ${entry.error}`;
+            break;
+        default:
+            text = entry.action;
+    }
+    if (entry.reason) text += ` (${entry.reason})`;
+    return entry.trigger ? `${text}, on ${entry.trigger}` : text;
+}
+
+// The log as a versioned JSON document for bug reports
+export async function exportActivityLog() {
+    return {
+        schemaVersion: ACTIVITY_LOG_VERSION,
+        exportedAt: new Date().toISOString(),
+        entries: await getActivityLog()
+    };
+}
+
+// Explain in lines of text why a tab is in its group, or why it isn't in one: who made the group, which
+// mapping names it, what grouping would do with the tab now, and the logged actions that touched it
+export async function explainTab(tabId) {
+    const tab = await chrome.tabs.get(tabId);
+    const [groupRules, options, strategy, ownership, lockedTitles, log] = await Promise.all([
+        getGroupRules(),
+        getGroupingOptions(),
+        getGroupingStrategy(),
+        getOwnership(),
+        getLockedGroupTitles(),
+        getActivityLog()
+    ]);
+    const lines = [];
+
+    if (tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) {
+        lines.push("This tab isn't in a group.");
+    } else {
+        const group = await chrome.tabGroups.get(tab.groupId);
+        if (lockedTitles.includes(group.title)) {
+            lines.push(`This tab is in "${group.title}", a locked group the extension never changes.`);
+        } else if (isManagedGroup(group, ownership, lockedTitles)) {
+            lines.push(`This tab is in "${group.title}", which the extension created for "${getManagedGroupName(group, ownership)}".`);
+        } else {
+            lines.push(`This tab is in "${group.title}", a group you made or took over, which the extension leaves alone.`);
+        }
+        lines.push(isManagedMembership(tab, ownership)
+            ? "The extension put it there."
+            : "You put it there, so the extension won't move it.");
+    }
+
+    if (!isTabGroupable(tab, options)) {
+        lines.push("Its page is pinned, ignored or excluded from grouping, so it is never grouped.");
+    } else if (strategy === "content") {
+        lines.push("Tabs are grouped by content, so it goes with tabs on similar topics.");
+    } else {
+        const rule = findMatchingRule(tab.url, groupRules);
+        const groupName = await getGroupNameForUrl(tab.url, groupRules);
+        lines.push(rule
+            ? `Mapping ${rule.type} ${rule.pattern} puts it in "${groupName}".`
+            : `No mapping matches, so it is named after its domain ${await getDomain(tab.url)}: "${groupName}".`);
+        if (tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE && groupName) {
+            lines.push(`"${groupName}" is only created once ${getMinGroupSize(groupName, groupRules, options)} tabs share it.`);
+        }
+    }
+
+    const history = log.filter(entry => entry.tabIds.includes(tabId)).slice(-5);
+    if (history.length) {
+        lines.push("Recent activity:");
+        history.forEach(entry => lines.push(`${new Date(entry.time).toLocaleTimeString()} ${describeActivity(entry)}`));
+    }
+    return lines;
+}
@@ -0,0 +1,283 @@
+import { chooseGroupColor, COLOR_PALETTE } from "./colors.js";
+import { updateExistingGroups } from "./grouping.js";
+import { moveTabToGroup } from "./menus.js";
+import { getLockedGroupTitles, getManagedGroupName, getOwnership, isManagedGroup } from "./ownership.js";
+import { getGroupTitle } from "./planner.js";
+import { runQueued } from "./queue.js";
+import { applyGroupingOperations } from "./reconciler.js";
+import { createRuleId, getGroupRules, getGroupingOptions, ruleKey, validateRules } from "./rules.js";
+import { SessionStorageManager, StorageManager } from "./storage.js";
+import { DEBUG_MODE } from "./utils.js";
+
+// Request/response protocol for other extensions, received through runtime.onMessageExternal from the
+// extensions listed under allowedExtensionIds in sync storage. Requests are
+// { apiVersion, requestId?, action, params? } and every one gets a response
+// { apiVersion, requestId, ok: true, result } or { apiVersion, requestId, ok: false, error: { code, message } }.
+// Subscribers receive events as { apiVersion, event, data, time } through runtime.sendMessage.
+export const API_VERSION = 1;
+
+// Error codes a response may carry
+export const API_ERRORS = {
+    FORBIDDEN: "FORBIDDEN", // The sending extension isn't allowed
+    UNSUPPORTED_VERSION: "UNSUPPORTED_VERSION", // apiVersion is missing or newer than API_VERSION
+    BAD_REQUEST: "BAD_REQUEST", // The request isn't an object with an action
+    UNKNOWN_ACTION: "UNKNOWN_ACTION",
+    INVALID_PARAMS: "INVALID_PARAMS",
+    NOT_FOUND: "NOT_FOUND", // A tab, group or window in the request doesn't exist
+    INTERNAL_ERROR: "INTERNAL_ERROR"
+};
+
+// Events other extensions can subscribe to
+export const API_EVENTS = ["groupCreated", "groupUpdated", "groupRemoved", "mappingsChanged"];
+
+// Session storage key of the subscriptions, as { [extensionId]: [event] }
+const SUBSCRIPTIONS_KEY = "apiSubscriptions";
+
+// Failure carrying one of API_ERRORS, reported to the caller as is
+function apiError(code, message) {
+    return Object.assign(new Error(message), { apiCode: code });
+}
+
+function requireParam(condition, message) {
+    if (!condition) throw apiError(API_ERRORS.INVALID_PARAMS, message);
+}
+
+export async function getAllowedExtensionIds() {
+    return await StorageManager.get("allowedExtensionIds", []);
+}
+
+// A group as other extensions see it
+function describeGroup(group, { tabs = [], ownership, lockedTitles }) {
+    const managed = isManagedGroup(group, ownership, lockedTitles);
+    return {
+        id: group.id,
+        windowId: group.windowId,
+        title: group.title,
+        color: group.color,
+        collapsed: group.collapsed,
+        managed,
+        locked: lockedTitles.includes(group.title),
+        groupName: managed ? getManagedGroupName(group, ownership) : null,
+        tabIds: tabs.filter(tab => tab.groupId === group.id).map(tab => tab.id)
+    };
+}
+
+async function listGroups({ windowId } = {}) {
+    requireParam(windowId === undefined || Number.isInteger(windowId), "windowId must be a window id");
+    const query = windowId === undefined ? {} : { windowId };
+    const [groups, tabs, ownership, lockedTitles] = await Promise.all([
+        chrome.tabGroups.query(query),
+        chrome.tabs.query(query),
+        getOwnership(),
+        getLockedGroupTitles()
+    ]);
+    return groups.map(group => describeGroup(group, { tabs, ownership, lockedTitles }));
+}
+
+async function getMappings() {
+    const { groupRules = [], groupColors = {} } = await StorageManager.getMany(["groupRules", "groupColors"]);
+    return { groupRules, groupColors };
+}
+
+// Replace the mappings, or merge them in by type and pattern. Rules that already exist keep their ids;
+// the background's settings listener regroups with the new set.
+async function setMappings({ groupRules, groupColors, mode = "replace" } = {}) {
+    requireParam(mode === "replace" || mode === "merge", 'mode must be "replace" or "merge"');
+    requireParam(Array.isArray(groupRules), "groupRules must be an array");
+    const { rules, errors } = validateRules(groupRules);
+    requireParam(groupColors === undefined || (groupColors && typeof groupColors === "object" && !Array.isArray(groupColors)),
+        "groupColors must be an object");
+    for (const [groupName, color] of Object.entries(groupColors || {})) {
+        if (!COLOR_PALETTE.includes(color)) errors.push(`groupColors["${groupName}"]: unknown color "${color}"`);
+    }
+    requireParam(errors.length === 0, errors.join("; "));
+
+    const current = await getMappings();
+    const currentByKey = new Map(current.groupRules.map(rule => [ruleKey(rule), rule]));
+    const incoming = rules.map(rule => ({ id: (currentByKey.get(ruleKey(rule)) || {}).id || createRuleId(), ...rule }));
+    const savedRules = mode === "replace"
+        ? incoming
+        : [...current.groupRules.map(rule => incoming.find(candidate => ruleKey(candidate) === ruleKey(rule)) || rule),
+            ...incoming.filter(rule => !currentByKey.has(ruleKey(rule)))];
+    const savedColors = mode === "replace" && groupColors !== undefined
+        ? groupColors
+        : { ...current.groupColors, ...groupColors };
+
+    await StorageManager.setMany({ groupRules: savedRules, groupColors: savedColors });
+    if (DEBUG_MODE) console.debug(`Mappings set by another extension (${mode}): ${incoming.length} rules`);
+    return { ruleCount: savedRules.length };
+}
+
+// Put tabs in the extension's group with a name, in the first tab's window: joining its group there or
+// creating one. Tabs from other windows are moved over first.
+async function groupTabs({ tabIds, groupName } = {}) {
+    requireParam(Array.isArray(tabIds) && tabIds.length > 0 && tabIds.every(Number.isInteger), "tabIds must be a non-empty array of tab ids");
+    requireParam(typeof groupName === "string" && groupName.trim(), "groupName must be a non-empty string");
+
+    const allTabs = await chrome.tabs.query({});
+    const tabs = tabIds.map(tabId => allTabs.find(tab => tab.id === tabId));
+    const missingIndex = tabs.findIndex(tab => !tab);
+    if (missingIndex !== -1) throw apiError(API_ERRORS.NOT_FOUND, `No tab with id ${tabIds[missingIndex]}`);
+
+    const windowId = tabs[0].windowId;
+    const [groups, ownership, lockedTitles, groupRules, options] = await Promise.all([
+        chrome.tabGroups.query({ windowId }),
+        getOwnership(),
+        getLockedGroupTitles(),
+        getGroupRules(),
+        getGroupingOptions()
+    ]);
+    const existingGroup = groups.find(group =>
+        isManagedGroup(group, ownership, lockedTitles) && getManagedGroupName(group, ownership) === groupName);
+
+    const operations = [];
+    const otherWindowTabIds = tabs.filter(tab => tab.windowId !== windowId).map(tab => tab.id);
+    if (otherWindowTabIds.length) operations.push({ type: "move", tabIds: otherWindowTabIds, windowId });
+    if (existingGroup) {
+        const joiningTabIds = tabs.filter(tab => tab.groupId !== existingGroup.id).map(tab => tab.id);
+        if (joiningTabIds.length) operations.push({ type: "join", tabIds: joiningTabIds, groupId: existingGroup.id, title: existingGroup.title });
+    } else {
+        operations.push({
+            type: "create",
+            tabIds,
+            windowId,
+            groupName,
+            title: getGroupTitle(groupName, { count: tabIds.length, groupRules, template: options.titleTemplate }),
+            color: await chooseGroupColor(groupName, { usedColors: groups.map(group => group.color), strategy: options.colorStrategy })
+        });
+    }
+    await applyGroupingOperations(operations);
+
+    // Joining changes the count in the group's title
+    if (existingGroup) await updateExistingGroups(windowId);
+    return { groupId: (await chrome.tabs.get(tabIds[0])).groupId };
+}
+
+async function moveTab({ tabId, title } = {}) {
+    requireParam(Number.isInteger(tabId), "tabId must be a tab id");
+    requireParam(typeof title === "string" && title, "title must be a group title");
+
+    let tab;
+    try {
+        tab = await chrome.tabs.get(tabId);
+    } catch (error) {
+        throw apiError(API_ERRORS.NOT_FOUND, `No tab with id ${tabId}`);
+    }
+    if (!(await chrome.tabGroups.query({ title })).length) throw apiError(API_ERRORS.NOT_FOUND, `No group titled "${title}"`);
+
+    await moveTabToGroup(tab, title);
+    return { groupId: (await chrome.tabs.get(tabId)).groupId };
+}
+
+async function getSubscriptions() {
+    return await SessionStorageManager.get(SUBSCRIPTIONS_KEY);
+}
+
+// Subscribe the sender to events; subscriptions last until the browser closes
+async function subscribe({ events } = {}, senderId) {
+    requireParam(Array.isArray(events) && events.length > 0, "events must be a non-empty array");
+    const unknown = events.filter(event => !API_EVENTS.includes(event));
+    requireParam(unknown.length === 0, `Unknown events: ${unknown.join(", ")}`);
+
+    const subscriptions = await getSubscriptions();
+    subscriptions[senderId] = [...new Set([...(subscriptions[senderId] || []), ...events])];
+    await SessionStorageManager.set(SUBSCRIPTIONS_KEY, subscriptions);
+    return { events: subscriptions[senderId] };
+}
+
+// Unsubscribe the sender from some events, or from all of them
+async function unsubscribe({ events } = {}, senderId) {
+    requireParam(events === undefined || Array.isArray(events), "events must be an array");
+
+    const subscriptions = await getSubscriptions();
+    const remaining = events ? (subscriptions[senderId] || []).filter(event => !events.includes(event)) : [];
+    if (remaining.length) {
+        subscriptions[senderId] = remaining;
+    } else {
+        delete subscriptions[senderId];
+    }
+    await SessionStorageManager.set(SUBSCRIPTIONS_KEY, subscriptions);
+    return { events: remaining };
+}
+
+async function getInfo() {
+    return { apiVersion: API_VERSION, actions: Object.keys(API_ACTIONS), events: API_EVENTS };
+}
+
+// Actions by name. Those that change tabs run on the operation queue, behind any grouping pass.
+const API_ACTIONS = {
+    getInfo: { handler: getInfo },
+    listGroups: { handler: listGroups },
+    getMappings: { handler: getMappings },
+    setMappings: { handler: setMappings },
+    groupTabs: { handler: groupTabs, queued: true },
+    moveTabToGroup: { handler: moveTab, queued: true },
+    subscribe: { handler: subscribe },
+    unsubscribe: { handler: unsubscribe }
+};
+
+// Answer a request from another extension, never throwing: failures become error responses
+export async function handleExternalRequest(request, sender) {
+    const requestId = request && typeof request === "object" ? request.requestId ?? null : null;
+    const respond = fields => ({ apiVersion: API_VERSION, requestId, ...fields });
+    const fail = (code, message) => respond({ ok: false, error: { code, message } });
+
+    // The allowlist read is covered too, so a storage failure still gets an error response
+    try {
+        const allowedIds = await getAllowedExtensionIds();
+        if (!sender || !sender.id || !allowedIds.includes(sender.id)) {
+            return fail(API_ERRORS.FORBIDDEN, "This extension isn't allowed to use the API");
+        }
+        if (!request || typeof request !== "object" || typeof request.action !== "string") {
+            return fail(API_ERRORS.BAD_REQUEST, "Requests must be objects with an action");
+        }
+        if (!Number.isInteger(request.apiVersion) || request.apiVersion < 1 || request.apiVersion > API_VERSION) {
+            return fail(API_ERRORS.UNSUPPORTED_VERSION, `apiVersion must be between 1 and ${API_VERSION}`);
+        }
+        const action = Object.hasOwn(API_ACTIONS, request.action) ? API_ACTIONS[request.action] : null;
+        if (!action) return fail(API_ERRORS.UNKNOWN_ACTION, `Unknown action "${request.action}"`);
+
+        const params = request.params === undefined ? {} : request.params;
+        if (!params || typeof params !== "object" || Array.isArray(params)) {
+            return fail(API_ERRORS.INVALID_PARAMS, "params must be an object");
+        }
+
+        const run = () => action.handler(params, sender.id);
+        const result = await (action.queued ? runQueued(run, "another extension") : run());
+        return respond({ ok: true, result });
+    } catch (error) {
+        if (error.apiCode) return fail(error.apiCode, error.message);
+        console.error("External API request failed:", error);
+        return fail(API_ERRORS.INTERNAL_ERROR, error.message);
+    }
+}
+
+// Allowed extensions subscribed to an event
+async function getSubscribers(event) {
+    const [subscriptions, allowedIds] = await Promise.all([getSubscriptions(), getAllowedExtensionIds()]);
+    return Object.entries(subscriptions)
+        .filter(([extensionId, events]) => events.includes(event) && allowedIds.includes(extensionId))
+        .map(([extensionId]) => extensionId);
+}
+
+// Send an event to every allowed extension subscribed to it. Subscribers that can't be reached, such as
+// disabled extensions, are skipped.
+export async function publishApiEvent(event, data) {
+    const subscribers = await getSubscribers(event);
+    const message = { apiVersion: API_VERSION, event, data, time: Date.now() };
+    await Promise.all(subscribers.map(extensionId => chrome.runtime.sendMessage(extensionId, message).catch(error => {
+        if (DEBUG_MODE) console.debug(`Could not send ${event} to ${extensionId}:`, error.message);
+    })));
+}
+
+// Publish a group event with the group described as listGroups does; a removed group has no tabs left
+export async function publishGroupEvent(event, group) {
+    if ((await getSubscribers(event)).length === 0) return;
+
+    const [tabs, ownership, lockedTitles] = await Promise.all([
+        event === "groupRemoved" ? [] : chrome.tabs.query({ windowId: group.windowId }),
+        getOwnership(),
+        getLockedGroupTitles()
+    ]);
+    await publishApiEvent(event, describeGroup(group, { tabs, ownership, lockedTitles }));
+}
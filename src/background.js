@@ -1,470 +1,969 @@
+// Service worker entry point: wires browser events to the grouping modules, which register no listeners
+// of their own so they can be imported by tests
+import { explainTab } from "./activity.js";
+import { API_ERRORS, API_VERSION, handleExternalRequest, publishApiEvent, publishGroupEvent } from "./api.js";
+import { clearGroupColorCache } from "./colors.js";
+import { handleDuplicates } from "./duplicates.js";
+import { redoOperation, undoOperation, withHistory } from "./history.js";
+import {
+    removeEmptyGroups, ungroupAllTabs, checkAndUngroupTab, updateExistingGroups, adoptExistingGroups,
+    getTargetWindowIds, groupTabs, previewGrouping, orderTabs, ungroupMisplacedTabs, applyTabLimits
+} from "./grouping.js";
+import { closeTabsToRestoreList, updateActionBadge } from "./limits.js";
+import {
+    pendingTabIds, getLockedGroupTitles, trackGroupUpdate, forgetGroup, trackTabGroupChange, releaseTab, releaseHeldTab,
+    setGroupLocked
+} from "./ownership.js";
+import { runQueued, tabOperationQueue } from "./queue.js";
+import { buildContextMenus, handleContextMenuClick } from "./menus.js";
+import { migrateStorage } from "./migrations.js";
+import { DEFAULT_IDLE_POLICY } from "./rules.js";
+import { forgetStatsTab, recordTabsOpened, trackActiveTab, updateActiveTab } from "./stats.js";
+import { StorageManager, LocalStorageManager, SessionStorageManager } from "./storage.js";
+import { DEBUG_MODE, debounce, debounceByKey, setDebugMode } from "./utils.js";
+import {
+    activateWorkspace, applyAutomaticWorkspace, createWorkspace, deleteWorkspace, endWorkspaceSwitch, forgetWindowWorkspace,
+    isWorkspaceSwitchPending, setWindowWorkspace, updateWorkspace
+} from "./workspaces.js";
 
-// Request queue implementation
-class OperationQueue {
-    constructor() {
-        this.queue = [];
-        this.processing = false;
-    }
+// Initialize debug mode from storage
+StorageManager.get("debugMode", false).then(setDebugMode);
 
-    async enqueue(operation) {
-        this.queue.push(operation);
-        if (!this.processing) {
-            await this.processQueue();
-        }
+// Resolve a window id, falling back to the last focused normal window
+async function resolveWindowId(windowId) {
+    if (windowId !== undefined) return windowId;
+    const lastFocused = await chrome.windows.getLastFocused({ windowTypes: ["normal"] });
+    return lastFocused.id;
+}
+
+// Collapse every group in a window except the one holding the active tab
+async function collapseOtherGroups(windowId) {
+    try {
+        const targetWindowId = await resolveWindowId(windowId);
+        const [[activeTab], groups, lockedTitles] = await Promise.all([
+            chrome.tabs.query({ windowId: targetWindowId, active: true }),
+            chrome.tabGroups.query({ windowId: targetWindowId }),
+            getLockedGroupTitles()
+        ]);
+
+        const activeGroupId = activeTab ? activeTab.groupId : chrome.tabGroups.TAB_GROUP_ID_NONE;
+        await Promise.all(groups
+            .filter(group => !lockedTitles.includes(group.title))
+            .filter(group => group.collapsed !== (group.id !== activeGroupId))
+            .map(group => chrome.tabGroups.update(group.id, { collapsed: group.id !== activeGroupId })));
+    } catch (error) {
+        console.error("Error collapsing groups:", error);
     }
+}
 
-    async processQueue() {
-        if (this.processing || this.queue.length === 0) return;
-        
-        this.processing = true;
-        while (this.queue.length > 0) {
-            const operation = this.queue.shift();
-            try {
-                await operation();
-            } catch (error) {
-                console.error('Queue operation failed:', error);
+// Activate the first tab of the next (1) or previous (-1) group after the active tab, wrapping around
+async function focusAdjacentGroup(windowId, direction) {
+    try {
+        const targetWindowId = await resolveWindowId(windowId);
+        const tabs = await chrome.tabs.query({ windowId: targetWindowId });
+        const activeTab = tabs.find(tab => tab.active);
+
+        // First tab of each group, in tab strip order
+        const firstTabs = [];
+        for (const tab of [...tabs].sort((a, b) => a.index - b.index)) {
+            if (tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE && !firstTabs.some(first => first.groupId === tab.groupId)) {
+                firstTabs.push(tab);
             }
         }
-        this.processing = false;
+        if (firstTabs.length === 0) return;
+
+        const currentIndex = activeTab ? firstTabs.findIndex(tab => tab.groupId === activeTab.groupId) : -1;
+        let target;
+        if (currentIndex !== -1) {
+            target = firstTabs[(currentIndex + direction + firstTabs.length) % firstTabs.length];
+        } else {
+            // Active tab is ungrouped: pick the nearest group in the requested direction
+            const activeIndex = activeTab ? activeTab.index : -1;
+            target = direction > 0
+                ? firstTabs.find(tab => tab.index > activeIndex) || firstTabs[0]
+                : [...firstTabs].reverse().find(tab => tab.index < activeIndex) || firstTabs[firstTabs.length - 1];
+        }
+
+        await expandGroup(target.groupId);
+    } catch (error) {
+        console.error("Error focusing adjacent group:", error);
     }
 }
 
-const tabOperationQueue = new OperationQueue();
-
-class Cache {
-    constructor(ttl = 5000) { 
-        this.store = new Map();
-        this.ttl = ttl;
+// Activate a tab and focus its window
+async function activateTab(tabId) {
+    try {
+        const tab = await chrome.tabs.update(tabId, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
+    } catch (error) {
+        console.error(`Error activating tab ${tabId}:`, error);
     }
+}
 
-    set(key, value) {
-        const expiresAt = Date.now() + this.ttl;
-        this.store.set(key, { value, expiresAt });
+// Expand a group and activate its first tab
+async function expandGroup(groupId) {
+    try {
+        const group = await chrome.tabGroups.update(groupId, { collapsed: false });
+        const [firstTab] = (await chrome.tabs.query({ windowId: group.windowId }))
+            .filter(tab => tab.groupId === groupId)
+            .sort((a, b) => a.index - b.index);
+        if (firstTab) await activateTab(firstTab.id);
+    } catch (error) {
+        console.error(`Error expanding group ${groupId}:`, error);
     }
+}
 
-    get(key) {
-        const entry = this.store.get(key);
-        if (!entry) return null;
-        if (Date.now() > entry.expiresAt) {
-            this.store.delete(key);
-            return null;
-        }
-        return entry.value;
+// Score how well a query fuzzily matches text: substrings score highest, then in-order characters
+// with bonuses for runs and word starts. Returns 0 when not every query character is found.
+function fuzzyScore(query, text) {
+    const needle = query.toLowerCase().trim();
+    const haystack = (text || "").toLowerCase();
+    if (!needle) return 0;
+
+    const substringIndex = haystack.indexOf(needle);
+    if (substringIndex !== -1) {
+        return 100 + needle.length * 10 - Math.min(substringIndex, 50);
     }
 
-    clear() {
-        this.store.clear();
+    let score = 0;
+    let position = -1;
+    let run = 0;
+    for (const char of needle) {
+        if (char === " ") continue;
+        const found = haystack.indexOf(char, position + 1);
+        if (found === -1) return 0;
+
+        run = found === position + 1 ? run + 1 : 0;
+        const atWordStart = found === 0 || /[^a-z0-9]/.test(haystack[found - 1]);
+        score += 1 + run * 2 + (atWordStart ? 3 : 0);
+        position = found;
     }
+    return score;
 }
 
-// Cached group mappings and colors to reduce storage access
-let cachedGroupColors = null;
-
-// Color palette for group colors
-const COLOR_PALETTE = ["grey", "blue", "red", "yellow", "green", "pink", "purple", "cyan", "orange"];
-
-// Replace existing caches
-const domainCache = new Cache(60000); // 1 minute 
-const colorCache = new Cache(60000); // 1 minute
+// Fuzzy-search open tabs and groups in all windows, best matches first
+async function searchTabsAndGroups(query) {
+    const [tabs, groups] = await Promise.all([chrome.tabs.query({}), chrome.tabGroups.query({})]);
+
+    const groupMatches = groups.map(group => ({
+        kind: "group",
+        id: group.id,
+        title: group.title || "Untitled group",
+        url: "",
+        score: fuzzyScore(query, group.title) * 1.5 // Prefer groups when both match equally
+    }));
+    const tabMatches = tabs.map(tab => ({
+        kind: "tab",
+        id: tab.id,
+        title: tab.title || tab.url,
+        url: tab.url || "",
+        score: Math.max(fuzzyScore(query, tab.title), fuzzyScore(query, tab.url))
+    }));
+
+    return [...groupMatches, ...tabMatches]
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score);
+}
 
-// Debug mode flag to enable verbose logging
-let DEBUG_MODE = false;
+// Escape text for the omnibox's XML description markup
+function escapeOmniboxText(text) {
+    return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
 
-// Initialize debug mode from storage
-chrome.storage.sync.get(['debugMode'], (result) => {
-    DEBUG_MODE = result.debugMode || false;
-});
+// Convert a search match into an omnibox suggestion
+function toOmniboxSuggestion(match) {
+    const title = escapeOmniboxText(match.title);
+    return {
+        content: `${match.kind}:${match.id}`,
+        description: match.kind === "group"
+            ? `<dim>Group:</dim> <match>${title}</match>`
+            : `${title} <dim>-</dim> <url>${escapeOmniboxText(match.url)}</url>`
+    };
+}
 
+// Alarm that periodically applies idle policies
+const IDLE_ALARM_NAME = "idleGroups";
 
-// Extract domain from URL and cache the result
-async function getDomain(url) {
-    if (!url) return null;
+// Alarm that periodically switches workspaces whose schedules start or end
+const WORKSPACE_ALARM_NAME = "workspaceSchedules";
 
-    try {
-        const parsedUrl = new URL(url);
-        const hostname = parsedUrl.hostname.replace(/^www\./, "");
-        const domain = hostname.includes(".") ? hostname.split(".").slice(-2).join(".") : hostname;
-
-        // Validate domain before caching
-        if (domain) {
-            domainCache.set(url, domain);
-            return domain;
-        }
-        return null;
-    } catch (error) {
-        console.warn(`Domain extraction failed for URL: ${url}`, error);
-        return null;
-    }
+// Get the global idle policy and the per-group overrides, keyed by group title
+async function getIdlePolicies() {
+    const [policy, overrides] = await Promise.all([
+        StorageManager.get("idlePolicy"),
+        StorageManager.get("groupIdlePolicies")
+    ]);
+    return { policy: { ...DEFAULT_IDLE_POLICY, ...policy }, overrides };
 }
 
-// Add a centralized storage management utility
-const StorageManager = {
-    async get(key, defaultValue = {}) {
-        return new Promise((resolve) => {
-            chrome.storage.sync.get([key], (result) => {
-                resolve(result[key] || defaultValue);
-            });
-        });
-    },
-
-    async set(key, value) {
-        return new Promise((resolve, reject) => {
-            chrome.storage.sync.set({ [key]: value }, () => {
-                if (chrome.runtime.lastError) {
-                    reject(chrome.runtime.lastError);
-                } else {
-                    resolve();
-                }
-            });
-        });
-    },
-};
+// Reads and writes of groupActivity run one after another, so a touch isn't lost when an idle pass writes
+// the whole map back
+let groupActivityChange = Promise.resolve();
 
-// Get group mappings from storage with caching
-async function getGroupMappings() {
-    return await StorageManager.get("groupMappings");
+function serializeGroupActivity(change) {
+    const result = groupActivityChange.then(change);
+    groupActivityChange = result.catch(() => {});
+    return result;
 }
 
-// Get group colors from storage with caching
-async function getGroupColors() {
-    if (cachedGroupColors) return cachedGroupColors;
-
-    return new Promise((resolve) => {
-        chrome.storage.sync.get(["groupColors"], (result) => {
-            cachedGroupColors = result.groupColors;
-            // if no colors are stored, initialize with empty object
-            if (!cachedGroupColors) {
-                cachedGroupColors = {};
-            }
+// Record that a group was just used
+function touchGroup(groupId) {
+    if (groupId === undefined || groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) return Promise.resolve();
 
-            resolve(cachedGroupColors);
-        });
+    return serializeGroupActivity(async () => {
+        const activity = await SessionStorageManager.get("groupActivity");
+        activity[groupId] = Date.now();
+        await SessionStorageManager.set("groupActivity", activity);
     });
 }
 
-// Debounce function to prevent multiple rapid calls
-function debounce(func, delay) {
-    let timeoutId;
-    return function (...args) {
-        clearTimeout(timeoutId);
-        timeoutId = setTimeout(() => func.apply(this, args), delay);
-    };
-}
-
-// Hash code generation for color selection
-function hashCode(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = (hash << 5) - hash + char;
-        hash |= 0; // Convert to 32bit integer
-    }
-    return hash;
-}
+// Collapse, discard or close groups that haven't been used for their policy's idle time
+function applyIdlePolicies() {
+    return serializeGroupActivity(async () => {
+        try {
+            const [groups, tabs, activity, { policy: globalPolicy, overrides }, lockedTitles] = await Promise.all([
+                chrome.tabGroups.query({}),
+                chrome.tabs.query({}),
+                SessionStorageManager.get("groupActivity"),
+                getIdlePolicies(),
+                getLockedGroupTitles()
+            ]);
+            const now = Date.now();
+            let activityChanged = false;
+
+            for (const group of groups) {
+                const groupTabs = tabs.filter(tab => tab.groupId === group.id);
+                const policy = { ...globalPolicy, ...overrides[group.title] };
+                if (policy.exempt || lockedTitles.includes(group.title) || groupTabs.length === 0) continue;
+
+                // The group holding a window's active tab is in use by definition
+                if (groupTabs.some(tab => tab.active)) {
+                    activity[group.id] = now;
+                    activityChanged = true;
+                    continue;
+                }
 
-// Generate a color for a group based on the group name
-async function generateColor(groupName) {
-    const groupColors = await getGroupColors();
+                // Without recorded activity, fall back to when its tabs were last accessed
+                if (!activity[group.id]) {
+                    const lastAccessed = Math.max(0, ...groupTabs.map(tab => tab.lastAccessed || 0));
+                    activity[group.id] = lastAccessed || now;
+                    activityChanged = true;
+                }
 
-    // If there's already a color mapping, use it
-    if (groupColors[groupName]) {
-        return groupColors[groupName];
-    }
+                const idleMinutes = (now - activity[group.id]) / 60000;
 
-    // Only use hash-based color if no color is explicitly set
-    if (colorCache.get(groupName)) {
-        return colorCache.get(groupName);
-    }
+                if (policy.closeAfterMinutes > 0 && idleMinutes >= policy.closeAfterMinutes) {
+                    // Audible and pinned tabs are never closed
+                    const closableTabs = groupTabs.filter(tab => !tab.audible && !tab.pinned);
+                    if (closableTabs.length) {
+                        await closeTabsToRestoreList(closableTabs, [group]);
+                        if (DEBUG_MODE) console.debug(`Closed ${closableTabs.length} idle tabs in group "${group.title}"`);
+                    }
+                    continue;
+                }
 
-    // Generate hash-based color only for new groups without explicit color
-    const hash = hashCode(groupName);
-    const color = COLOR_PALETTE[Math.abs(hash) % COLOR_PALETTE.length];
+                if (policy.idleAction === "none" || idleMinutes < policy.idleMinutes) continue;
 
-    // Only cache the color, don't save to storage
-    // This allows popup.js to override with explicit color choices
-    colorCache.set(groupName, color);
+                if (!group.collapsed) {
+                    await chrome.tabGroups.update(group.id, { collapsed: true });
+                }
+                if (policy.idleAction === "discard") {
+                    const discardableTabs = groupTabs.filter(tab => !tab.discarded && !tab.audible);
+                    await Promise.allSettled(discardableTabs.map(tab => chrome.tabs.discard(tab.id)));
+                }
+            }
 
-    return color;
+            if (activityChanged) {
+                await SessionStorageManager.set("groupActivity", activity);
+            }
+        } catch (error) {
+            console.error("Error applying idle policies:", error);
+        }
+    });
 }
 
-// Remove empty groups after tab removal
-async function removeEmptyGroups() {
+// Reopen tabs from the undo list, rejoining a same-titled group or recreating it; tabs that were ungrouped
+// stay ungrouped
+async function restoreClosedTabs(entryIds) {
     try {
-        // Get all data in parallel
-        const [tabs, groups] = await Promise.all([
-            chrome.tabs.query({ currentWindow: true }),
-            chrome.tabGroups.query({ windowId: chrome.windows.WINDOW_ID_CURRENT })
-        ]);
+        const closedTabs = await LocalStorageManager.get("closedTabs", []);
+        const entries = closedTabs.filter(entry => !entryIds || entryIds.includes(entry.id));
+        if (entries.length === 0) return;
+
+        const windowId = await resolveWindowId();
+        const groups = await chrome.tabGroups.query({ windowId });
+
+        // Restore group by group so tabs from one group end up together
+        const entriesByGroup = new Map();
+        for (const entry of entries) {
+            const key = entry.groupTitle || "";
+            if (!entriesByGroup.has(key)) entriesByGroup.set(key, []);
+            entriesByGroup.get(key).push(entry);
+        }
 
-        // Create map of group IDs to tab counts for faster lookup
-        const groupCounts = tabs.reduce((acc, tab) => {
-            if (tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) {
-                acc[tab.groupId] = (acc[tab.groupId] || 0) + 1;
+        for (const [groupTitle, groupEntries] of entriesByGroup) {
+            const tabIds = [];
+            for (const entry of groupEntries) {
+                try {
+                    const tab = await chrome.tabs.create({ windowId, url: entry.url, active: false });
+                    tabIds.push(tab.id);
+                } catch (error) {
+                    console.warn(`Could not restore tab ${entry.url}:`, error);
+                }
             }
-            return acc;
-        }, {});
-
-        // Find groups with less than 2 tabs
-        const groupsToUngroup = groups.filter(group => 
-            (groupCounts[group.id] || 0) < 2
-        );
-
-        // Bulk ungroup operation for efficiency
-        if (groupsToUngroup.length) {
-            const tabsToUngroup = tabs.filter(tab => 
-                groupsToUngroup.some(group => group.id === tab.groupId)
-            ).map(tab => tab.id);
-
-            if (tabsToUngroup.length) {
-                await chrome.tabs.ungroup(tabsToUngroup);
+            // Tabs closed outside any group come back loose
+            if (tabIds.length === 0 || !groupTitle) continue;
+
+            const existingGroup = groups.find(group => group.title === groupTitle);
+            if (existingGroup) {
+                await chrome.tabs.group({ groupId: existingGroup.id, tabIds });
+            } else {
+                const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+                await chrome.tabGroups.update(groupId, { title: groupTitle, color: groupEntries[0].groupColor });
             }
         }
+
+        const restoredIds = new Set(entries.map(entry => entry.id));
+        await LocalStorageManager.set("closedTabs", closedTabs.filter(entry => !restoredIds.has(entry.id)));
     } catch (error) {
-        console.error("Error in removeEmptyGroups:", error.message);
-        throw error; // Re-throw to allow caller to handle
+        console.error("Error restoring closed tabs:", error);
     }
 }
 
-// Ungroup all tabs in the current window
-async function ungroupAllTabs() {
+// Make sure the idle policy alarm is scheduled; alarms survive service worker restarts
+chrome.alarms.get(IDLE_ALARM_NAME).then(alarm => {
+    if (!alarm) chrome.alarms.create(IDLE_ALARM_NAME, { periodInMinutes: 1 });
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === IDLE_ALARM_NAME) {
+        tabOperationQueue.enqueue(applyIdlePolicies, "idle check");
+    }
+});
+
+// Workspace schedules are checked every minute, against the window last used
+chrome.alarms.get(WORKSPACE_ALARM_NAME).then(alarm => {
+    if (!alarm) chrome.alarms.create(WORKSPACE_ALARM_NAME, { periodInMinutes: 1 });
+});
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== WORKSPACE_ALARM_NAME) return;
     try {
-        const tabs = await chrome.tabs.query({ currentWindow: true });
-   
-        // Ungroup all tabs in the current window
-        await Promise.all(tabs.map(tab => chrome.tabs.ungroup(tab.id)));
+        const lastFocused = await chrome.windows.getLastFocused({ windowTypes: ["normal"] });
+        await applyAutomaticWorkspace(lastFocused.id);
     } catch (error) {
-        console.error("Error ungrouping tabs:", error);
+        console.error("Error applying workspace schedules:", error);
     }
-}
+});
+
+// Focusing a window tied to a workspace switches to it
+chrome.windows.onFocusChanged.addListener((windowId) => {
+    if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+    applyAutomaticWorkspace(windowId).catch(error => console.error("Error switching workspace for window:", error));
+});
 
-async function moveSingleTabs() {
-    
-    if (DEBUG_MODE) console.debug("Moving single tabs...");
+chrome.windows.onRemoved.addListener((windowId) => {
+    forgetWindowWorkspace(windowId).catch(error => console.error("Error forgetting window workspace:", error));
+});
 
-    const startTime = performance.now();
+// Track group activity and optionally collapse everything but the active tab's group
+chrome.tabs.onActivated.addListener(async ({ tabId, windowId }) => {
     try {
-        // Get all tabs in current window
-        const tabs = await chrome.tabs.query({ currentWindow: true });
-        
-        // Filter ungrouped tabs first
-        const ungroupedTabs = tabs.filter(
-            tab => tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE
-        );
+        const tab = await chrome.tabs.get(tabId);
+        await touchGroup(tab.groupId);
 
-        if (ungroupedTabs.length === 0) return;
+        const { policy } = await getIdlePolicies();
+        if (policy.autoCollapse) {
+            await collapseOtherGroups(windowId);
+        }
+    } catch (error) {
+        console.error("Error tracking tab activation:", error);
+    }
+});
 
-        const index = tabs.length - 1;
+// Time on the focused tab counts toward its site's and group's statistics, until another tab or window
+// takes focus or the browser loses it
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+    chrome.tabs.get(tabId)
+        .then(trackActiveTab)
+        .catch(error => console.error("Error timing the active tab:", error));
+});
 
-        for (const tab of ungroupedTabs) {
-            try {
-                await chrome.tabs.move(tab.id, { index });
-            } catch (moveError) {
-                console.error(`Error moving tab ${tab.id}:`, moveError);
-            }
+chrome.windows.onFocusChanged.addListener(async (windowId) => {
+    try {
+        if (windowId === chrome.windows.WINDOW_ID_NONE) {
+            await trackActiveTab(null);
+            return;
         }
+        const [tab] = await chrome.tabs.query({ active: true, windowId });
+        await trackActiveTab(tab || null);
+    } catch (error) {
+        console.error("Error timing the focused window:", error);
+    }
+});
 
-        if (DEBUG_MODE) {
-            const duration = performance.now() - startTime;
-            console.debug(`Moved ${ungroupedTabs.length} tabs in ${duration.toFixed(2)}ms`);
-        }
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.url || changeInfo.groupId !== undefined) {
+        updateActiveTab(tab).catch(error => console.error("Error timing the active tab:", error));
     }
-    catch (error) {
-        console.error("Error moving single tabs:", error);
+});
+
+// Tabs joining a group count as activity, so new groups don't start out idle
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.groupId !== undefined) {
+        touchGroup(changeInfo.groupId).catch(error => console.error("Error tracking group activity:", error));
     }
+});
+
+// Tabs created by a snapshot restore, shielded from checkAndUngroupTab until they finish loading
+const restoringTabIds = new Set();
+
+// Get all saved snapshots, keyed by name
+async function getSnapshots() {
+    return await LocalStorageManager.get("snapshots");
 }
 
-async function checkAndUngroupTab(tab) {
-    try {
-        // Skip if tab isn't in a group
-        if (tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) return;
+// Save a window's groups (and its ungrouped tabs) under a name, replacing any snapshot with that name
+async function saveSnapshot(name, windowId) {
+    const snapshotName = (name || "").trim();
+    if (!snapshotName) throw new Error("Snapshot name is required");
+
+    const [tabs, groups] = await Promise.all([
+        chrome.tabs.query({ windowId }),
+        chrome.tabGroups.query({ windowId })
+    ]);
+    const restorableTabs = tabs
+        .filter(tab => tab.url && !tab.pinned)
+        .sort((a, b) => a.index - b.index);
+
+    // Groups in tab strip order, each with its tab URLs in order
+    const snapshotGroups = groups
+        .map(group => ({ group, members: restorableTabs.filter(tab => tab.groupId === group.id) }))
+        .filter(({ members }) => members.length > 0)
+        .sort((a, b) => a.members[0].index - b.members[0].index)
+        .map(({ group, members }) => ({
+            title: group.title,
+            color: group.color,
+            collapsed: group.collapsed,
+            urls: members.map(tab => tab.url)
+        }));
+
+    const snapshot = {
+        name: snapshotName,
+        createdAt: Date.now(),
+        groups: snapshotGroups,
+        ungroupedUrls: restorableTabs
+            .filter(tab => tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE)
+            .map(tab => tab.url)
+    };
 
-        // Get both domains in parallel
-        const [currentDomain, group] = await Promise.all([
-            getDomain(tab.url),
-            chrome.tabGroups.get(tab.groupId)
-        ]);
+    const snapshots = await getSnapshots();
+    snapshots[snapshotName] = snapshot;
+    await LocalStorageManager.set("snapshots", snapshots);
 
-        if (!currentDomain || !group) return;
+    if (DEBUG_MODE) console.debug(`Saved snapshot "${snapshotName}" with ${snapshotGroups.length} groups`);
+    return snapshot;
+}
 
-        // More precise domain matching
-        const groupDomain = group.title.toLowerCase();
-        const normalizedCurrentDomain = currentDomain
-            .replace(/(\.com|\.se|\.net|\.org|\.io|\.dev)$/, "")
-            .toLowerCase();
+// Delete a snapshot by name
+async function deleteSnapshot(name) {
+    const snapshots = await getSnapshots();
+    delete snapshots[name];
+    await LocalStorageManager.set("snapshots", snapshots);
+}
 
-        // Only ungroup if domains definitely don't match
-        if (groupDomain !== normalizedCurrentDomain && 
-            !groupDomain.includes(normalizedCurrentDomain) && 
-            !normalizedCurrentDomain.includes(groupDomain)) {
-            await chrome.tabs.ungroup(tab.id);
+// Open URLs as background tabs at the end of a window, skipping URLs the browser refuses to open
+async function openSnapshotTabs(urls, windowId) {
+    const tabIds = [];
+    for (const url of urls) {
+        try {
+            const tab = await chrome.tabs.create({ windowId, url, active: false });
+            restoringTabIds.add(tab.id);
+            tabIds.push(tab.id);
+        } catch (error) {
+            console.warn(`Could not restore tab ${url}:`, error);
         }
-    } catch (error) {
-        console.error("Error checking tab group:", error);
     }
+    return tabIds;
 }
 
-// Update existing groups' titles and colors based on new mappings
-async function updateExistingGroups() {
-    try {
-        // Fetch all data in parallel
-        const [groupMappings, groupColors, existingGroups] = await Promise.all([
-            getGroupMappings(),
-            getGroupColors(),
-            chrome.tabGroups.query({ windowId: chrome.windows.WINDOW_ID_CURRENT })
-        ]);
+// Restore a snapshot into a new window or the given window, recreating its groups
+async function restoreSnapshot(name, { windowId, newWindow = true } = {}) {
+    const snapshot = (await getSnapshots())[name];
+    if (!snapshot) throw new Error(`Snapshot "${name}" not found`);
+
+    let targetWindowId = windowId;
+    let placeholderTabIds = [];
+    if (newWindow) {
+        const createdWindow = await chrome.windows.create({ focused: true });
+        targetWindowId = createdWindow.id;
+        placeholderTabIds = (createdWindow.tabs || []).map(tab => tab.id);
+    }
 
-        // Cache domain pattern for reuse
-        const domainPattern = /(\.com|\.se|\.net|\.org|\.io|\.dev)$/;
-        
-        // Prepare batch updates
-        const updates = existingGroups.map(async (group) => {
-            const currentTitle = group.title.toLowerCase();
-            
-            // Find matching mapping
-            const matchingMapping = Object.entries(groupMappings).find(([domain, groupName]) => {
-                const trimmedDomain = domain.replace(domainPattern, "").toLowerCase();
-                return currentTitle === trimmedDomain || 
-                       currentTitle === groupName.toLowerCase();
-            });
+    for (const group of snapshot.groups) {
+        const tabIds = await openSnapshotTabs(group.urls, targetWindowId);
+        if (tabIds.length === 0) continue;
 
-            if (matchingMapping) {
-                const [_, groupName] = matchingMapping;
-                const newTitle = groupName.length > 15 ? abbreviate(groupName) : groupName;
-                const color = await generateColor(groupName);
-
-                return chrome.tabGroups.update(group.id, {
-                    title: newTitle,
-                    color: color
-                }).catch(error => {
-                    console.error(`Failed to update group ${group.id}:`, error);
-                });
-            }
-        }).filter(Boolean); // Remove undefined values
+        const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId: targetWindowId } });
+        await chrome.tabGroups.update(groupId, {
+            title: group.title,
+            color: group.color,
+            collapsed: group.collapsed
+        });
+    }
 
-        // Execute all updates in parallel
-        await Promise.allSettled(updates);
+    await openSnapshotTabs(snapshot.ungroupedUrls || [], targetWindowId);
 
-    } catch (error) {
-        console.error("Error updating existing groups:", error);
-        throw error;
+    // Drop the new tab page the new window was created with
+    if (placeholderTabIds.length) {
+        await chrome.tabs.remove(placeholderTabIds);
     }
+
+    if (DEBUG_MODE) console.debug(`Restored snapshot "${name}" into window ${targetWindowId}`);
+    return targetWindowId;
 }
 
-async function groupTabsByDomain() {
-    const startTime = performance.now();
+// Snapshot actions reply with { ok, error? } so the popup can report failures
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    let operation;
+    if (request.action === "saveSnapshot") {
+        operation = saveSnapshot(request.name, request.windowId);
+    } else if (request.action === "restoreSnapshot") {
+        // Queued so no grouping pass pulls restored tabs into domain groups before their own groups exist
+        operation = runQueued(
+            () => restoreSnapshot(request.name, { windowId: request.windowId, newWindow: request.newWindow }),
+            "snapshot restored"
+        );
+    } else if (request.action === "deleteSnapshot") {
+        operation = deleteSnapshot(request.name);
+    } else {
+        return false;
+    }
 
-    try {
-        const tabs = await chrome.tabs.query({ currentWindow: true });
+    operation
+        .then(() => sendResponse({ ok: true }))
+        .catch(error => {
+            console.error(`Snapshot action ${request.action} failed:`, error);
+            sendResponse({ ok: false, error: error.message });
+        });
+    return true; // Keep the channel open for the async response
+});
 
-        const [groupMappings, existingGroups] = await Promise.all([
-            getGroupMappings(),
-            chrome.tabGroups.query({ windowId: chrome.windows.WINDOW_ID_CURRENT })
-        ]);
+// Dry-run of "Group Tabs": replies with { ok, lines } describing what grouping would change, without applying it
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action !== "previewGrouping") return false;
 
-        // Group tabs by domain first
-        const tabsByDomain = new Map();
-        for (const tab of tabs) {
-            if (tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE || !tab.url) continue;
-            
-            const domain = await getDomain(tab.url);
-            if (!domain) continue;
-
-            const groupName = groupMappings[domain] || 
-                domain.replace(/(\.com|\.se|\.net|\.org|\.io|\.dev)$/, "");
-            
-            if (!tabsByDomain.has(groupName)) {
-                tabsByDomain.set(groupName, []);
-            }
-            tabsByDomain.get(groupName).push(tab.id);
-        }
+    getTargetWindowIds(request.windowId)
+        .then(windowIds => previewGrouping(windowIds))
+        .then(lines => sendResponse({ ok: true, lines }))
+        .catch(error => {
+            console.error("Grouping preview failed:", error);
+            sendResponse({ ok: false, error: error.message });
+        });
+    return true; // Keep the channel open for the async response
+});
 
-        // Process each domain group
-        for (const [groupName, tabIds] of tabsByDomain) {
-            // Always group if more than one tab, regardless of batch
-            if (tabIds.length >= 2) {
-                const color = await generateColor(groupName);
-                const title = groupName.length > 15 ? abbreviate(groupName) : groupName;
-
-                const existingGroup = existingGroups.find(group => group.title === groupName);
-                
-                if (existingGroup) {
-                    // Add tabs to existing group
-                    await chrome.tabs.group({ groupId: existingGroup.id, tabIds });
-                } else {
-                    // Create new group
-                    const newGroup = await chrome.tabs.group({ tabIds });
-                    await chrome.tabGroups.update(newGroup, { title, color });
-                }
-            }
-        }
+// Workspace actions reply with { ok, error? } so the popup can report failures. Switching changes the
+// settings keys, and the settings listener below regroups every window against the new set.
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    let operation;
+    if (request.action === "createWorkspace") {
+        operation = createWorkspace(request.name, request.schedule);
+    } else if (request.action === "updateWorkspace") {
+        operation = updateWorkspace(request.workspaceId, request.changes);
+    } else if (request.action === "deleteWorkspace") {
+        operation = deleteWorkspace(request.workspaceId);
+    } else if (request.action === "switchWorkspace") {
+        operation = activateWorkspace(request.workspaceId);
+    } else if (request.action === "setWindowWorkspace") {
+        operation = setWindowWorkspace(request.windowId, request.workspaceId);
+    } else {
+        return false;
+    }
 
-        if (DEBUG_MODE) {
-            const duration = performance.now() - startTime;
-            console.debug(`Grouped tabs in ${duration.toFixed(2)}ms`);
-        }
+    operation
+        .then(() => sendResponse({ ok: true }))
+        .catch(error => {
+            console.error(`Workspace action ${request.action} failed:`, error);
+            sendResponse({ ok: false, error: error.message });
+        });
+    return true; // Keep the channel open for the async response
+});
 
-    } catch (error) {
-        console.error("Tab grouping error:", error);
-    }
-}
+// "Why is this tab here?": replies with { ok, lines } explaining a tab's group from its mapping, who made the
+// group and the logged actions that touched the tab
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action !== "explainTab") return false;
+
+    explainTab(request.tabId)
+        .then(lines => sendResponse({ ok: true, lines }))
+        .catch(error => {
+            console.error("Explaining tab failed:", error);
+            sendResponse({ ok: false, error: error.message });
+        });
+    return true; // Keep the channel open for the async response
+});
 
-function abbreviate(groupName) {
-    const words = groupName
-        .trim()
-        .split(/[^a-zA-Z0-9]/)
-        .filter(Boolean);
-    return words.length > 1 ? (words[0][0] + words[1][0]).toUpperCase() : groupName.slice(0, 5).toUpperCase();
+// Debounced tab grouping per window, queued so windows are never regrouped concurrently. The trigger of the
+// last call is the one logged.
+const debouncedGroupTabs = debounceByKey(
+    (windowId, trigger) => tabOperationQueue.enqueue(async () => {
+        await withHistory("Group tabs", () => groupTabs(windowId));
+        await recordLoadedTabs(windowId);
+    }, trigger),
+    500
+);
+
+// Tabs that finished loading since their window was last grouped. They are counted as opened once it has
+// been, so the statistics see the group they landed in.
+const loadedTabIds = new Set();
+
+async function recordLoadedTabs(windowId) {
+    const tabs = (await chrome.tabs.query({ windowId })).filter(tab => loadedTabIds.has(tab.id));
+    tabs.forEach(tab => loadedTabIds.delete(tab.id));
+    await recordTabsOpened(tabs);
 }
 
-// Debounced tab grouping to reduce unnecessary calls
-const debouncedGroupTabsByDomain = debounce(groupTabsByDomain, 500);
+// Debounced title and color refresh per window, for changes made outside a grouping pass
+const debouncedUpdateGroups = debounceByKey(
+    (windowId, trigger) => tabOperationQueue.enqueue(() => updateExistingGroups(windowId), trigger),
+    500
+);
 
-// When a tab is fully loaded, check if it should be grouped
+// Group every window the current mode targets: the given window, or all of them
+async function groupTargetWindows(windowId, trigger) {
+    try {
+        const windowIds = await getTargetWindowIds(windowId);
+        windowIds.forEach(id => debouncedGroupTabs(id, trigger));
+    } catch (error) {
+        console.error("Error resolving windows to group:", error);
+    }
+}
+
+// When a tab is fully loaded, check if its window should be regrouped
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     if (changeInfo.status === "complete") {
-        debouncedGroupTabsByDomain();
+        restoringTabIds.delete(tabId);
+        loadedTabIds.add(tabId);
+        debouncedGroupTabs(tab.windowId, "tab loaded");
     }
 });
 
 
 // Listen for tab updates to trigger grouping
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-    if (changeInfo.url) {
+    if (changeInfo.url && !restoringTabIds.has(tabId)) {
         // Add to queue after grouping operations
         tabOperationQueue.enqueue(async () => {
             // Small delay to ensure grouping completes first
             await new Promise(resolve => setTimeout(resolve, 50));
             await checkAndUngroupTab(tab);
-        });
+        }, "tab navigated");
     }
 });
 
 chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
+    restoringTabIds.delete(tabId);
+
+    // Nothing to clean up in a window that is going away
+    if (removeInfo.isWindowClosing) return;
+
     // Add to queue after grouping operations
     tabOperationQueue.enqueue(async () => {
         // Small delay to ensure grouping completes first
         await new Promise(resolve => setTimeout(resolve, 50));
-        await removeEmptyGroups();
-    });
+        await withHistory("Dissolve small groups", () => removeEmptyGroups(removeInfo.windowId));
+        // Keep duplicate counts current when a copy is closed
+        await handleDuplicates(removeInfo.windowId);
+    }, "tab closed");
+    debouncedUpdateGroups(removeInfo.windowId, "tab closed");
 });
 
-chrome.runtime.onMessage.addListener((request) => {
+// A tab dragged to another window may leave a single-tab group behind
+chrome.tabs.onDetached.addListener((tabId, detachInfo) => {
+    tabOperationQueue.enqueue(
+        () => withHistory("Dissolve small groups", () => removeEmptyGroups(detachInfo.oldWindowId)),
+        "tab moved to another window"
+    );
+    debouncedUpdateGroups(detachInfo.oldWindowId, "tab moved to another window");
+});
+
+chrome.tabs.onAttached.addListener((tabId, attachInfo) => {
+    debouncedUpdateGroups(attachInfo.newWindowId, "tab moved to another window");
+});
+
+// Debounced cap enforcement per window, for tabs joining groups outside a grouping pass, such as tabs the
+// browser puts in their opener's group
+const debouncedApplyTabLimits = debounceByKey(
+    (windowId, trigger) => tabOperationQueue.enqueue(() => withHistory("Enforce tab limits", () => applyTabLimits(windowId)), trigger),
+    500
+);
+
+// Tabs joining or leaving a group change the count in its title, and may take it past its cap
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.groupId !== undefined) {
+        debouncedUpdateGroups(tab.windowId, "tab changed groups");
+        debouncedApplyTabLimits(tab.windowId, "tab changed groups");
+    }
+});
+
+// Keep the group and tab counts on the toolbar badge current
+const debouncedUpdateActionBadge = debounce(updateActionBadge, 500);
+chrome.tabs.onCreated.addListener(debouncedUpdateActionBadge);
+chrome.tabs.onRemoved.addListener(debouncedUpdateActionBadge);
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.groupId !== undefined) debouncedUpdateActionBadge();
+});
+chrome.tabGroups.onCreated.addListener(debouncedUpdateActionBadge);
+chrome.tabGroups.onRemoved.addListener(debouncedUpdateActionBadge);
+updateActionBadge();
+
+// Keep track of which groups and memberships the user took over
+chrome.tabGroups.onUpdated.addListener(trackGroupUpdate);
+chrome.tabGroups.onRemoved.addListener(group => forgetGroup(group.id));
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.groupId !== undefined) trackTabGroupChange(tabId, changeInfo.groupId);
+});
+
+chrome.tabs.onAttached.addListener((tabId) => {
+    if (!pendingTabIds.has(tabId)) releaseTab(tabId);
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    releaseTab(tabId);
+    releaseHeldTab(tabId);
+    loadedTabIds.delete(tabId);
+    forgetStatsTab(tabId);
+});
+
+// A tab an undo left ungrouped is grouped again once it navigates
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.url) releaseHeldTab(tabId);
+});
+
+// Rebuild ownership for groups that predate this session
+tabOperationQueue.enqueue(adoptExistingGroups, "startup");
+
+// Close duplicate tabs picked in the popup, skipping any closed since; tabs.onRemoved then refreshes the counts
+async function closeDuplicateTabs(tabIds) {
+    try {
+        const tabs = await chrome.tabs.query({});
+        const openTabIds = tabs.map(tab => tab.id).filter(tabId => tabIds.includes(tabId));
+        if (openTabIds.length) {
+            await chrome.tabs.remove(openTabIds);
+        }
+    } catch (error) {
+        console.error("Error closing duplicate tabs:", error);
+    }
+}
+
+// Dispatch an action from the popup, a keyboard command or the omnibox; the trigger names which for the
+// activity log
+function dispatchAction(request, trigger = "popup") {
     if (request.action === "groupTabs") {
-        debouncedGroupTabsByDomain();
+        groupTargetWindows(request.windowId, trigger);
     }
     if (request.action === "ungroupTabs") {
-        ungroupAllTabs();
+        getTargetWindowIds(request.windowId)
+            .then(windowIds => windowIds.forEach(id =>
+                tabOperationQueue.enqueue(() => withHistory("Ungroup tabs", () => ungroupAllTabs(id)), trigger)))
+            .catch(error => console.error("Error ungrouping windows:", error));
+    }
+    if (request.action === "sortTabs") {
+        getTargetWindowIds(request.windowId)
+            .then(windowIds => windowIds.forEach(id => tabOperationQueue.enqueue(() => orderTabs(id), trigger)))
+            .catch(error => console.error("Error resolving windows to sort:", error));
+    }
+    if (request.action === "closeDuplicates") {
+        closeDuplicateTabs(request.tabIds);
+    }
+    if (request.action === "collapseOtherGroups") {
+        collapseOtherGroups(request.windowId);
+    }
+    if (request.action === "focusNextGroup" || request.action === "focusPreviousGroup") {
+        focusAdjacentGroup(request.windowId, request.action === "focusNextGroup" ? 1 : -1);
+    }
+    if (request.action === "activateTab") {
+        activateTab(request.tabId);
+    }
+    if (request.action === "expandGroup") {
+        expandGroup(request.groupId);
+    }
+    if (request.action === "restoreClosedTabs") {
+        restoreClosedTabs(request.entryIds);
+    }
+    if (request.action === "lockGroup" || request.action === "unlockGroup") {
+        setGroupLocked(request.groupId, request.action === "lockGroup");
+    }
+    if (request.action === "undo") {
+        tabOperationQueue.enqueue(undoOperation, trigger);
+    }
+    if (request.action === "redo") {
+        tabOperationQueue.enqueue(redoOperation, trigger);
+    }
+}
+
+chrome.runtime.onMessage.addListener((request) => {
+    dispatchAction(request);
+});
+
+// Requests from other extensions, answered under the versioned protocol in api.js; senders must be allowed
+chrome.runtime.onMessageExternal.addListener((request, sender, sendResponse) => {
+    // handleExternalRequest never throws by design; answer anyway if it somehow does
+    handleExternalRequest(request, sender)
+        .then(sendResponse)
+        .catch(error => {
+            console.error("Error answering an external request:", error);
+            sendResponse({
+                apiVersion: API_VERSION,
+                requestId: null,
+                ok: false,
+                error: { code: API_ERRORS.INTERNAL_ERROR, message: error.message }
+            });
+        });
+    return true; // Keep the channel open for the async response
+});
+
+// Forward group and mapping changes to subscribed extensions
+const publishError = error => console.error("Error publishing API event:", error);
+chrome.tabGroups.onCreated.addListener(group => publishGroupEvent("groupCreated", group).catch(publishError));
+chrome.tabGroups.onUpdated.addListener(group => publishGroupEvent("groupUpdated", group).catch(publishError));
+chrome.tabGroups.onRemoved.addListener(group => publishGroupEvent("groupRemoved", group).catch(publishError));
+StorageManager.onChanged((changes) => {
+    if (changes.groupRules || changes.groupColors) {
+        publishApiEvent("mappingsChanged", { groupRules: Boolean(changes.groupRules), groupColors: Boolean(changes.groupColors) })
+            .catch(publishError);
+    }
+});
+
+// Keyboard commands from the manifest, mapped onto message actions
+const COMMAND_ACTIONS = {
+    "group-tabs": "groupTabs",
+    "ungroup-tabs": "ungroupTabs",
+    "collapse-other-groups": "collapseOtherGroups",
+    "next-group": "focusNextGroup",
+    "previous-group": "focusPreviousGroup",
+    "undo-grouping": "undo",
+    "redo-grouping": "redo"
+};
+
+chrome.commands.onCommand.addListener((command, tab) => {
+    const action = COMMAND_ACTIONS[command];
+    if (action) {
+        dispatchAction({ action, windowId: tab ? tab.windowId : undefined }, "keyboard shortcut");
+    }
+});
+
+chrome.omnibox.setDefaultSuggestion({ description: "Search open tabs and groups" });
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+    searchTabsAndGroups(text)
+        .then(matches => suggest(matches.slice(0, 8).map(toOmniboxSuggestion)))
+        .catch(error => console.error("Omnibox search failed:", error));
+});
+
+// Accept a picked suggestion, "tab:<id>" or "group:<id>", or fall back to the best match for free text
+// such as "group:" with no id
+chrome.omnibox.onInputEntered.addListener(async (text) => {
+    try {
+        let [kind, id] = text.split(":");
+        if (!(kind === "tab" || kind === "group") || !id || !Number.isInteger(Number(id))) {
+            const [bestMatch] = await searchTabsAndGroups(text);
+            if (!bestMatch) return;
+            [kind, id] = [bestMatch.kind, bestMatch.id];
+        }
+
+        dispatchAction(kind === "tab"
+            ? { action: "activateTab", tabId: Number(id) }
+            : { action: "expandGroup", groupId: Number(id) }, "search bar");
+    } catch (error) {
+        console.error("Omnibox action failed:", error);
+    }
+});
+
+chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
+
+// Keep the "Move this tab to group" list in step with the open groups
+const debouncedBuildContextMenus = debounce(buildContextMenus, 500);
+chrome.tabGroups.onCreated.addListener(debouncedBuildContextMenus);
+chrome.tabGroups.onUpdated.addListener(debouncedBuildContextMenus);
+chrome.tabGroups.onRemoved.addListener(debouncedBuildContextMenus);
+chrome.runtime.onStartup.addListener(buildContextMenus);
+
+// Migrate storage to the current schema on install/update, then create the context menus and run the
+// initial grouping
+chrome.runtime.onInstalled.addListener(async () => {
+    try {
+        await migrateStorage();
+    } catch (error) {
+        console.error("Error migrating storage:", error);
     }
+    buildContextMenus();
+    groupTargetWindows(undefined, "install or update");
 });
 
-// Optional: Initial grouping when extension loads
-chrome.runtime.onInstalled.addListener(debouncedGroupTabsByDomain);
+// Listen for setting changes to trigger group updates, wherever the settings are stored
+StorageManager.onChanged(async (changes) => {
+    if (changes.debugMode) {
+        setDebugMode(await StorageManager.get("debugMode", false));
+    }
+
+    if (changes.groupColors) {
+        clearGroupColorCache();
+    }
+
+    // Caps and the overflow policy decide whether the badge warns
+    if (changes.groupingOptions || changes.groupRules) {
+        debouncedUpdateActionBadge();
+    }
+
+    // A new workspace may put every tab in a different group. Its settings keys change one at a time
+    // first and are left alone here; once activeWorkspaceId changes, rename groups for the new set, take
+    // tabs out of groups it doesn't give them and regroup, all as one undoable step.
+    if (changes.activeWorkspaceId) {
+        endWorkspaceSwitch();
+        clearGroupColorCache();
+        tabOperationQueue.enqueue(() => withHistory("Switch workspace", async () => {
+            await updateExistingGroups();
+            await ungroupMisplacedTabs();
+            for (const windowId of await getTargetWindowIds()) {
+                await groupTabs(windowId);
+            }
+        }), "workspace switched");
+        debouncedUpdateActionBadge();
+        return;
+    }
+    if (isWorkspaceSwitchPending()) return;
 
-// Listen for storage changes to trigger group updates
-chrome.storage.onChanged.addListener((changes, namespace) => {
-    if (namespace === "sync" && (changes.groupMappings || changes.groupColors)) {
+    if (changes.groupRules || changes.groupColors || changes.groupingOptions) {
         // Debounce to prevent multiple rapid calls
-        debouncedGroupTabsByDomain();
-        updateExistingGroups();
+        groupTargetWindows(undefined, "settings changed");
+        tabOperationQueue.enqueue(
+            () => withHistory("Update groups for mapping changes", () => updateExistingGroups()),
+            "settings changed"
+        );
+
+        // Raised thresholds may leave groups that should now be dissolved
+        if (changes.groupingOptions || changes.groupRules) {
+            getTargetWindowIds()
+                .then(windowIds => windowIds.forEach(id => tabOperationQueue.enqueue(
+                    () => withHistory("Dissolve small groups", () => removeEmptyGroups(id)),
+                    "settings changed"
+                )))
+                .catch(error => console.error("Error resolving windows to clean up:", error));
+        }
+    } else if (changes.duplicateOptions) {
+        getTargetWindowIds()
+            .then(windowIds => windowIds.forEach(id => tabOperationQueue.enqueue(() => handleDuplicates(id), "settings changed")))
+            .catch(error => console.error("Error resolving windows to check for duplicates:", error));
+    } else if (changes.groupingStrategy || changes.similarityThreshold) {
+        groupTargetWindows(undefined, "settings changed");
+    } else if (changes.consolidateWindows || changes.groupAllWindows) {
+        // Only turning a window option on calls for regrouping
+        const { consolidateWindows, groupAllWindows } = await StorageManager.getMany(["consolidateWindows", "groupAllWindows"]);
+        if ((changes.consolidateWindows && consolidateWindows) || (changes.groupAllWindows && groupAllWindows)) {
+            groupTargetWindows(undefined, "settings changed");
+        }
     }
 });
@@ -0,0 +1,80 @@
+import { StorageManager } from "./storage.js";
+import { Cache } from "./utils.js";
+
+// Cached group colors to reduce storage access
+let cachedGroupColors = null;
+
+// Color palette for group colors
+export const COLOR_PALETTE = ["grey", "blue", "red", "yellow", "green", "pink", "purple", "cyan", "orange"];
+
+const colorCache = new Cache(60000); // 1 minute
+
+// Get group colors from storage with caching
+export async function getGroupColors() {
+    if (cachedGroupColors) return cachedGroupColors;
+
+    // if no colors are stored, initialize with empty object
+    cachedGroupColors = await StorageManager.get("groupColors", {});
+    return cachedGroupColors;
+}
+
+// Drop cached colors after groupColors changes in storage
+export function clearGroupColorCache() {
+    cachedGroupColors = null;
+    colorCache.clear();
+}
+
+// Hash code generation for color selection
+export function hashCode(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+        const char = str.charCodeAt(i);
+        hash = (hash << 5) - hash + char;
+        hash |= 0; // Convert to 32bit integer
+    }
+    return hash;
+}
+
+// Generate a color for a group based on the group name
+export async function generateColor(groupName) {
+    const groupColors = await getGroupColors();
+
+    // If there's already a color mapping, use it
+    if (groupColors[groupName]) {
+        return groupColors[groupName];
+    }
+
+    // Only use hash-based color if no color is explicitly set
+    if (colorCache.get(groupName)) {
+        return colorCache.get(groupName);
+    }
+
+    // Generate hash-based color only for new groups without explicit color
+    const hash = hashCode(groupName);
+    const color = COLOR_PALETTE[Math.abs(hash) % COLOR_PALETTE.length];
+
+    // Only cache the color, don't save to storage
+    // This allows popup.js to override with explicit color choices
+    colorCache.set(groupName, color);
+
+    return color;
+}
+
+// Pick the first palette color, starting from the preferred one, that no other group uses; failing that,
+// the first that differs from the neighboring groups' colors
+export function pickDistinctColor(preferred, usedColors, neighborColors = []) {
+    const start = Math.max(0, COLOR_PALETTE.indexOf(preferred));
+    const candidates = [...COLOR_PALETTE.slice(start), ...COLOR_PALETTE.slice(0, start)];
+    return candidates.find(color => !usedColors.includes(color)) ||
+        candidates.find(color => !neighborColors.includes(color)) ||
+        preferred;
+}
+
+// Choose a group's color. A color mapped to the name always wins, and the "name" strategy always uses the
+// name's hashed color. The "distinct" strategy keeps an existing group's current color, and gives a new
+// group the hashed color unless an open group already uses it, in which case the next unused one.
+export async function chooseGroupColor(groupName, { currentColor, usedColors = [], strategy = "distinct" } = {}) {
+    const [groupColors, preferred] = await Promise.all([getGroupColors(), generateColor(groupName)]);
+    if (groupColors[groupName] || strategy === "name") return preferred;
+    return currentColor || pickDistinctColor(preferred, usedColors);
+}
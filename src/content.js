@@ -0,0 +1,229 @@
+import { chooseGroupColor } from "./colors.js";
+import { getOwnership, getLockedGroupTitles, isHeldTab, isManagedGroup } from "./ownership.js";
+import { getGroupTitle } from "./planner.js";
+import { applyGroupingOperations } from "./reconciler.js";
+import { getGroupRules, getGroupingOptions, isTabGroupable } from "./rules.js";
+import { StorageManager } from "./storage.js";
+import { DEBUG_MODE } from "./utils.js";
+
+// Words too common in titles and paths to say anything about a tab's topic
+const STOP_WORDS = new Set([
+    "the", "and", "for", "with", "from", "that", "this", "your", "you", "are", "was", "not", "but", "all",
+    "how", "what", "why", "who", "can", "will", "has", "have", "our", "out", "new", "get", "use", "using",
+    "http", "https", "www", "com", "net", "org", "html", "htm", "php", "aspx", "index", "page", "home",
+    "watch", "view", "edit", "browse", "search", "results", "login", "signin", "tab", "untitled"
+]);
+
+// Reduce simple English plurals and gerunds so "retries" and "retry" count as one keyword
+function stemToken(token) {
+    if (token.length > 4 && token.endsWith("ies")) return `${token.slice(0, -3)}y`;
+    if (token.length > 5 && token.endsWith("ing")) return token.slice(0, -3);
+    if (token.length > 3 && token.endsWith("s") && !token.endsWith("ss")) return token.slice(0, -1);
+    return token;
+}
+
+// Split a tab's title and URL path into keywords, leaving out its own host name labels
+export function tokenizeTab(tab) {
+    let path = "";
+    let hostLabels = [];
+    try {
+        const parsedUrl = new URL(tab.url);
+        hostLabels = parsedUrl.hostname.toLowerCase().split(".");
+        path = parsedUrl.pathname;
+        try {
+            path = decodeURIComponent(path);
+        } catch (error) {
+            // Paths may hold a bare "%", such as "/100%"; keep them undecoded
+        }
+    } catch (error) {
+        // Fall back to the title alone for unparsable URLs
+    }
+
+    return `${tab.title || ""} ${path}`
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 2 && !/^\d+$/.test(token))
+        .filter(token => !STOP_WORDS.has(token) && !hostLabels.includes(token))
+        .map(stemToken);
+}
+
+// Build TF-IDF vectors (token -> weight maps) for a list of token lists
+function buildTfIdfVectors(documents) {
+    const documentFrequency = new Map();
+    for (const tokens of documents) {
+        for (const token of new Set(tokens)) {
+            documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+        }
+    }
+
+    return documents.map(tokens => {
+        const vector = new Map();
+        for (const token of tokens) {
+            vector.set(token, (vector.get(token) || 0) + 1 / tokens.length);
+        }
+        for (const [token, tf] of vector) {
+            const idf = Math.log((documents.length + 1) / (documentFrequency.get(token) + 1)) + 1;
+            vector.set(token, tf * idf);
+        }
+        return vector;
+    });
+}
+
+// Cosine similarity between two sparse vectors
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    for (const [token, weight] of a) {
+        dot += weight * (b.get(token) || 0);
+    }
+    const norm = vector => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+    const denominator = norm(a) * norm(b);
+    return denominator ? dot / denominator : 0;
+}
+
+// Sum vectors into one, used as the centroid of a group or cluster
+function sumVectors(vectors) {
+    const total = new Map();
+    for (const vector of vectors) {
+        for (const [token, weight] of vector) {
+            total.set(token, (total.get(token) || 0) + weight);
+        }
+    }
+    return total;
+}
+
+// Cluster vectors into connected components of pairs at least `threshold` similar
+function clusterVectors(vectors, threshold) {
+    const parent = vectors.map((_, index) => index);
+    const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+    for (let i = 0; i < vectors.length; i++) {
+        for (let j = i + 1; j < vectors.length; j++) {
+            if (cosineSimilarity(vectors[i], vectors[j]) >= threshold) {
+                parent[find(i)] = find(j);
+            }
+        }
+    }
+
+    const clusters = new Map();
+    vectors.forEach((_, index) => {
+        const root = find(index);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(index);
+    });
+    return [...clusters.values()];
+}
+
+// Suggest a group name from the keywords shared by most members of a cluster
+function suggestGroupName(vectors) {
+    const scores = new Map();
+    for (const vector of vectors) {
+        for (const [token, weight] of vector) {
+            const score = scores.get(token) || { members: 0, weight: 0 };
+            score.members += 1;
+            score.weight += weight;
+            scores.set(token, score);
+        }
+    }
+
+    const ranked = [...scores.entries()].sort(([, a], [, b]) => b.members - a.members || b.weight - a.weight);
+    if (ranked.length === 0) return null;
+
+    // Add a second keyword when it is shared as widely as the first
+    const [[first, firstScore], second] = ranked;
+    const words = second && second[1].members === firstScore.members ? [first, second[0]] : [first];
+    return words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(" ");
+}
+
+// Plan content grouping for a window: ungrouped tabs join the most similar existing group, and the rest
+// are clustered into new groups. Returns the operations without changing anything.
+export async function planContentGrouping(windowId) {
+    const startTime = performance.now();
+
+    const [threshold, tabs, groups, options, groupRules, ownership, lockedTitles] = await Promise.all([
+        StorageManager.get("similarityThreshold", 0.3),
+        chrome.tabs.query({ windowId }),
+        chrome.tabGroups.query({ windowId }),
+        getGroupingOptions(),
+        getGroupRules(),
+        getOwnership(),
+        getLockedGroupTitles()
+    ]);
+    const existingGroups = groups.filter(group => isManagedGroup(group, ownership, lockedTitles));
+
+    const webTabs = tabs.filter(tab => /^https?:/.test(tab.url || ""));
+    const vectors = buildTfIdfVectors(webTabs.map(tokenizeTab));
+    const vectorByTabId = new Map(webTabs.map((tab, index) => [tab.id, vectors[index]]));
+
+    // Ungrouped tabs first try to join the most similar existing group
+    const centroids = existingGroups.map(group => ({
+        group,
+        vector: sumVectors(webTabs.filter(tab => tab.groupId === group.id).map(tab => vectorByTabId.get(tab.id)))
+    }));
+    const joins = new Map();
+    const remainingTabs = [];
+
+    for (const tab of webTabs) {
+        if (tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE || !isTabGroupable(tab, options) || isHeldTab(tab, ownership)) continue;
+
+        const vector = vectorByTabId.get(tab.id);
+        if (vector.size === 0) continue;
+
+        const best = centroids
+            .map(({ group, vector: centroid }) => ({ group, similarity: cosineSimilarity(vector, centroid) }))
+            .sort((a, b) => b.similarity - a.similarity)[0];
+
+        if (best && best.similarity >= threshold) {
+            if (!joins.has(best.group)) joins.set(best.group, []);
+            joins.get(best.group).push(tab.id);
+        } else {
+            remainingTabs.push(tab);
+        }
+    }
+
+    const operations = [...joins].map(([group, tabIds]) => ({ type: "join", tabIds, groupId: group.id, title: group.title }));
+
+    // Cluster the rest and create a group for every cluster of two or more, in colors not yet in the window
+    const usedColors = groups.map(group => group.color);
+    const remainingVectors = remainingTabs.map(tab => vectorByTabId.get(tab.id));
+    for (const cluster of clusterVectors(remainingVectors, threshold)) {
+        if (cluster.length < options.minGroupSize) continue;
+
+        const groupName = suggestGroupName(cluster.map(index => remainingVectors[index]));
+        if (!groupName) continue;
+
+        const color = await chooseGroupColor(groupName, { usedColors, strategy: options.colorStrategy });
+        usedColors.push(color);
+        operations.push({
+            type: "create",
+            tabIds: cluster.map(index => remainingTabs[index].id),
+            windowId,
+            groupName,
+            title: getGroupTitle(groupName, { count: cluster.length, groupRules, template: options.titleTemplate }),
+            color
+        });
+    }
+
+    return {
+        operations,
+        tabs,
+        metrics: { tabCount: tabs.length, groupCount: operations.length, planMs: performance.now() - startTime }
+    };
+}
+
+// Group tabs in a window by keyword similarity of their titles and URL paths
+export async function groupTabsByContent(windowId) {
+    try {
+        const { operations, metrics } = await planContentGrouping(windowId);
+
+        const applyStart = performance.now();
+        const apiCalls = await applyGroupingOperations(operations);
+
+        if (DEBUG_MODE) {
+            const applyMs = performance.now() - applyStart;
+            console.debug(`Grouped ${metrics.tabCount} tabs by content in window ${windowId}: planned ${operations.length} ` +
+                `operations in ${metrics.planMs.toFixed(2)}ms, applied them with ${apiCalls} API calls in ${applyMs.toFixed(2)}ms`);
+        }
+    } catch (error) {
+        console.error("Content grouping error:", error);
+    }
+}
@@ -0,0 +1,98 @@
+import { PUBLIC_SUFFIX_RULES } from "./publicSuffixList.js";
+import { Cache } from "./utils.js";
+
+const domainCache = new Cache(60000); // 1 minute
+
+// Index the suffix rules once: exact rules, wildcard parents ("*.ck" -> "ck") and exceptions ("!www.ck" -> "www.ck")
+const suffixRules = new Set();
+const wildcardSuffixRules = new Set();
+const exceptionSuffixRules = new Set();
+for (const rule of PUBLIC_SUFFIX_RULES) {
+    if (rule.startsWith("!")) {
+        exceptionSuffixRules.add(rule.slice(1));
+    } else if (rule.startsWith("*.")) {
+        wildcardSuffixRules.add(rule.slice(2));
+    } else {
+        suffixRules.add(rule);
+    }
+}
+
+// Check whether a hostname is an IPv4 or IPv6 address, which has no public suffix
+export function isIpAddress(hostname) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.startsWith("[");
+}
+
+// Find the public suffix of a hostname (e.g. "co.uk" for "news.bbc.co.uk")
+export function getPublicSuffix(hostname) {
+    const labels = hostname.toLowerCase().split(".");
+
+    // Walk from the longest candidate to the shortest so the longest matching rule wins
+    for (let i = 0; i < labels.length; i++) {
+        const candidate = labels.slice(i).join(".");
+
+        // Exception rules take priority and drop their leftmost label
+        if (exceptionSuffixRules.has(candidate)) {
+            return labels.slice(i + 1).join(".");
+        }
+        if (suffixRules.has(candidate) || wildcardSuffixRules.has(labels.slice(i + 1).join("."))) {
+            return candidate;
+        }
+    }
+
+    // Default rule "*": the last label is the suffix
+    return labels[labels.length - 1];
+}
+
+// Get the registrable domain of a hostname: its public suffix plus one label
+export function getRegistrableDomain(hostname) {
+    if (!hostname.includes(".") || isIpAddress(hostname)) return hostname;
+
+    const suffix = getPublicSuffix(hostname);
+    if (hostname === suffix) return hostname;
+
+    const labels = hostname.slice(0, -suffix.length - 1).split(".");
+    return `${labels[labels.length - 1]}.${suffix}`;
+}
+
+// Strip the public suffix from a domain to get a default group title ("bbc.co.uk" -> "bbc")
+export function stripPublicSuffix(domain) {
+    if (!domain.includes(".") || isIpAddress(domain)) return domain;
+
+    const suffix = getPublicSuffix(domain);
+    return domain === suffix ? domain : domain.slice(0, -suffix.length - 1);
+}
+
+// Get the normalized hostname of a URL, without a leading "www."
+export function getHostname(url) {
+    if (!url) return null;
+
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, "") || null;
+    } catch (error) {
+        console.warn(`Hostname extraction failed for URL: ${url}`, error);
+        return null;
+    }
+}
+
+// Extract the registrable domain from URL and cache the result
+export async function getDomain(url) {
+    if (!url) return null;
+
+    const cachedDomain = domainCache.get(url);
+    if (cachedDomain) return cachedDomain;
+
+    try {
+        const hostname = getHostname(url);
+        const domain = hostname ? getRegistrableDomain(hostname) : null;
+
+        // Validate domain before caching
+        if (domain) {
+            domainCache.set(url, domain);
+            return domain;
+        }
+        return null;
+    } catch (error) {
+        console.warn(`Domain extraction failed for URL: ${url}`, error);
+        return null;
+    }
+}
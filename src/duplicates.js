@@ -0,0 +1,179 @@
+import { getLockedGroupTitles, getManagedGroupName, getOwnership } from "./ownership.js";
+import { getGroupRules, ruleNamesTitle } from "./rules.js";
+import { StorageManager, SessionStorageManager } from "./storage.js";
+import { DEBUG_MODE } from "./utils.js";
+
+// How duplicates are found and what happens to them, editable in the popup
+export const DEFAULT_DUPLICATE_OPTIONS = {
+    policy: "highlight", // "off", "highlight", "close" (older copies) or "ask" (list them in the popup)
+    ignoreHash: true,
+    ignoreTracking: true, // Drop utm_* and click-id parameters before comparing
+    ignoreScheme: true // Treat http and https as the same page
+};
+
+export const DUPLICATE_POLICIES = ["off", "highlight", "close", "ask"];
+
+// Query parameters that only track where a visit came from; entries ending in * are prefixes
+export const TRACKING_PARAMS = [
+    "utm_*", "fbclid", "gclid", "dclid", "gbraid", "wbraid", "msclkid", "yclid", "twclid", "igshid",
+    "mc_cid", "mc_eid", "_ga", "_gl", "_hsenc", "_hsmi", "mkt_tok", "ref_src"
+];
+
+const BADGE_COLOR = "#e06c75";
+
+// Get the duplicate options merged over their defaults
+export async function getDuplicateOptions() {
+    return { ...DEFAULT_DUPLICATE_OPTIONS, ...(await StorageManager.get("duplicateOptions")) };
+}
+
+function isTrackingParam(name) {
+    const lowerName = name.toLowerCase();
+    return TRACKING_PARAMS.some(param => param.endsWith("*")
+        ? lowerName.startsWith(param.slice(0, -1))
+        : lowerName === param);
+}
+
+// Normalize a web page URL for comparison, or return null for pages that are never duplicates
+// (new tab pages, browser pages and anything else that isn't http or https)
+export function normalizeUrl(url, options = DEFAULT_DUPLICATE_OPTIONS) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        return null;
+    }
+    if (parsedUrl.protocol !== "http:" && parsedUrl.protocol !== "https:") return null;
+
+    if (options.ignoreScheme) parsedUrl.protocol = "https:";
+    if (options.ignoreHash) parsedUrl.hash = "";
+    if (options.ignoreTracking) {
+        [...parsedUrl.searchParams.keys()]
+            .filter(isTrackingParam)
+            .forEach(name => parsedUrl.searchParams.delete(name));
+    }
+    return parsedUrl.toString();
+}
+
+// Find the sets of tabs showing the same page. Each set keeps one tab, preferring a pinned tab, then the
+// active tab, then the newest, and lists the others as its duplicates: [{ url, keep, duplicates }]
+export function findDuplicates(tabs, options) {
+    const tabsByUrl = new Map();
+    for (const tab of tabs) {
+        const url = normalizeUrl(tab.url, options);
+        if (!url) continue;
+        if (!tabsByUrl.has(url)) tabsByUrl.set(url, []);
+        tabsByUrl.get(url).push(tab);
+    }
+
+    const sets = [];
+    for (const [url, copies] of tabsByUrl) {
+        if (copies.length < 2) continue;
+        const [keep, ...duplicates] = [...copies].sort((a, b) =>
+            Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) ||
+            Number(Boolean(b.active)) - Number(Boolean(a.active)) ||
+            b.id - a.id);
+        sets.push({ url, keep, duplicates });
+    }
+    return sets;
+}
+
+// Count the duplicates inside each group, by group title
+export function countDuplicatesByGroup(sets, groups) {
+    const counts = {};
+    for (const { duplicates } of sets) {
+        for (const tab of duplicates) {
+            const group = groups.find(group => group.id === tab.groupId);
+            if (!group || !group.title) continue;
+            counts[group.title] = (counts[group.title] || 0) + 1;
+        }
+    }
+    return counts;
+}
+
+// Mark every tab of a duplicate set with the number of copies on the toolbar button, clearing marks on
+// tabs that are no longer duplicates so they show the global group and tab counts again
+async function updateBadges(sets, previouslyBadgedTabIds) {
+    const badges = new Map();
+    for (const { keep, duplicates } of sets) {
+        [keep, ...duplicates].forEach(tab => badges.set(tab.id, `×${duplicates.length + 1}`));
+    }
+
+    const cleared = previouslyBadgedTabIds.filter(tabId => !badges.has(tabId));
+    await Promise.allSettled([
+        ...[...badges].flatMap(([tabId, text]) => [
+            chrome.action.setBadgeText({ tabId, text }),
+            chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE_COLOR })
+        ]),
+        ...cleared.map(tabId => chrome.action.setBadgeText({ tabId, text: null }))
+    ]);
+    return [...badges.keys()];
+}
+
+// Find duplicates in a window and apply the duplicate policy. The sets still open, the number of
+// duplicates per group title and per rule are kept in session storage under duplicates[windowId] for the
+// popup. Closing never touches pinned, active or audible tabs, or tabs in locked groups.
+export async function handleDuplicates(windowId) {
+    try {
+        const [options, tabs, groups, groupRules, ownership, lockedTitles, allWindowDuplicates, windows] = await Promise.all([
+            getDuplicateOptions(),
+            chrome.tabs.query({ windowId }),
+            chrome.tabGroups.query({ windowId }),
+            getGroupRules(),
+            getOwnership(),
+            getLockedGroupTitles(),
+            SessionStorageManager.get("duplicates"),
+            chrome.windows.getAll()
+        ]);
+        const previous = allWindowDuplicates[windowId] || { badgedTabIds: [] };
+
+        let sets = options.policy === "off" ? [] : findDuplicates(tabs, options);
+
+        if (options.policy === "close") {
+            const lockedGroupIds = groups.filter(group => lockedTitles.includes(group.title)).map(group => group.id);
+            const isClosable = tab => !tab.pinned && !tab.active && !tab.audible && !lockedGroupIds.includes(tab.groupId);
+            const closableTabIds = sets.flatMap(set => set.duplicates.filter(isClosable)).map(tab => tab.id);
+
+            if (closableTabIds.length) {
+                await chrome.tabs.remove(closableTabIds);
+                if (DEBUG_MODE) console.debug(`Closed ${closableTabIds.length} duplicate tabs in window ${windowId}`);
+            }
+            sets = sets
+                .map(set => ({ ...set, duplicates: set.duplicates.filter(tab => !closableTabIds.includes(tab.id)) }))
+                .filter(set => set.duplicates.length);
+        }
+
+        const badgedTabIds = await updateBadges(options.policy === "highlight" ? sets : [], previous.badgedTabIds);
+
+        const counts = countDuplicatesByGroup(sets, groups);
+        // Titles may carry counts or emoji, so rules are matched against the name each group was given
+        const ruleCounts = {};
+        for (const group of groups) {
+            const count = counts[group.title];
+            if (!count) continue;
+            groupRules
+                .filter(rule => ruleNamesTitle(rule, getManagedGroupName(group, ownership)))
+                .forEach(rule => {
+                    ruleCounts[rule.id] = (ruleCounts[rule.id] || 0) + count;
+                });
+        }
+
+        // Drop windows that have since closed
+        const openWindowIds = new Set(windows.map(window => String(window.id)));
+        const duplicates = Object.fromEntries(Object.entries(allWindowDuplicates)
+            .filter(([id]) => openWindowIds.has(id)));
+        duplicates[windowId] = {
+            sets: sets.map(({ url, keep, duplicates: copies }) => ({
+                url,
+                title: keep.title,
+                keepTabId: keep.id,
+                tabIds: copies.map(tab => tab.id)
+            })),
+            counts,
+            ruleCounts,
+            badgedTabIds
+        };
+        await SessionStorageManager.set("duplicates", duplicates);
+    } catch (error) {
+        console.error("Error handling duplicate tabs:", error);
+    }
+}
@@ -0,0 +1,461 @@
+import { chooseGroupColor, getGroupColors, pickDistinctColor } from "./colors.js";
+import { groupTabsByContent, planContentGrouping } from "./content.js";
+import { stripPublicSuffix } from "./domains.js";
+import { handleDuplicates } from "./duplicates.js";
+import { enforceTabLimits, findOversizedGroups } from "./limits.js";
+import {
+    getOwnership, saveOwnership, getLockedGroupTitles, getManagedGroupName, isHeldTab, isManagedGroup, isManagedMembership
+} from "./ownership.js";
+import {
+    applyOpenerNames, applyOverflowNames, describeOperation, diffGroupingState, getGroupTitle, isGroupTitledAs, planDomainGroups, planTabOrder
+} from "./planner.js";
+import { applyGroupingOperations, applyTabOrder } from "./reconciler.js";
+import {
+    followsOpener, getGroupRules, getGroupNameForUrl, getGroupingOptions, isTabGroupable, getMinGroupSize,
+    getUngroupThreshold, getGroupingStrategy
+} from "./rules.js";
+import { recordGroupsDissolved, recordMappingHits } from "./stats.js";
+import { StorageManager } from "./storage.js";
+import { DEBUG_MODE } from "./utils.js";
+
+// Remove empty groups in a window after tab removal
+export async function removeEmptyGroups(windowId) {
+    try {
+        // Get all data in parallel
+        const [tabs, groups, groupRules, options, ownership, lockedTitles] = await Promise.all([
+            chrome.tabs.query({ windowId }),
+            chrome.tabGroups.query({ windowId }),
+            getGroupRules(),
+            getGroupingOptions(),
+            getOwnership(),
+            getLockedGroupTitles()
+        ]);
+
+        // Create map of group IDs to tab counts for faster lookup
+        const groupCounts = tabs.reduce((acc, tab) => {
+            if (tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) {
+                acc[tab.groupId] = (acc[tab.groupId] || 0) + 1;
+            }
+            return acc;
+        }, {});
+
+        // Find the extension's groups below their ungroup threshold; user groups may be any size
+        const groupsToUngroup = groups.filter(group => 
+            isManagedGroup(group, ownership, lockedTitles) &&
+            (groupCounts[group.id] || 0) < getUngroupThreshold(getManagedGroupName(group, ownership), groupRules, options)
+        );
+
+        // Bulk ungroup operation for efficiency
+        if (groupsToUngroup.length) {
+            const tabsToUngroup = tabs.filter(tab => 
+                groupsToUngroup.some(group => group.id === tab.groupId)
+            ).map(tab => tab.id);
+
+            if (tabsToUngroup.length) {
+                await applyGroupingOperations([{ type: "ungroup", tabIds: tabsToUngroup, reason: "too few tabs left in the group" }]);
+            }
+            await recordGroupsDissolved(groupsToUngroup.map(group => getManagedGroupName(group, ownership)));
+        }
+    } catch (error) {
+        console.error("Error in removeEmptyGroups:", error.message);
+        throw error; // Re-throw to allow caller to handle
+    }
+}
+
+// Ungroup all tabs in a window
+export async function ungroupAllTabs(windowId) {
+    try {
+        const [tabs, groups, lockedTitles] = await Promise.all([
+            chrome.tabs.query({ windowId }),
+            chrome.tabGroups.query({ windowId }),
+            getLockedGroupTitles()
+        ]);
+        const lockedGroupIds = groups.filter(group => lockedTitles.includes(group.title)).map(group => group.id);
+
+        // Ungroup all tabs in the window in one call, except those in locked groups
+        const tabIds = tabs
+            .filter(tab => tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE && !lockedGroupIds.includes(tab.groupId))
+            .map(tab => tab.id);
+        await applyGroupingOperations(tabIds.length ? [{ type: "ungroup", tabIds, reason: "ungrouping all tabs" }] : []);
+    } catch (error) {
+        console.error("Error ungrouping tabs:", error);
+    }
+}
+
+// Put a window's tabs in the configured order: ungrouped tabs at the start or end, groups sorted and the
+// tabs of the extension's own groups sorted inside them
+export async function orderTabs(windowId) {
+    const startTime = performance.now();
+    try {
+        const [tabs, groups, groupRules, options, ownership, lockedTitles] = await Promise.all([
+            chrome.tabs.query({ windowId }),
+            chrome.tabGroups.query({ windowId }),
+            getGroupRules(),
+            getGroupingOptions(),
+            getOwnership(),
+            getLockedGroupTitles()
+        ]);
+
+        // Groups the user made or locked are moved as a whole but keep their own tab order
+        const sortableGroupIds = groups
+            .filter(group => isManagedGroup(group, ownership, lockedTitles))
+            .map(group => group.id);
+        const namedGroups = groups.map(group => ({ ...group, name: getManagedGroupName(group, ownership) }));
+        const blocks = planTabOrder({ tabs, groups: namedGroups, groupRules, options, sortableGroupIds });
+        const apiCalls = await applyTabOrder(tabs, blocks);
+
+        if (DEBUG_MODE) {
+            const duration = performance.now() - startTime;
+            console.debug(`Ordered tabs in window ${windowId} with ${apiCalls} API calls in ${duration.toFixed(2)}ms`);
+        }
+    } catch (error) {
+        console.error("Error ordering tabs:", error);
+    }
+}
+
+export async function checkAndUngroupTab(tab) {
+    try {
+        // Skip if tab isn't in a group
+        if (tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) return;
+
+        // Only tabs the extension grouped, in groups it still manages, are ever kicked out
+        const [ownership, lockedTitles, currentGroup] = await Promise.all([
+            getOwnership(),
+            getLockedGroupTitles(),
+            chrome.tabGroups.get(tab.groupId)
+        ]);
+        if (!isManagedMembership(tab, ownership) || !isManagedGroup(currentGroup, ownership, lockedTitles)) return;
+
+        // A tab that navigated to an ignored or excluded page leaves its group
+        const options = await getGroupingOptions();
+        if (!isTabGroupable(tab, options)) {
+            await applyGroupingOperations([{ type: "ungroup", tabIds: [tab.id], reason: "its page is not grouped" }]);
+            return;
+        }
+
+        // Content groups aren't tied to a domain, so navigation never invalidates them
+        if (await getGroupingStrategy() === "content") return;
+
+        // A tab that followed the tab it was opened from stays with it, wherever it navigates
+        const groupRules = await getGroupRules();
+        if (tab.openerTabId !== undefined && followsOpener(tab.url, groupRules, options)) {
+            const opener = await chrome.tabs.get(tab.openerTabId).catch(() => null);
+            if (opener && opener.groupId === tab.groupId) return;
+        }
+
+        const expectedGroupName = await getGroupNameForUrl(tab.url, groupRules);
+        const group = currentGroup;
+
+        if (!expectedGroupName || !group) return;
+
+        // Compare against the group name groupTabsByDomain would assign
+        const groupName = getManagedGroupName(group, ownership).toLowerCase();
+        const expectedName = expectedGroupName.toLowerCase();
+
+        // Only ungroup if names definitely don't match
+        if (groupName !== expectedName &&
+            !groupName.includes(expectedName) &&
+            !expectedName.includes(groupName)) {
+            await applyGroupingOperations([{ type: "ungroup", tabIds: [tab.id], reason: `its page belongs in "${expectedGroupName}"` }]);
+        }
+    } catch (error) {
+        console.error("Error checking tab group:", error);
+    }
+}
+
+// Take tabs out of the extension's groups wherever their pages now belong in another group, as after a
+// workspace switch changes every mapping at once, and dissolve the groups that leaves too small
+export async function ungroupMisplacedTabs() {
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+        await checkAndUngroupTab(tab);
+    }
+    for (const windowId of new Set(tabs.map(tab => tab.windowId))) {
+        await removeEmptyGroups(windowId);
+    }
+}
+
+// Bring the extension's groups in a window, or in every window, up to date: rename groups a mapping now
+// names, refresh titles for their current tab count and settle colors. With the "distinct" color strategy,
+// a group sharing its color with a neighboring group is recolored unless that color is mapped to its name.
+export async function updateExistingGroups(windowId) {
+    try {
+        // Fetch all data in parallel
+        const query = windowId === undefined ? {} : { windowId };
+        const [groupRules, options, groupColors, allGroups, tabs, ownership, lockedTitles] = await Promise.all([
+            getGroupRules(),
+            getGroupingOptions(),
+            getGroupColors(),
+            chrome.tabGroups.query(query),
+            chrome.tabs.query(query),
+            getOwnership(),
+            getLockedGroupTitles()
+        ]);
+
+        // Groups in tab strip order, window by window
+        const stripGroups = [...new Set(tabs.map(tab => tab.groupId))]
+            .map(groupId => allGroups.find(group => group.id === groupId))
+            .filter(Boolean);
+
+        // Work out the name, title and color of every group the extension manages
+        const planned = new Map();
+        for (const group of stripGroups) {
+            // Groups the user created or locked keep their own title and color
+            if (!isManagedGroup(group, ownership, lockedTitles)) continue;
+
+            // A mapping for the group's domain or name renames it; only domain rules have a default name to match
+            let groupName = getManagedGroupName(group, ownership);
+            const matchingRule = groupRules.find(rule => {
+                const trimmedDomain = rule.type === "domain" ? stripPublicSuffix(rule.pattern).toLowerCase() : null;
+                return groupName.toLowerCase() === trimmedDomain ||
+                       groupName.toLowerCase() === rule.groupName.toLowerCase();
+            });
+            if (matchingRule) groupName = matchingRule.groupName;
+
+            const count = tabs.filter(tab => tab.groupId === group.id).length;
+            planned.set(group.id, {
+                groupName,
+                title: getGroupTitle(groupName, { count, groupRules, template: options.titleTemplate }),
+                color: await chooseGroupColor(groupName, { currentColor: group.color, strategy: options.colorStrategy })
+            });
+        }
+
+        if (options.colorStrategy !== "name") {
+            const colorOf = group => (planned.get(group.id) || group).color;
+            stripGroups.forEach((group, index) => {
+                const plan = planned.get(group.id);
+                if (!plan || groupColors[plan.groupName]) return;
+
+                const neighborColors = [stripGroups[index - 1], stripGroups[index + 1]]
+                    .filter(neighbor => neighbor && neighbor.windowId === group.windowId)
+                    .map(colorOf);
+                if (!neighborColors.includes(plan.color)) return;
+
+                const usedColors = stripGroups
+                    .filter(other => other !== group && other.windowId === group.windowId)
+                    .map(colorOf);
+                plan.color = pickDistinctColor(plan.color, usedColors, neighborColors);
+            });
+        }
+
+        // Plan an update for every group whose name, title or color changed
+        const operations = [];
+        for (const group of stripGroups) {
+            const plan = planned.get(group.id);
+            if (!plan) continue;
+            if (group.title !== plan.title || group.color !== plan.color || getManagedGroupName(group, ownership) !== plan.groupName) {
+                operations.push({ type: "update", groupId: group.id, ...plan, previousTitle: group.title });
+            }
+        }
+
+        await applyGroupingOperations(operations);
+
+    } catch (error) {
+        console.error("Error updating existing groups:", error);
+        throw error;
+    }
+}
+
+// Group ids change across browser restarts, leaving session ownership empty; adopt groups whose title
+// is exactly what the extension would title all of their tabs, so they are managed again
+export async function adoptExistingGroups() {
+    const ownership = await getOwnership();
+    if (ownership.adopted) return;
+
+    try {
+        const [groups, tabs, groupRules, options] = await Promise.all([
+            chrome.tabGroups.query({}),
+            chrome.tabs.query({}),
+            getGroupRules(),
+            getGroupingOptions()
+        ]);
+
+        for (const group of groups) {
+            const members = tabs.filter(tab => tab.groupId === group.id);
+            const names = await Promise.all(members.map(tab => getGroupNameForUrl(tab.url, groupRules)));
+            const titleOptions = { count: members.length, groupRules, template: options.titleTemplate };
+            if (members.length === 0 || !names.every(name => name && isGroupTitledAs(group, name, titleOptions))) continue;
+
+            ownership.groups[group.id] = { title: group.title, color: group.color, name: names[0] };
+            members.forEach(tab => {
+                ownership.tabs[tab.id] = group.id;
+            });
+        }
+
+        ownership.adopted = true;
+        await saveOwnership();
+    } catch (error) {
+        console.error("Error adopting existing groups:", error);
+    }
+}
+
+// Get the normal windows tabs can be moved between, i.e. those sharing the window's incognito state
+async function getConsolidationWindowIds(windowId) {
+    const windows = await chrome.windows.getAll({ windowTypes: ["normal"] });
+    const sourceWindow = windows.find(window => window.id === windowId);
+    return windows
+        .filter(window => !sourceWindow || window.incognito === sourceWindow.incognito)
+        .map(window => window.id);
+}
+
+// Resolve the windows a manual or startup operation applies to
+export async function getTargetWindowIds(windowId) {
+    const groupAllWindows = await StorageManager.get("groupAllWindows", false);
+    if (groupAllWindows) {
+        const windows = await chrome.windows.getAll({ windowTypes: ["normal"] });
+        return windows.map(window => window.id);
+    }
+    if (windowId !== undefined) return [windowId];
+
+    try {
+        const lastFocused = await chrome.windows.getLastFocused({ windowTypes: ["normal"] });
+        return [lastFocused.id];
+    } catch (error) {
+        // No normal window is open
+        return [];
+    }
+}
+
+// Plan a domain grouping pass for a window: gather its tabs and groups, work out the desired groups and
+// diff them against the current ones. Nothing is changed in the browser.
+export async function planDomainGrouping(windowId) {
+    const startTime = performance.now();
+
+    const [groupRules, consolidate, options, ownership, lockedTitles] = await Promise.all([
+        getGroupRules(),
+        StorageManager.get("consolidateWindows", false),
+        getGroupingOptions(),
+        getOwnership(),
+        getLockedGroupTitles()
+    ]);
+
+    const windowIds = new Set(consolidate ? await getConsolidationWindowIds(windowId) : [windowId]);
+    const [allTabs, allGroups] = await Promise.all([
+        chrome.tabs.query(consolidate ? {} : { windowId }),
+        chrome.tabGroups.query(consolidate ? {} : { windowId })
+    ]);
+    const tabs = allTabs.filter(tab => windowIds.has(tab.windowId));
+    // Only the extension's own, unlocked groups are joined or merged
+    const existingGroups = allGroups.filter(group =>
+        windowIds.has(group.windowId) && isManagedGroup(group, ownership, lockedTitles));
+
+    // Name every groupable tab, leaving out tabs an undo put back outside any group, then let tabs opened
+    // from another tab follow it where the opener mode says so, and tabs past a group's cap spill over
+    const ownNames = new Map();
+    for (const tab of tabs) {
+        if (!isTabGroupable(tab, options) || isHeldTab(tab, ownership)) continue;
+        ownNames.set(tab.id, await getGroupNameForUrl(tab.url, groupRules));
+    }
+    const openerNames = applyOpenerNames({ tabs, groupNames: ownNames, groups: existingGroups, groupRules, options, ownership });
+    const groupNames = applyOverflowNames({ tabs, groupNames: openerNames, groups: existingGroups, groupRules, options, ownership });
+
+    // Pick a color for every name that has or will get a group; new groups avoid colors already in the window
+    const usedColors = allGroups.filter(group => group.windowId === windowId).map(group => group.color);
+    const colors = new Map();
+    for (const groupName of new Set(groupNames.values())) {
+        if (!groupName) continue;
+        const existingGroup = existingGroups.find(group => getManagedGroupName(group, ownership) === groupName);
+        const tabCount = [...groupNames.values()].filter(name => name === groupName).length;
+        if (!existingGroup && tabCount < getMinGroupSize(groupName, groupRules, options)) continue;
+
+        const color = await chooseGroupColor(groupName, {
+            currentColor: existingGroup && existingGroup.color, usedColors, strategy: options.colorStrategy
+        });
+        colors.set(groupName, color);
+        usedColors.push(color);
+    }
+
+    const desiredGroups = planDomainGroups({
+        tabs, groups: existingGroups, groupNames, colors, windowId, consolidate, groupRules, options, ownership
+    });
+    const operations = diffGroupingState(desiredGroups, existingGroups);
+
+    return {
+        operations,
+        tabs,
+        metrics: { tabCount: tabs.length, groupCount: desiredGroups.length, planMs: performance.now() - startTime }
+    };
+}
+
+// Group tabs by domain in a window; when consolidating, matching tabs from other windows are pulled in too
+export async function groupTabsByDomain(windowId) {
+    try {
+        const { operations, tabs, metrics } = await planDomainGrouping(windowId);
+
+        // Windows that lose tabs to consolidation and may be left with single-tab groups
+        const movedTabIds = new Set(operations.filter(operation => operation.type === "move").flatMap(operation => operation.tabIds));
+        const sourceWindowIds = new Set(tabs.filter(tab => movedTabIds.has(tab.id)).map(tab => tab.windowId));
+
+        const applyStart = performance.now();
+        const apiCalls = await applyGroupingOperations(operations);
+
+        // Count the mappings behind the tabs this pass put in groups
+        const groupedTabIds = new Set(operations
+            .filter(operation => operation.type === "create" || operation.type === "join")
+            .flatMap(operation => operation.tabIds));
+        await recordMappingHits(tabs.filter(tab => groupedTabIds.has(tab.id)));
+
+        for (const sourceWindowId of sourceWindowIds) {
+            await removeEmptyGroups(sourceWindowId);
+        }
+
+        if (DEBUG_MODE) {
+            const applyMs = performance.now() - applyStart;
+            console.debug(`Grouped ${metrics.tabCount} tabs in window ${windowId}: planned ${operations.length} operations ` +
+                `in ${metrics.planMs.toFixed(2)}ms, applied them with ${apiCalls} API calls in ${applyMs.toFixed(2)}ms`);
+        }
+
+    } catch (error) {
+        console.error("Tab grouping error:", error);
+    }
+}
+
+// Preview what grouping the given windows would do, as lines of text, without changing anything
+export async function previewGrouping(windowIds) {
+    if (await getGroupingStrategy() === "content") {
+        const plans = await Promise.all(windowIds.map(planContentGrouping));
+        return plans.flatMap(plan => plan.operations.map(describeOperation));
+    }
+
+    const plans = await Promise.all(windowIds.map(planDomainGrouping));
+    return plans.flatMap(plan => plan.operations.map(describeOperation));
+}
+
+// Under the "split" overflow policy, take the tabs past their cap out of the extension's groups in a window,
+// last in the tab strip first, and regroup it so they land in numbered groups such as "github 2". Content
+// groups have no domain name to number, so they are never split.
+export async function splitOversizedGroups(windowId) {
+    const [groupRules, options, ownership, lockedTitles, strategy] = await Promise.all([
+        getGroupRules(),
+        getGroupingOptions(),
+        getOwnership(),
+        getLockedGroupTitles(),
+        getGroupingStrategy()
+    ]);
+    if (options.overflowPolicy !== "split" || strategy === "content") return;
+
+    const [tabs, groups] = await Promise.all([chrome.tabs.query({ windowId }), chrome.tabGroups.query({ windowId })]);
+    const tabIds = findOversizedGroups({ tabs, groups, groupRules, options, ownership, lockedTitles })
+        .flatMap(({ maxTabs, tabs: groupTabs }) => groupTabs.slice(maxTabs).map(tab => tab.id));
+    if (tabIds.length === 0) return;
+
+    await applyGroupingOperations([{ type: "ungroup", tabIds, reason: "its group is over its tab limit" }]);
+    await groupTabsByDomain(windowId);
+}
+
+// Bring a window's groups, and the tabs open across all windows, within their caps with the overflow policy
+export async function applyTabLimits(windowId) {
+    await splitOversizedGroups(windowId);
+    await enforceTabLimits(windowId);
+}
+
+// Group a window with the configured strategy, hold groups to their caps, deal with duplicate tabs, put its
+// groups and tabs in order, then refresh titles and colors for the final counts and neighbors
+export async function groupTabs(windowId) {
+    const strategy = await getGroupingStrategy();
+    await (strategy === "content" ? groupTabsByContent(windowId) : groupTabsByDomain(windowId));
+    await applyTabLimits(windowId);
+    await handleDuplicates(windowId);
+    await orderTabs(windowId);
+    await updateExistingGroups(windowId);
+}
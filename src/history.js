@@ -0,0 +1,171 @@
+import { recordActivity } from "./activity.js";
+import { getOwnership, groupManagedTabs, holdTabs, updateManagedGroup } from "./ownership.js";
+import { SessionStorageManager } from "./storage.js";
+import { DEBUG_MODE } from "./utils.js";
+
+// Undo and redo for bulk grouping operations. Each entry records, for the tabs and groups an operation
+// changed, where they were before and after it: { label, time, before, after }, where a state is
+// { tabs: { [tabId]: groupId }, groups: { [groupId]: { title, color, collapsed, windowId, name } } } and name
+// is the group name of a group the extension managed. Tab and group ids only last a browser session, so the
+// history is kept in session storage as { undo, redo, groupIds }, where groupIds maps ids of groups that
+// were dissolved and recreated by an undo or redo to the ids of their replacements.
+const HISTORY_KEY = "groupHistory";
+
+// Most operations kept to undo
+export const MAX_HISTORY_ENTRIES = 20;
+
+// Same value as chrome.tabGroups.TAB_GROUP_ID_NONE
+const TAB_GROUP_ID_NONE = -1;
+
+export async function getHistory() {
+    const history = await SessionStorageManager.get(HISTORY_KEY, null);
+    return history || { undo: [], redo: [], groupIds: {} };
+}
+
+async function saveHistory(history) {
+    await SessionStorageManager.set(HISTORY_KEY, history);
+}
+
+// Read where every tab is and the properties of every group, across all windows
+async function captureState() {
+    const [tabs, groups, ownership] = await Promise.all([
+        chrome.tabs.query({}),
+        chrome.tabGroups.query({}),
+        getOwnership()
+    ]);
+    return {
+        tabs: Object.fromEntries(tabs.map(tab => [tab.id, tab.groupId])),
+        groups: Object.fromEntries(groups.map(group => {
+            const owned = ownership.groups[group.id];
+            const name = owned ? owned.name || group.title : null;
+            return [group.id, { title: group.title, color: group.color, collapsed: group.collapsed, windowId: group.windowId, name }];
+        }))
+    };
+}
+
+function sameGroupProperties(a, b) {
+    return Boolean(a) && Boolean(b) && a.title === b.title && a.color === b.color && a.collapsed === b.collapsed;
+}
+
+// Cut two full states down to what differs between them: tabs that changed groups, and the groups those
+// tabs were in or that changed their own properties. Returns null when nothing changed.
+function diffStates(before, after) {
+    const tabIds = Object.keys(before.tabs).filter(tabId => tabId in after.tabs && before.tabs[tabId] !== after.tabs[tabId]);
+    const groupIds = new Set(Object.keys(before.groups)
+        .filter(groupId => groupId in after.groups && !sameGroupProperties(before.groups[groupId], after.groups[groupId])));
+    for (const tabId of tabIds) {
+        groupIds.add(String(before.tabs[tabId]));
+        groupIds.add(String(after.tabs[tabId]));
+    }
+    if (tabIds.length === 0 && groupIds.size === 0) return null;
+
+    const pick = state => ({
+        tabs: Object.fromEntries(tabIds.map(tabId => [tabId, state.tabs[tabId]])),
+        groups: Object.fromEntries([...groupIds].filter(groupId => groupId in state.groups).map(groupId => [groupId, state.groups[groupId]]))
+    });
+    return { before: pick(before), after: pick(after) };
+}
+
+// Run a bulk operation, recording what it changed so it can be undone. Operations that change nothing
+// aren't recorded, and a new operation clears what could be redone.
+export async function withHistory(label, operation) {
+    const before = await captureState();
+    try {
+        return await operation();
+    } finally {
+        const changes = diffStates(before, await captureState());
+        if (changes) {
+            const history = await getHistory();
+            history.undo = [...history.undo, { label, time: Date.now(), ...changes }].slice(-MAX_HISTORY_ENTRIES);
+            history.redo = [];
+            await saveHistory(history);
+        }
+    }
+}
+
+// Put tabs and groups back the way a recorded state has them, for tabs that still exist. Groups that were
+// dissolved since are recreated, with the extension's ownership if it managed them, and recorded in
+// groupIds. Tabs going back outside any group are held out of automatic grouping so the next pass doesn't
+// undo the undo.
+async function restoreState(state, groupIds) {
+    const resolve = groupId => groupIds[groupId] ?? groupId;
+    const [tabs, groups] = await Promise.all([chrome.tabs.query({}), chrome.tabGroups.query({})]);
+    const openTabIds = new Set(tabs.map(tab => tab.id));
+    const openGroupIds = new Set(groups.map(group => group.id));
+
+    // Tabs by the group they go back to
+    const tabsByGroup = new Map();
+    for (const [tabId, groupId] of Object.entries(state.tabs)) {
+        if (!openTabIds.has(Number(tabId))) continue;
+        const target = groupId === TAB_GROUP_ID_NONE ? TAB_GROUP_ID_NONE : resolve(groupId);
+        if (!tabsByGroup.has(target)) tabsByGroup.set(target, []);
+        tabsByGroup.get(target).push(Number(tabId));
+    }
+
+    const ungroupTabIds = tabsByGroup.get(TAB_GROUP_ID_NONE) || [];
+    if (ungroupTabIds.length) {
+        await holdTabs(ungroupTabIds);
+        await chrome.tabs.ungroup(ungroupTabIds);
+    }
+
+    for (const [groupId, tabIds] of tabsByGroup) {
+        if (groupId === TAB_GROUP_ID_NONE) continue;
+        const properties = Object.entries(state.groups).find(([recordedId]) => resolve(Number(recordedId)) === groupId);
+        const managed = properties && properties[1].name !== null;
+
+        if (openGroupIds.has(groupId)) {
+            await (managed ? groupManagedTabs(tabIds, { groupId }) : chrome.tabs.group({ groupId, tabIds }));
+            continue;
+        }
+
+        // The group is gone; recreate it in its window, or wherever its first tab is now
+        const windowId = properties && (await chrome.windows.getAll()).some(window => window.id === properties[1].windowId)
+            ? properties[1].windowId
+            : tabs.find(tab => tab.id === tabIds[0]).windowId;
+        const createProperties = { createProperties: { windowId } };
+        const newGroupId = await (managed ? groupManagedTabs(tabIds, createProperties) : chrome.tabs.group({ tabIds, ...createProperties }));
+        groupIds[properties ? properties[0] : groupId] = newGroupId;
+        openGroupIds.add(newGroupId);
+    }
+
+    // Titles, colors and collapsed state of every recorded group that is open
+    for (const [recordedId, { title, color, collapsed, name }] of Object.entries(state.groups)) {
+        const groupId = resolve(Number(recordedId));
+        if (!openGroupIds.has(groupId)) continue;
+        if (name !== null) {
+            await updateManagedGroup(groupId, { title, color }, name);
+            await chrome.tabGroups.update(groupId, { collapsed });
+        } else {
+            await chrome.tabGroups.update(groupId, { title, color, collapsed });
+        }
+    }
+}
+
+// Undo the latest recorded operation, making it available to redo; returns its label, or null when there
+// is nothing to undo
+export async function undoOperation() {
+    const history = await getHistory();
+    const entry = history.undo.pop();
+    if (!entry) return null;
+
+    await restoreState(entry.before, history.groupIds);
+    history.redo.push(entry);
+    await saveHistory(history);
+    await recordActivity({ action: "undo", tabIds: Object.keys(entry.before.tabs).map(Number), groupId: null, label: entry.label });
+    if (DEBUG_MODE) console.debug(`Undid "${entry.label}"`);
+    return entry.label;
+}
+
+// Redo the latest undone operation; returns its label, or null when there is nothing to redo
+export async function redoOperation() {
+    const history = await getHistory();
+    const entry = history.redo.pop();
+    if (!entry) return null;
+
+    await restoreState(entry.after, history.groupIds);
+    history.undo.push(entry);
+    await saveHistory(history);
+    await recordActivity({ action: "redo", tabIds: Object.keys(entry.after.tabs).map(Number), groupId: null, label: entry.label });
+    if (DEBUG_MODE) console.debug(`Redid "${entry.label}"`);
+    return entry.label;
+}
@@ -0,0 +1,149 @@
+import { getLockedGroupTitles, getManagedGroupName, getOwnership, isManagedGroup } from "./ownership.js";
+import { getGroupRules, getGroupingOptions, getMaxGroupTabs } from "./rules.js";
+import { LocalStorageManager } from "./storage.js";
+import { DEBUG_MODE } from "./utils.js";
+
+// Most entries kept in the closed-tabs restore list
+const MAX_CLOSED_TABS = 100;
+
+// Badge colors for the group and tab counts, and for counts over a cap under the "warn" policy
+const BADGE_COLOR = "#5f6368";
+const BADGE_WARNING_COLOR = "#e06c75";
+
+// Close tabs, remembering them newest first in the restore list the popup offers, with the title and color
+// of the group each one was in so it can rejoin or recreate it
+export async function closeTabsToRestoreList(tabs, groups) {
+    const closedTabs = await LocalStorageManager.get("closedTabs", []);
+    const closedAt = Date.now();
+
+    closedTabs.unshift(...tabs.map(tab => {
+        const group = groups.find(candidate => candidate.id === tab.groupId);
+        return {
+            id: `${closedAt}-${tab.id}`,
+            url: tab.url,
+            title: tab.title,
+            groupTitle: group && group.title,
+            groupColor: group && group.color,
+            closedAt
+        };
+    }));
+
+    await LocalStorageManager.set("closedTabs", closedTabs.slice(0, MAX_CLOSED_TABS));
+    await chrome.tabs.remove(tabs.map(tab => tab.id));
+}
+
+// The extension's unlocked groups holding more tabs than their cap, as { group, groupName, maxTabs, tabs }
+// with the tabs in tab strip order. User groups may be any size.
+export function findOversizedGroups({ tabs, groups, groupRules, options, ownership, lockedTitles }) {
+    return groups
+        .filter(group => isManagedGroup(group, ownership, lockedTitles))
+        .map(group => {
+            const groupName = getManagedGroupName(group, ownership);
+            return {
+                group,
+                groupName,
+                maxTabs: getMaxGroupTabs(groupName, groupRules, options),
+                tabs: tabs.filter(tab => tab.groupId === group.id)
+            };
+        })
+        .filter(({ maxTabs, tabs }) => maxTabs > 0 && tabs.length > maxTabs);
+}
+
+// Pick the tabs to discard or close to bring tabs down to a cap, used longest ago first. Discarding only
+// counts loaded tabs; a window's active tab, pinned tabs, tabs playing sound and tabs canPick rejects count
+// toward the cap but are never picked.
+function pickOverflowTabs(tabs, maxTabs, policy, canPick = () => true) {
+    const counted = policy === "discard" ? tabs.filter(tab => !tab.discarded) : tabs;
+    return counted
+        .filter(tab => !tab.active && !tab.pinned && !tab.audible && canPick(tab))
+        .sort((a, b) => (a.lastAccessed || 0) - (b.lastAccessed || 0))
+        .slice(0, Math.max(0, counted.length - maxTabs));
+}
+
+// Bring a window's groups, and the tabs open across all windows, within their caps under the "discard" or
+// "close" overflow policy. The grouping planner does the splitting, and "warn" only shows on the badge.
+export async function enforceTabLimits(windowId) {
+    const [groupRules, options, ownership, lockedTitles] = await Promise.all([
+        getGroupRules(),
+        getGroupingOptions(),
+        getOwnership(),
+        getLockedGroupTitles()
+    ]);
+    const policy = options.overflowPolicy;
+    if (policy !== "discard" && policy !== "close") return;
+
+    const [allTabs, allGroups] = await Promise.all([chrome.tabs.query({}), chrome.tabGroups.query({})]);
+    const oversizedGroups = findOversizedGroups({
+        tabs: allTabs.filter(tab => tab.windowId === windowId),
+        groups: allGroups.filter(group => group.windowId === windowId),
+        groupRules,
+        options,
+        ownership,
+        lockedTitles
+    });
+
+    const picked = new Set();
+    for (const { maxTabs, tabs } of oversizedGroups) {
+        pickOverflowTabs(tabs, maxTabs, policy).forEach(tab => picked.add(tab));
+    }
+    // Tabs already picked for their group count toward the total cap as gone. Tabs in groups the user made
+    // or locked count too, but are left alone.
+    if (options.maxTotalTabs > 0) {
+        const protectedGroupIds = new Set(allGroups
+            .filter(group => !isManagedGroup(group, ownership, lockedTitles))
+            .map(group => group.id));
+        const remaining = allTabs.filter(tab => !picked.has(tab));
+        pickOverflowTabs(remaining, options.maxTotalTabs, policy, tab => !protectedGroupIds.has(tab.groupId))
+            .forEach(tab => picked.add(tab));
+    }
+    if (picked.size === 0) return;
+
+    if (policy === "discard") {
+        await Promise.allSettled([...picked].map(tab => chrome.tabs.discard(tab.id)));
+    } else {
+        await closeTabsToRestoreList([...picked], allGroups);
+    }
+    if (DEBUG_MODE) console.debug(`Tab limits: ${policy === "discard" ? "discarded" : "closed"} ${picked.size} tabs`);
+}
+
+// Lines describing each cap that is exceeded and left to a warning: every cap under "warn", and the total
+// under "split", which only splits groups
+export function getLimitWarnings({ tabs, groups, groupRules, options, ownership, lockedTitles }) {
+    const policy = options.overflowPolicy;
+    const warnings = [];
+    if (policy === "warn") {
+        for (const { groupName, maxTabs, tabs: groupTabs } of findOversizedGroups({ tabs, groups, groupRules, options, ownership, lockedTitles })) {
+            warnings.push(`"${groupName}" has ${groupTabs.length} tabs, over its limit of ${maxTabs}`);
+        }
+    }
+    if ((policy === "warn" || policy === "split") && options.maxTotalTabs > 0 && tabs.length > options.maxTotalTabs) {
+        warnings.push(`${tabs.length} tabs are open, over the limit of ${options.maxTotalTabs}`);
+    }
+    return warnings;
+}
+
+// Show the number of groups and tabs open across all windows on the toolbar button as "groups/tabs", with
+// a hover title spelling them out. A cap exceeded under the "warn" policy turns the badge red and is listed
+// in the title. Per-tab duplicate badges still take precedence on their tabs.
+export async function updateActionBadge() {
+    try {
+        const [tabs, groups, groupRules, options, ownership, lockedTitles] = await Promise.all([
+            chrome.tabs.query({}),
+            chrome.tabGroups.query({}),
+            getGroupRules(),
+            getGroupingOptions(),
+            getOwnership(),
+            getLockedGroupTitles()
+        ]);
+        const warnings = getLimitWarnings({ tabs, groups, groupRules, options, ownership, lockedTitles });
+        const counts = `${groups.length} ${groups.length === 1 ? "group" : "groups"}, ${tabs.length} ${tabs.length === 1 ? "tab" : "tabs"}`;
+
+        await Promise.all([
+            chrome.action.setBadgeText({ text: `${groups.length}/${tabs.length}` }),
+            chrome.action.setBadgeBackgroundColor({ color: warnings.length ? BADGE_WARNING_COLOR : BADGE_COLOR }),
+            chrome.action.setTitle({ title: [`Tab Grouper: ${counts}`, ...warnings].join("\n") })
+        ]);
+    } catch (error) {
+        console.error("Error updating the toolbar badge:", error);
+    }
+}
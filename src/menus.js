@@ -0,0 +1,163 @@
+import { recordActivity } from "./activity.js";
+import { getDomain, stripPublicSuffix } from "./domains.js";
+import { checkAndUngroupTab, removeEmptyGroups } from "./grouping.js";
+import { getLockedGroupTitles } from "./ownership.js";
+import { tabOperationQueue } from "./queue.js";
+import { applyGroupingOperations } from "./reconciler.js";
+import { findMatchingRule, toIgnoreRule } from "./rules.js";
+import { StorageManager } from "./storage.js";
+import { DEBUG_MODE } from "./utils.js";
+
+// Context menu entries on pages, links and the toolbar button. Menus can't be filled in as they open, so
+// the list of groups under "Move this tab to group" is rebuilt whenever groups change.
+const ALWAYS_GROUP_MENU_ID = "alwaysGroupSite";
+const MOVE_TO_GROUP_MENU_ID = "moveTabToGroup";
+const NEVER_GROUP_MENU_ID = "neverGroupSite";
+const UNGROUP_GROUP_MENU_ID = "ungroupGroup";
+
+// Entries under "Move this tab to group" are this prefix followed by the group's title
+const MOVE_TO_GROUP_PREFIX = `${MOVE_TO_GROUP_MENU_ID}:`;
+
+// Site entries apply to the page, the link clicked or the active tab; tab entries make no sense on links
+const SITE_CONTEXTS = ["page", "link", "action"];
+const TAB_CONTEXTS = ["page", "action"];
+
+// Rebuilds run one after another, so removeAll never races a half-built menu
+let menuBuild = Promise.resolve();
+
+// Titles of open groups across all windows, each once and sorted; untitled groups can't be told apart
+async function getOpenGroupTitles() {
+    const groups = await chrome.tabGroups.query({});
+    return [...new Set(groups.map(group => group.title).filter(Boolean))]
+        .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: "base" }));
+}
+
+// Create a menu item, reading lastError so a failed create is logged instead of reported as unchecked
+function createMenuItem(properties) {
+    chrome.contextMenus.create(properties, () => {
+        if (chrome.runtime.lastError) {
+            console.warn(`Could not create menu item ${properties.id}:`, chrome.runtime.lastError.message);
+        }
+    });
+}
+
+async function createContextMenus() {
+    const groupTitles = await getOpenGroupTitles();
+    await chrome.contextMenus.removeAll();
+
+    createMenuItem({ id: ALWAYS_GROUP_MENU_ID, title: "Always group this site as…", contexts: SITE_CONTEXTS });
+    createMenuItem({
+        id: MOVE_TO_GROUP_MENU_ID,
+        title: "Move this tab to group",
+        contexts: TAB_CONTEXTS,
+        enabled: groupTitles.length > 0
+    });
+    for (const title of groupTitles) {
+        createMenuItem({
+            id: `${MOVE_TO_GROUP_PREFIX}${title}`,
+            parentId: MOVE_TO_GROUP_MENU_ID,
+            title: title.replace(/&/g, "&&"), // A single "&" marks an access key in menu titles
+            contexts: TAB_CONTEXTS
+        });
+    }
+    createMenuItem({ id: NEVER_GROUP_MENU_ID, title: "Never group this site", contexts: SITE_CONTEXTS });
+    createMenuItem({ id: UNGROUP_GROUP_MENU_ID, title: "Ungroup this group", contexts: TAB_CONTEXTS });
+}
+
+// Create the context menus, replacing any from before, with the groups currently open
+export function buildContextMenus() {
+    menuBuild = menuBuild
+        .then(createContextMenus)
+        .catch(error => console.error("Error building context menus:", error));
+    return menuBuild;
+}
+
+// Open the popup's mapping form in a small window, prefilled with the site's domain and default group name
+async function openMappingForm(url) {
+    const domain = await getDomain(url);
+    if (!domain) return;
+
+    const params = new URLSearchParams({ domain, groupName: stripPublicSuffix(domain) });
+    await chrome.windows.create({
+        url: chrome.runtime.getURL(`src/popup.html?${params}`),
+        type: "popup",
+        width: 400,
+        height: 640
+    });
+}
+
+// Add a site to the ignore list, then take its tabs out of the extension's groups and dissolve the groups
+// that leaves too small
+export async function neverGroupSite(url) {
+    const domain = await getDomain(url);
+    if (!domain) return;
+
+    const groupingOptions = await StorageManager.get("groupingOptions");
+    const ignorePatterns = groupingOptions.ignorePatterns || [];
+    if (!ignorePatterns.includes(domain)) {
+        await StorageManager.set("groupingOptions", { ...groupingOptions, ignorePatterns: [...ignorePatterns, domain] });
+    }
+
+    const ignoreRules = [toIgnoreRule(domain)];
+    const siteTabs = (await chrome.tabs.query({}))
+        .filter(tab => tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE && findMatchingRule(tab.url, ignoreRules));
+    for (const tab of siteTabs) {
+        await checkAndUngroupTab(tab);
+    }
+    for (const windowId of new Set(siteTabs.map(tab => tab.windowId))) {
+        await removeEmptyGroups(windowId);
+    }
+
+    if (DEBUG_MODE) console.debug(`Stopped grouping ${domain}`);
+}
+
+// Move a tab into the group with the given title, preferring one in the tab's own window. The tab is then
+// the user's, so grouping passes leave it where it is.
+export async function moveTabToGroup(tab, title) {
+    const groups = await chrome.tabGroups.query({ title });
+    const group = groups.find(candidate => candidate.windowId === tab.windowId) || groups[0];
+    if (!group) throw new Error(`No group titled "${title}"`);
+    if (group.id !== tab.groupId) {
+        await chrome.tabs.group({ groupId: group.id, tabIds: [tab.id] });
+        await recordActivity({ action: "join", tabIds: [tab.id], groupId: group.id, title: group.title, rule: null });
+    }
+}
+
+// Ungroup every tab in a tab's group, unless the group is locked
+export async function ungroupTabGroup(tab) {
+    if (tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) return;
+
+    const [group, lockedTitles, tabs] = await Promise.all([
+        chrome.tabGroups.get(tab.groupId),
+        getLockedGroupTitles(),
+        chrome.tabs.query({ windowId: tab.windowId })
+    ]);
+    if (lockedTitles.includes(group.title)) {
+        console.warn(`Group "${group.title}" is locked and was not ungrouped`);
+        return;
+    }
+
+    const tabIds = tabs.filter(member => member.groupId === group.id).map(member => member.id);
+    await applyGroupingOperations([{ type: "ungroup", tabIds }]);
+}
+
+// Act on a context menu click. Mapping and ignore-list changes go through storage, so the background's
+// storage listener regroups; tab changes are queued behind any grouping pass.
+export async function handleContextMenuClick(info, tab) {
+    try {
+        const url = info.linkUrl || info.pageUrl || (tab && tab.url);
+
+        if (info.menuItemId === ALWAYS_GROUP_MENU_ID) {
+            await openMappingForm(url);
+        } else if (info.menuItemId === NEVER_GROUP_MENU_ID) {
+            tabOperationQueue.enqueue(() => neverGroupSite(url), "context menu");
+        } else if (info.menuItemId === UNGROUP_GROUP_MENU_ID && tab) {
+            tabOperationQueue.enqueue(() => ungroupTabGroup(tab), "context menu");
+        } else if (String(info.menuItemId).startsWith(MOVE_TO_GROUP_PREFIX) && tab) {
+            const title = String(info.menuItemId).slice(MOVE_TO_GROUP_PREFIX.length);
+            tabOperationQueue.enqueue(() => moveTabToGroup(tab, title), "context menu");
+        }
+    } catch (error) {
+        console.error(`Context menu action ${info.menuItemId} failed:`, error);
+    }
+}
@@ -0,0 +1,68 @@
+import { createRuleId, getGroupRules } from "./rules.js";
+import { StorageManager } from "./storage.js";
+import { DEBUG_MODE } from "./utils.js";
+
+// Version of the data layout in storage. Bump it and add a migration below whenever the layout changes.
+export const STORAGE_SCHEMA_VERSION = 2;
+
+// Convert legacy flat groupMappings (and their groupingModes) into ordered domain rules
+async function migrateGroupMappings() {
+    const [legacyMappings, legacyModes, rules] = await Promise.all([
+        StorageManager.get("groupMappings"),
+        StorageManager.get("groupingModes"),
+        getGroupRules()
+    ]);
+
+    const domains = Object.keys(legacyMappings);
+    if (domains.length === 0) return;
+
+    // Most specific domains first, matching the old "most specific mapping wins" lookup
+    domains.sort((a, b) => b.split(".").length - a.split(".").length);
+
+    for (const domain of domains) {
+        if (rules.some(rule => rule.type === "domain" && rule.pattern === domain)) continue;
+
+        rules.push({
+            id: createRuleId(),
+            type: "domain",
+            pattern: domain,
+            groupName: legacyMappings[domain],
+            groupBy: legacyModes[domain] || "domain"
+        });
+    }
+
+    await StorageManager.set("groupRules", rules);
+    await StorageManager.remove(["groupMappings", "groupingModes"]);
+
+    if (DEBUG_MODE) console.debug(`Migrated ${domains.length} group mappings to rules`);
+}
+
+// Rewrite the mappings through the sharding storage layer, so sets stored whole before it are split up
+// and no longer crowd the per-item quota
+async function reshardMappings() {
+    const stored = await StorageManager.getMany(["groupRules", "groupColors"]);
+    await StorageManager.setMany(stored);
+}
+
+// Migrations in order, each bringing storage up to its version
+const MIGRATIONS = [
+    { version: 1, migrate: migrateGroupMappings },
+    { version: 2, migrate: reshardMappings }
+];
+
+// Run every migration newer than the stored schema version, recording the version after each one so an
+// interrupted run picks up where it stopped
+export async function migrateStorage() {
+    const storedVersion = await StorageManager.get("schemaVersion", 0);
+    if (storedVersion > STORAGE_SCHEMA_VERSION) {
+        console.warn(`Storage schema version ${storedVersion} is newer than this version of the extension supports`);
+        return;
+    }
+
+    for (const { version, migrate } of MIGRATIONS) {
+        if (version <= storedVersion) continue;
+        await migrate();
+        await StorageManager.set("schemaVersion", version);
+        if (DEBUG_MODE) console.debug(`Migrated storage to schema version ${version}`);
+    }
+}
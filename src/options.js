@@ -0,0 +1,684 @@
+import { DEFAULT_GROUPING_OPTIONS, GROUP_BY_MODES, RULE_PRECEDENCES, createRuleId } from "./rules.js";
+import { STATS_KEY, clearStats, formatDuration, getChartBars, getStats, suggestMappings, summarizeStats } from "./stats.js";
+import { SYNC_FALLBACK_KEY, StorageManager } from "./storage.js";
+import {
+    RULE_PLACEHOLDERS,
+    addColorOptions,
+    cleanGroupName,
+    cleanRulePattern,
+    getColorHex,
+    getGroupStatus,
+    getRuleDuplicateCounts,
+    loadMappings,
+    refreshStorageWarning,
+    removeRules,
+    removeUnusedColors,
+    validateRulePattern,
+} from "./ui.js";
+
+// Column the mappings table is sorted by, and its direction; "order" is the order rules are matched in
+let sortKey = "order";
+let sortDirection = 1;
+
+// Rules ticked in the mappings table, kept across refreshes
+const selectedRuleIds = new Set();
+
+// Sort value of a table row for each sortable column
+const SORT_VALUES = {
+    order: (row) => row.index,
+    type: (row) => row.rule.type,
+    pattern: (row) => row.rule.pattern.toLowerCase(),
+    groupName: (row) => row.rule.groupName.toLowerCase(),
+    color: (row) => row.color,
+    minGroupSize: (row) => row.rule.minGroupSize || 0,
+    maxTabs: (row) => row.rule.maxTabs || Infinity,
+    priority: (row) => row.rule.priority || Infinity,
+    duplicates: (row) => row.duplicates,
+};
+
+// Settings stored as top-level keys, by checkbox id
+const TOP_LEVEL_SETTINGS = {
+    groupAllWindowsInput: "groupAllWindows",
+    consolidateWindowsInput: "consolidateWindows",
+    debugModeInput: "debugMode",
+};
+
+// Settings stored in groupingOptions, by checkbox id
+const GROUPING_OPTION_SETTINGS = {
+    skipPinnedInput: "skipPinned",
+    skipIncognitoInput: "skipIncognito",
+    skipBrowserPagesInput: "skipBrowserPages",
+};
+
+// Bars in the statistics chart and days the tables add up, by period
+const STATS_PERIODS = {
+    daily: { barCount: 14, dayCount: 14 },
+    weekly: { barCount: 8, dayCount: 56 },
+};
+
+// Most groups and sites listed in the statistics tables, busiest first
+const MAX_STATS_ROWS = 15;
+
+// Height in pixels of the tallest bar in the statistics chart
+const STATS_BAR_HEIGHT = 110;
+
+// Filter rules by the search text and sort them by the chosen column, keeping rule order for ties
+function getVisibleRows(rules, colors, duplicateCounts, query) {
+    const needle = query.trim().toLowerCase();
+    const value = SORT_VALUES[sortKey];
+    const compare = (a, b) => (typeof a === "string" ? a.localeCompare(b) : (a > b) - (a < b));
+
+    return rules
+        .map((rule, index) => ({
+            rule,
+            index,
+            color: colors[rule.groupName] || "",
+            duplicates: duplicateCounts[rule.id] || 0,
+        }))
+        .filter(({ rule }) =>
+            [rule.pattern, rule.groupName, rule.type, rule.abbreviation || ""].some((text) =>
+                text.toLowerCase().includes(needle)
+            )
+        )
+        .sort((a, b) => compare(value(a), value(b)) * sortDirection || a.index - b.index);
+}
+
+// Give a rule a new group name, taking its color along when the new name has none
+function renameRule(rule, groupName, rules, colors) {
+    const previousName = rule.groupName;
+    rule.groupName = groupName;
+    if (colors[previousName] && !colors[groupName]) {
+        colors[groupName] = colors[previousName];
+    }
+    removeUnusedColors(rules, colors, [previousName]);
+}
+
+// Apply one inline edit to a rule, returning an error message or null. Colors belong to group names, so
+// a new color applies to every rule sharing the rule's group name.
+function applyRuleEdit(rule, field, value, rules, colors) {
+    switch (field) {
+        case "type":
+        case "pattern": {
+            const type = field === "type" ? value : rule.type;
+            const pattern = cleanRulePattern(type, field === "pattern" ? value : rule.pattern);
+            const patternError = validateRulePattern(type, pattern);
+            if (patternError) return patternError;
+            if (rules.some((other) => other !== rule && other.type === type && other.pattern === pattern)) {
+                return `Another ${type} mapping already matches ${pattern}`;
+            }
+            Object.assign(rule, { type, pattern });
+            return null;
+        }
+        case "groupName": {
+            const groupName = cleanGroupName(value);
+            if (!groupName) return "Group names need letters or digits";
+            renameRule(rule, groupName, rules, colors);
+            return null;
+        }
+        case "color":
+            if (value) {
+                colors[rule.groupName] = value;
+            } else {
+                delete colors[rule.groupName];
+            }
+            return null;
+        case "groupBy":
+            rule.groupBy = GROUP_BY_MODES.includes(value) ? value : "domain";
+            return null;
+        case "precedence":
+            if (value === "opener") {
+                rule.precedence = value;
+            } else {
+                delete rule.precedence;
+            }
+            return null;
+        case "minGroupSize":
+        case "maxTabs":
+        case "priority": {
+            if (!value.trim()) {
+                delete rule[field];
+                return null;
+            }
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < 1) {
+                const label = { minGroupSize: "Minimum tabs", maxTabs: "Most tabs", priority: "Priority" }[field];
+                return `${label} must be a positive whole number`;
+            }
+            rule[field] = number;
+            return null;
+        }
+        case "emoji":
+        case "abbreviation": {
+            const text = field === "emoji" ? value.trim() : cleanGroupName(value);
+            if (text.length > (field === "emoji" ? 8 : 20)) {
+                return field === "emoji" ? "Use a single emoji" : "Short names may be up to 20 characters";
+            }
+            if (text) {
+                rule[field] = text;
+            } else {
+                delete rule[field];
+            }
+            return null;
+        }
+        default:
+            return `Unknown field ${field}`;
+    }
+}
+
+// Save one inline edit, returning an error message or null
+async function saveRuleEdit(ruleId, field, value) {
+    const { rules, colors } = await loadMappings();
+    const rule = rules.find((candidate) => candidate.id === ruleId);
+    if (!rule) return "This mapping was removed in the meantime";
+
+    const error = applyRuleEdit(rule, field, value, rules, colors);
+    if (!error) {
+        await StorageManager.setMany({ groupRules: rules, groupColors: colors });
+    }
+    return error;
+}
+
+// Apply a change to every selected rule and save, returning an error message or null
+async function editSelectedRules(edit) {
+    if (selectedRuleIds.size === 0) return "Select mappings first";
+
+    const { rules, colors } = await loadMappings();
+    rules.filter((rule) => selectedRuleIds.has(rule.id)).forEach((rule) => edit(rule, rules, colors));
+    await StorageManager.setMany({ groupRules: rules, groupColors: colors });
+    return null;
+}
+
+// Create an input or select bound to one field of a rule
+function createRuleField(tag, field, value, { options = [], ...properties } = {}) {
+    const element = document.createElement(tag);
+    element.dataset.field = field;
+    Object.assign(element, properties);
+    if (tag === "select") {
+        options.forEach(([optionValue, label]) => {
+            const option = document.createElement("option");
+            option.value = optionValue;
+            option.textContent = label;
+            element.appendChild(option);
+        });
+    }
+    element.value = value;
+    return element;
+}
+
+// Build the table row for a rule, with every field editable in place
+function createRuleRow({ rule, index, color, duplicates }) {
+    const row = document.createElement("tr");
+    row.dataset.ruleId = rule.id;
+    row.classList.toggle("selected", selectedRuleIds.has(rule.id));
+
+    const selectInput = document.createElement("input");
+    selectInput.type = "checkbox";
+    selectInput.classList.add("rule-select");
+    selectInput.checked = selectedRuleIds.has(rule.id);
+
+    const orderSpan = document.createElement("span");
+    orderSpan.classList.add("rule-order");
+    orderSpan.textContent = index + 1;
+
+    const colorSelect = createRuleField("select", "color", color, { options: [["", "None"]] });
+    addColorOptions(colorSelect);
+    colorSelect.value = color;
+    colorSelect.style.borderColor = getColorHex(color) || "";
+
+    const duplicatesSpan = document.createElement("span");
+    duplicatesSpan.classList.add("rule-duplicates");
+    duplicatesSpan.textContent = duplicates ? `${duplicates} dup` : "";
+
+    const removeBtn = document.createElement("button");
+    removeBtn.classList.add("remove-button");
+    removeBtn.textContent = "Remove";
+    removeBtn.addEventListener("click", () => removeRules([rule.id]));
+
+    const cells = [
+        selectInput,
+        orderSpan,
+        createRuleField("select", "type", rule.type, {
+            options: Object.keys(RULE_PLACEHOLDERS).map((type) => [type, type]),
+        }),
+        createRuleField("input", "pattern", rule.pattern, { title: RULE_PLACEHOLDERS[rule.type] }),
+        createRuleField("input", "groupName", rule.groupName),
+        colorSelect,
+        createRuleField("select", "groupBy", rule.groupBy || "domain", {
+            options: GROUP_BY_MODES.map((mode) => [mode, mode]),
+        }),
+        createRuleField("input", "minGroupSize", rule.minGroupSize || "", { type: "number", min: 1, className: "narrow-input" }),
+        createRuleField("input", "maxTabs", rule.maxTabs || "", {
+            type: "number",
+            min: 1,
+            className: "narrow-input",
+            title: "Most tabs in the group; empty uses the global limit",
+        }),
+        createRuleField("input", "priority", rule.priority || "", { type: "number", min: 1, className: "narrow-input" }),
+        createRuleField("input", "emoji", rule.emoji || "", { maxLength: 8, className: "narrow-input" }),
+        createRuleField("input", "abbreviation", rule.abbreviation || "", { maxLength: 20 }),
+        createRuleField("select", "precedence", rule.precedence || "mapping", {
+            options: RULE_PRECEDENCES.map((precedence) => [precedence, precedence]),
+            title: "Which decides the group of a tab opened from another tab, when opener grouping is on",
+        }),
+        duplicatesSpan,
+        removeBtn,
+    ];
+    for (const content of cells) {
+        const cell = document.createElement("td");
+        cell.appendChild(content);
+        row.appendChild(cell);
+    }
+    return row;
+}
+
+// Redraw the mappings table from storage with the current search, sort and selection
+async function refreshMappingsTable() {
+    const tableBody = document.getElementById("mappingsTableBody");
+    const mappingCount = document.getElementById("mappingCount");
+    const selectAllRules = document.getElementById("selectAllRules");
+    const query = document.getElementById("mappingSearchInput").value;
+
+    const [{ rules, colors }, duplicateCounts] = await Promise.all([loadMappings(), getRuleDuplicateCounts()]);
+
+    // Forget selections of rules removed since
+    for (const ruleId of selectedRuleIds) {
+        if (!rules.some((rule) => rule.id === ruleId)) selectedRuleIds.delete(ruleId);
+    }
+
+    const rows = getVisibleRows(rules, colors, duplicateCounts, query);
+    tableBody.innerHTML = "";
+    rows.forEach((row) => tableBody.appendChild(createRuleRow(row)));
+
+    mappingCount.textContent = rows.length === rules.length ? `${rules.length} mappings` : `${rows.length} of ${rules.length} mappings`;
+    selectAllRules.checked = rows.length > 0 && rows.every(({ rule }) => selectedRuleIds.has(rule.id));
+
+    document.querySelectorAll(".mappings-table th[data-sort]").forEach((header) => {
+        header.classList.toggle("sorted-asc", header.dataset.sort === sortKey && sortDirection > 0);
+        header.classList.toggle("sorted-desc", header.dataset.sort === sortKey && sortDirection < 0);
+    });
+}
+
+// Show every window with its groups in tab strip order, each with its tab count and who manages it
+async function refreshOpenGroups() {
+    const windowsList = document.getElementById("windowsList");
+    const [windows, groups, { groupOwnership }, lockedTitles] = await Promise.all([
+        chrome.windows.getAll({ populate: true }),
+        chrome.tabGroups.query({}),
+        chrome.storage.session.get(["groupOwnership"]),
+        StorageManager.get("lockedGroups", []),
+    ]);
+    const ownedGroups = (groupOwnership && groupOwnership.groups) || {};
+
+    windowsList.innerHTML = "";
+
+    windows.forEach((browserWindow, index) => {
+        const windowCard = document.createElement("div");
+        windowCard.classList.add("window-card");
+
+        const ungroupedCount = browserWindow.tabs.filter((tab) => tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE).length;
+        const heading = document.createElement("h3");
+        heading.textContent = [`Window ${index + 1}`, browserWindow.focused ? "focused" : null, browserWindow.incognito ? "incognito" : null]
+            .filter(Boolean)
+            .join(" · ");
+        const summary = document.createElement("div");
+        summary.classList.add("group-meta");
+        summary.textContent = `${browserWindow.tabs.length} tabs, ${ungroupedCount} ungrouped`;
+        windowCard.appendChild(heading);
+        windowCard.appendChild(summary);
+
+        const windowGroups = [...new Set(browserWindow.tabs.map((tab) => tab.groupId))]
+            .map((groupId) => groups.find((group) => group.id === groupId))
+            .filter(Boolean);
+
+        for (const group of windowGroups) {
+            const groupRow = document.createElement("div");
+            groupRow.classList.add("group-row");
+
+            const colorBox = document.createElement("span");
+            colorBox.classList.add("group-color");
+            colorBox.style.backgroundColor = getColorHex(group.color) || group.color;
+
+            const titleSpan = document.createElement("span");
+            titleSpan.classList.add("group-title");
+            titleSpan.textContent = group.title || "(untitled)";
+
+            const status = getGroupStatus(group, ownedGroups, lockedTitles);
+            const tabCount = browserWindow.tabs.filter((tab) => tab.groupId === group.id).length;
+            const metaSpan = document.createElement("span");
+            metaSpan.classList.add("group-meta");
+            metaSpan.classList.toggle("group-owner-manual", status === "Manual");
+            metaSpan.textContent = [`${tabCount} tabs`, status, group.collapsed ? "collapsed" : null].filter(Boolean).join(" · ");
+
+            groupRow.appendChild(colorBox);
+            groupRow.appendChild(titleSpan);
+            groupRow.appendChild(metaSpan);
+            windowCard.appendChild(groupRow);
+        }
+
+        windowsList.appendChild(windowCard);
+    });
+}
+
+// Redraw the groups shortly after a burst of tab events has settled
+let openGroupsRefreshTimer = null;
+function scheduleOpenGroupsRefresh() {
+    clearTimeout(openGroupsRefreshTimer);
+    openGroupsRefreshTimer = setTimeout(refreshOpenGroups, 100);
+}
+
+// Fill a statistics table body with one row per entry, or a note when there is nothing to show
+function fillStatsTable(tableBody, rows, columnCount) {
+    tableBody.innerHTML = "";
+    if (rows.length === 0) {
+        rows = [{ cells: ["Nothing recorded yet"] }];
+    }
+    for (const { cells, unused } of rows) {
+        const row = document.createElement("tr");
+        row.classList.toggle("stats-unused", Boolean(unused));
+        cells.forEach((text) => {
+            const cell = document.createElement("td");
+            cell.textContent = text;
+            if (cells.length === 1) cell.colSpan = columnCount;
+            row.appendChild(cell);
+        });
+        tableBody.appendChild(row);
+    }
+}
+
+// Add a mapping for each of a suggestion's sites, all naming the same group
+async function addSuggestedMapping(domains, groupName) {
+    const rules = await StorageManager.get("groupRules", []);
+    rules.push(...domains.map((pattern) => ({ id: createRuleId(), type: "domain", pattern, groupName })));
+    await StorageManager.set("groupRules", rules);
+}
+
+function createSuggestionRow({ domains, groupName, count }) {
+    const row = document.createElement("div");
+    row.classList.add("suggestion-row");
+
+    const description = document.createElement("span");
+    description.classList.add("suggestion-domains");
+    description.textContent = `${domains.join(" + ")}, opened together ${count} times`;
+
+    const nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.value = groupName;
+    nameInput.placeholder = "Group name";
+
+    const addButton = document.createElement("button");
+    addButton.textContent = "Add Mapping";
+    addButton.addEventListener("click", async () => {
+        const cleanName = cleanGroupName(nameInput.value);
+        if (!cleanName) {
+            nameInput.focus();
+            return;
+        }
+        addButton.disabled = true;
+        await addSuggestedMapping(domains, cleanName);
+    });
+
+    row.appendChild(description);
+    row.appendChild(nameInput);
+    row.appendChild(addButton);
+    return row;
+}
+
+// Draw the statistics dashboard for the chosen period: active time per day or week, the busiest groups
+// and sites, how often each mapping is used, and mappings suggested for sites opened together
+async function refreshStats() {
+    const period = document.getElementById("statsPeriodInput").value;
+    const { barCount, dayCount } = STATS_PERIODS[period];
+    const [stats, groupRules] = await Promise.all([getStats(), StorageManager.get("groupRules", [])]);
+    const summary = summarizeStats(stats, dayCount);
+    const bars = getChartBars(stats, period, barCount);
+
+    const totalActiveMs = bars.reduce((total, bar) => total + bar.activeMs, 0);
+    const totalOpened = bars.reduce((total, bar) => total + bar.tabsOpened, 0);
+    document.getElementById("statsSummary").textContent =
+        `${formatDuration(totalActiveMs)} active, ${totalOpened} tabs opened`;
+
+    const chart = document.getElementById("statsChart");
+    chart.innerHTML = "";
+    const longest = Math.max(1, ...bars.map((bar) => bar.activeMs));
+    for (const bar of bars) {
+        const column = document.createElement("div");
+        column.classList.add("stats-bar-column");
+        column.title = `${period === "weekly" ? "Week of " : ""}${bar.day}: ${formatDuration(bar.activeMs)} active, ` +
+            `${bar.tabsOpened} tabs opened`;
+
+        const barElement = document.createElement("div");
+        barElement.classList.add("stats-bar");
+        barElement.style.height = `${Math.round((bar.activeMs / longest) * STATS_BAR_HEIGHT)}px`;
+
+        const label = document.createElement("div");
+        label.classList.add("stats-bar-label");
+        label.textContent = bar.day.slice(5);
+
+        column.appendChild(barElement);
+        column.appendChild(label);
+        chart.appendChild(column);
+    }
+
+    fillStatsTable(
+        document.getElementById("statsGroupsBody"),
+        summary.groups.slice(0, MAX_STATS_ROWS).map((group) => ({
+            cells: [group.name, formatDuration(group.activeMs), group.tabsOpened, group.created, group.dissolved],
+        })),
+        5,
+    );
+    fillStatsTable(
+        document.getElementById("statsDomainsBody"),
+        summary.domains.slice(0, MAX_STATS_ROWS).map((domain) => ({
+            cells: [domain.name, formatDuration(domain.activeMs), domain.tabsOpened],
+        })),
+        3,
+    );
+    fillStatsTable(
+        document.getElementById("statsRulesBody"),
+        groupRules.map((rule) => {
+            const hits = summary.ruleHits[rule.id] || 0;
+            return { cells: [rule.pattern, rule.groupName, hits], unused: hits === 0 };
+        }),
+        3,
+    );
+
+    const suggestionsList = document.getElementById("statsSuggestions");
+    const suggestions = suggestMappings(stats, groupRules);
+    suggestionsList.innerHTML = "";
+    suggestions.forEach((suggestion) => suggestionsList.appendChild(createSuggestionRow(suggestion)));
+    if (suggestions.length === 0) {
+        suggestionsList.textContent = "No suggestions yet";
+        suggestionsList.classList.add("hint");
+    } else {
+        suggestionsList.classList.remove("hint");
+    }
+}
+
+// Redraw the statistics once a burst of tab activity has settled
+let statsRefreshTimer = null;
+function scheduleStatsRefresh() {
+    clearTimeout(statsRefreshTimer);
+    statsRefreshTimer = setTimeout(refreshStats, 1000);
+}
+
+// Tick the settings checkboxes from storage
+async function loadSettings() {
+    const result = await StorageManager.getMany([...Object.values(TOP_LEVEL_SETTINGS), "groupingOptions", "allowedExtensionIds"]);
+    const options = { ...DEFAULT_GROUPING_OPTIONS, ...result.groupingOptions };
+
+    for (const [inputId, key] of Object.entries(TOP_LEVEL_SETTINGS)) {
+        document.getElementById(inputId).checked = Boolean(result[key]);
+    }
+    for (const [inputId, key] of Object.entries(GROUPING_OPTION_SETTINGS)) {
+        document.getElementById(inputId).checked = options[key];
+    }
+    document.getElementById("allowedExtensionIdsInput").value = (result.allowedExtensionIds || []).join("\n");
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+    const mappingSearchInput = document.getElementById("mappingSearchInput");
+    const tableBody = document.getElementById("mappingsTableBody");
+    const selectAllRules = document.getElementById("selectAllRules");
+    const mappingsError = document.getElementById("mappingsError");
+    const bulkColorInput = document.getElementById("bulkColorInput");
+    const bulkRecolorBtn = document.getElementById("bulkRecolor");
+    const bulkRenameInput = document.getElementById("bulkRenameInput");
+    const bulkRenameBtn = document.getElementById("bulkRename");
+    const removeSelectedBtn = document.getElementById("removeSelected");
+
+    addColorOptions(bulkColorInput);
+
+    mappingSearchInput.addEventListener("input", refreshMappingsTable);
+
+    // Clicking a column header sorts by it; clicking it again reverses the order
+    document.querySelectorAll(".mappings-table th[data-sort]").forEach((header) => {
+        header.addEventListener("click", () => {
+            sortDirection = sortKey === header.dataset.sort ? -sortDirection : 1;
+            sortKey = header.dataset.sort;
+            refreshMappingsTable();
+        });
+    });
+
+    // Edits are saved as soon as a field is changed; the table redraws from storage afterwards
+    tableBody.addEventListener("change", async (event) => {
+        const row = event.target.closest("tr");
+        if (event.target.classList.contains("rule-select")) {
+            if (event.target.checked) {
+                selectedRuleIds.add(row.dataset.ruleId);
+            } else {
+                selectedRuleIds.delete(row.dataset.ruleId);
+            }
+            row.classList.toggle("selected", event.target.checked);
+            return;
+        }
+
+        const error = await saveRuleEdit(row.dataset.ruleId, event.target.dataset.field, event.target.value);
+        mappingsError.textContent = error || "";
+        row.classList.toggle("invalid", Boolean(error));
+    });
+
+    selectAllRules.addEventListener("change", () => {
+        tableBody.querySelectorAll("tr").forEach((row) => {
+            if (selectAllRules.checked) {
+                selectedRuleIds.add(row.dataset.ruleId);
+            } else {
+                selectedRuleIds.delete(row.dataset.ruleId);
+            }
+        });
+        refreshMappingsTable();
+    });
+
+    bulkRecolorBtn.addEventListener("click", async () => {
+        const color = bulkColorInput.value;
+        const error = color
+            ? await editSelectedRules((rule, rules, colors) => {
+                  colors[rule.groupName] = color;
+              })
+            : "Pick a color first";
+        mappingsError.textContent = error || "";
+    });
+
+    bulkRenameBtn.addEventListener("click", async () => {
+        const groupName = cleanGroupName(bulkRenameInput.value);
+        const error = groupName
+            ? await editSelectedRules((rule, rules, colors) => renameRule(rule, groupName, rules, colors))
+            : "Enter a group name first";
+        mappingsError.textContent = error || "";
+        if (!error) bulkRenameInput.value = "";
+    });
+
+    removeSelectedBtn.addEventListener("click", async () => {
+        mappingsError.textContent = selectedRuleIds.size ? "" : "Select mappings first";
+        if (selectedRuleIds.size) await removeRules([...selectedRuleIds]);
+    });
+
+    // Settings are saved as soon as they are toggled
+    for (const [inputId, key] of Object.entries(TOP_LEVEL_SETTINGS)) {
+        const input = document.getElementById(inputId);
+        input.addEventListener("change", () => StorageManager.set(key, input.checked));
+    }
+    for (const [inputId, key] of Object.entries(GROUPING_OPTION_SETTINGS)) {
+        const input = document.getElementById(inputId);
+        input.addEventListener("change", async () => {
+            const groupingOptions = await StorageManager.get("groupingOptions");
+            StorageManager.set("groupingOptions", { ...groupingOptions, [key]: input.checked });
+        });
+    }
+
+    // Extension ids are 32 letters from a to p; the list is saved once every line is one
+    const allowedExtensionIdsInput = document.getElementById("allowedExtensionIdsInput");
+    allowedExtensionIdsInput.addEventListener("change", () => {
+        const ids = allowedExtensionIdsInput.value
+            .split("\n")
+            .map((line) => line.trim())
+            .filter(Boolean);
+        const invalid = ids.filter((id) => !/^[a-p]{32}$/.test(id));
+        document.getElementById("allowedExtensionIdsError").textContent = invalid.length
+            ? `Not an extension ID: ${invalid.join(", ")}`
+            : "";
+        if (!invalid.length) StorageManager.set("allowedExtensionIds", [...new Set(ids)]);
+    });
+
+    document.getElementById("statsPeriodInput").addEventListener("change", refreshStats);
+    document.getElementById("clearStats").addEventListener("click", async () => {
+        await clearStats();
+        refreshStats();
+    });
+
+    // Keep the groups view live while the page is open
+    [
+        chrome.tabGroups.onCreated,
+        chrome.tabGroups.onUpdated,
+        chrome.tabGroups.onMoved,
+        chrome.tabGroups.onRemoved,
+        chrome.tabs.onCreated,
+        chrome.tabs.onMoved,
+        chrome.tabs.onAttached,
+        chrome.tabs.onDetached,
+        chrome.tabs.onRemoved,
+        chrome.windows.onCreated,
+        chrome.windows.onRemoved,
+        chrome.windows.onFocusChanged,
+    ].forEach((event) => event.addListener(scheduleOpenGroupsRefresh));
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+        if (changeInfo.groupId !== undefined) scheduleOpenGroupsRefresh();
+    });
+
+    // Initial refresh
+    refreshMappingsTable();
+    refreshOpenGroups();
+    refreshStats();
+    loadSettings();
+    refreshStorageWarning();
+});
+
+// Keep the table, groups and settings current when another page or the background changes them
+StorageManager.onChanged((changes) => {
+    if (changes.groupRules || changes.groupColors) {
+        refreshMappingsTable();
+    }
+    if (changes.groupRules) {
+        refreshStats();
+    }
+    if (changes.lockedGroups) {
+        scheduleOpenGroupsRefresh();
+    }
+    if (changes.groupingOptions || changes.allowedExtensionIds || Object.values(TOP_LEVEL_SETTINGS).some((key) => changes[key])) {
+        loadSettings();
+    }
+    if (changes[SYNC_FALLBACK_KEY]) {
+        refreshStorageWarning();
+    }
+});
+
+chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === "session" && changes.duplicates) {
+        refreshMappingsTable();
+    }
+    if (namespace === "session" && changes.groupOwnership) {
+        scheduleOpenGroupsRefresh();
+    }
+    if (namespace === "local" && changes[STATS_KEY]) {
+        scheduleStatsRefresh();
+    }
+});
@@ -0,0 +1,161 @@
+import { StorageManager, SessionStorageManager } from "./storage.js";
+import { DEBUG_MODE } from "./utils.js";
+
+// Which groups and tab memberships the extension created, for this browser session. Groups map to the
+// title and color the extension last gave them and the group name behind them; tabs map to the group the
+// extension put them in; heldTabs are tabs an undo put back outside any group, which stay out of automatic
+// grouping until they navigate.
+// Anything else was grouped by the user and is left alone.
+let ownershipPromise = null;
+
+// Tabs the extension is currently grouping or moving, so the resulting events aren't taken as user actions
+export const pendingTabIds = new Set();
+
+// Load the ownership record once per service worker lifetime
+export function getOwnership() {
+    if (!ownershipPromise) {
+        ownershipPromise = SessionStorageManager.get("groupOwnership", null)
+            .then(stored => stored || { adopted: false, groups: {}, tabs: {} });
+    }
+    return ownershipPromise;
+}
+
+// Forget the in-memory record so the next read reloads it from session storage, as after a worker restart
+export function clearOwnershipCache() {
+    ownershipPromise = null;
+}
+
+export async function saveOwnership() {
+    await SessionStorageManager.set("groupOwnership", await getOwnership());
+}
+
+// Get the titles of groups the user locked against any automatic change
+export async function getLockedGroupTitles() {
+    return await StorageManager.get("lockedGroups", []);
+}
+
+// Check whether the extension may change a group: it must have created it, and it must not be locked
+export function isManagedGroup(group, ownership, lockedTitles) {
+    return Boolean(ownership.groups[group.id]) && !lockedTitles.includes(group.title);
+}
+
+// Get the group name the extension gave a group. Titles may carry a tab count or an emoji, so the name is
+// recorded next to them; groups recorded without one fall back to their title.
+export function getManagedGroupName(group, ownership) {
+    const owned = ownership.groups[group.id];
+    return (owned && owned.name) || group.title;
+}
+
+// Check whether the extension put a tab in its current group
+export function isManagedMembership(tab, ownership) {
+    return ownership.tabs[tab.id] === tab.groupId;
+}
+
+// Check whether a tab is held out of automatic grouping
+export function isHeldTab(tab, ownership) {
+    return Boolean(ownership.heldTabs && ownership.heldTabs[tab.id]);
+}
+
+// Hold tabs out of automatic grouping until they navigate
+export async function holdTabs(tabIds) {
+    const ownership = await getOwnership();
+    ownership.heldTabs = { ...ownership.heldTabs };
+    tabIds.forEach(id => {
+        ownership.heldTabs[id] = true;
+    });
+    await saveOwnership();
+}
+
+// Let a held tab be grouped again, once it navigates or closes
+export async function releaseHeldTab(tabId) {
+    const ownership = await getOwnership();
+    if (!isHeldTab({ id: tabId }, ownership)) return;
+    delete ownership.heldTabs[tabId];
+    await saveOwnership();
+}
+
+// Group tabs on the extension's behalf, recording the memberships and any new group as extension-owned
+export async function groupManagedTabs(tabIds, groupOptions = {}) {
+    tabIds.forEach(id => pendingTabIds.add(id));
+    try {
+        const groupId = await chrome.tabs.group({ ...groupOptions, tabIds });
+        const ownership = await getOwnership();
+        if (groupOptions.groupId === undefined) {
+            ownership.groups[groupId] = { title: "", color: "" };
+        }
+        tabIds.forEach(id => {
+            ownership.tabs[id] = groupId;
+        });
+        await saveOwnership();
+        return groupId;
+    } finally {
+        tabIds.forEach(id => pendingTabIds.delete(id));
+    }
+}
+
+// Set an extension-owned group's title and color, remembering them and the group name they were made from
+// so the update isn't seen as the user's
+export async function updateManagedGroup(groupId, properties, groupName) {
+    const ownership = await getOwnership();
+    ownership.groups[groupId] = { ...ownership.groups[groupId], ...properties, ...(groupName ? { name: groupName } : {}) };
+    await saveOwnership();
+    return chrome.tabGroups.update(groupId, properties);
+}
+
+// A group whose title or color changed to something the extension didn't set was taken over by the user
+export async function trackGroupUpdate(group) {
+    const ownership = await getOwnership();
+    const owned = ownership.groups[group.id];
+    if (!owned) return;
+
+    // Titles are set right after creation, so an owned group may briefly still be untitled
+    const titleChanged = group.title !== owned.title && !(owned.title === "" || group.title === "");
+    const colorChanged = owned.color !== "" && group.color !== owned.color;
+    if (titleChanged || colorChanged) {
+        delete ownership.groups[group.id];
+        await saveOwnership();
+        if (DEBUG_MODE) console.debug(`Group "${group.title}" is now managed by the user`);
+    }
+}
+
+// Forget a group that was closed or dissolved
+export async function forgetGroup(groupId) {
+    const ownership = await getOwnership();
+    if (!ownership.groups[groupId]) return;
+    delete ownership.groups[groupId];
+    await saveOwnership();
+}
+
+// A tab that changed groups without the extension doing it was regrouped by the user
+export async function trackTabGroupChange(tabId, groupId) {
+    if (pendingTabIds.has(tabId)) return;
+    const ownership = await getOwnership();
+    if (ownership.tabs[tabId] !== groupId) {
+        await releaseTab(tabId);
+    }
+}
+
+// Forget a tab's extension-made membership once the user regroups, moves or closes it
+export async function releaseTab(tabId) {
+    const ownership = await getOwnership();
+    if (!(tabId in ownership.tabs)) return;
+    delete ownership.tabs[tabId];
+    await saveOwnership();
+}
+
+// Lock or unlock a group by title, keeping the extension from changing, joining or dissolving it
+export async function setGroupLocked(groupId, locked) {
+    try {
+        const [group, lockedTitles] = await Promise.all([
+            chrome.tabGroups.get(groupId),
+            getLockedGroupTitles()
+        ]);
+        if (!group.title) throw new Error("Only titled groups can be locked");
+
+        const titles = lockedTitles.filter(title => title !== group.title);
+        if (locked) titles.push(group.title);
+        await StorageManager.set("lockedGroups", titles);
+    } catch (error) {
+        console.error("Error locking group:", error);
+    }
+}
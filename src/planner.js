@@ -0,0 +1,296 @@
+import { getManagedGroupName, isManagedMembership } from "./ownership.js";
+import {
+    DEFAULT_GROUPING_OPTIONS, followsOpener, getGroupPriority, getMaxGroupTabs, getMinGroupSize, getOverflowGroupName,
+    ruleNamesTitle
+} from "./rules.js";
+
+// Same value as chrome.tabGroups.TAB_GROUP_ID_NONE, so planning needs no browser APIs
+const TAB_GROUP_ID_NONE = -1;
+
+// Longest name shown in a title before it is cut short, unless its mapping sets an abbreviation
+const MAX_NAME_LENGTH = 20;
+
+// Get the name a group is shown with: its mapping's abbreviation, keeping any ": subdomain" suffix, or the
+// name itself, cut short when it is long
+export function getDisplayName(groupName, rule) {
+    if (rule && rule.abbreviation && groupName.startsWith(rule.groupName)) {
+        return rule.abbreviation + groupName.slice(rule.groupName.length);
+    }
+    return groupName.length > MAX_NAME_LENGTH ? `${groupName.slice(0, MAX_NAME_LENGTH - 1).trimEnd()}…` : groupName;
+}
+
+// Get a group's title from the title template, filling in {name}, {count} (its tab count) and {emoji} from
+// its mapping. A mapping's emoji goes in front when the template doesn't place it.
+export function getGroupTitle(groupName, { count = 0, groupRules = [], template = DEFAULT_GROUPING_OPTIONS.titleTemplate } = {}) {
+    const rule = groupRules.find(rule => ruleNamesTitle(rule, groupName));
+    const values = { name: getDisplayName(groupName, rule), count: String(count), emoji: (rule && rule.emoji) || "" };
+    const titleTemplate = template || DEFAULT_GROUPING_OPTIONS.titleTemplate;
+
+    let title = titleTemplate.replace(/\{(name|count|emoji)\}/g, (placeholder, key) => values[key]);
+    if (values.emoji && !titleTemplate.includes("{emoji}")) {
+        title = `${values.emoji} ${title}`;
+    }
+    return title.replace(/\s+/g, " ").trim() || values.name;
+}
+
+// Check whether a group carries the title grouping would give a group name, for groups with no recorded name
+export function isGroupTitledAs(group, groupName, titleOptions) {
+    return group.title === groupName || group.title === getGroupTitle(groupName, titleOptions);
+}
+
+// Give tabs opened from another tab their opener's group name, where opener grouping and their mapping let
+// them follow it. In "join" mode a tab follows an opener in one of the extension's groups, or one that
+// follows its own opener there; in "trail" mode it also follows an ungrouped opener, so the chain of tabs
+// opened from one another is grouped under the name of the tab it started from. Openers in the user's own
+// groups are never followed. groupNames maps groupable tabs to their own group names and groups are the
+// managed groups tabs may join. Returns the group names to plan with.
+export function applyOpenerNames({ tabs, groupNames, groups, groupRules, options, ownership }) {
+    const names = new Map(groupNames);
+    if (!options.openerGrouping || options.openerGrouping === "off") return names;
+
+    const tabsById = new Map(tabs.map(tab => [tab.id, tab]));
+    const trail = options.openerGrouping === "trail";
+
+    // The opener a groupable tab follows, if any; seen guards against opener chains that loop
+    const followedOpener = (tab, seen) => {
+        const opener = tab.openerTabId === undefined ? null : tabsById.get(tab.openerTabId);
+        if (!opener || seen.has(opener.id) || !groupNames.has(tab.id) || !followsOpener(tab.url, groupRules, options)) return null;
+        return opener;
+    };
+
+    // The group name a tab passes on to the tabs opened from it, or null when they keep their own
+    const inheritedName = (tab, seen) => {
+        if (tab.groupId !== TAB_GROUP_ID_NONE) {
+            const group = groups.find(candidate => candidate.id === tab.groupId);
+            return group ? getManagedGroupName(group, ownership) : null;
+        }
+        seen.add(tab.id);
+        const opener = followedOpener(tab, seen);
+        const name = opener ? inheritedName(opener, seen) : null;
+        return name || (trail ? groupNames.get(tab.id) || null : null);
+    };
+
+    for (const tab of tabs) {
+        const opener = followedOpener(tab, new Set([tab.id]));
+        const name = opener ? inheritedName(opener, new Set([tab.id])) : null;
+        if (name) names.set(tab.id, name);
+    }
+    return names;
+}
+
+// With the "split" overflow policy, give ungrouped tabs that would take a group past its cap the name of the
+// next numbered group with room, such as "github 2", counting the tabs already in the managed groups.
+// Returns the group names to plan with.
+export function applyOverflowNames({ tabs, groupNames, groups, groupRules, options, ownership }) {
+    const names = new Map(groupNames);
+    if (options.overflowPolicy !== "split") return names;
+
+    const counts = new Map();
+    const countTab = name => counts.set(name, (counts.get(name) || 0) + 1);
+    for (const tab of tabs) {
+        const group = groups.find(candidate => candidate.id === tab.groupId);
+        if (group) countTab(getManagedGroupName(group, ownership));
+    }
+
+    for (const tab of tabs) {
+        const groupName = names.get(tab.id);
+        if (!groupName || tab.groupId !== TAB_GROUP_ID_NONE) continue;
+        const maxTabs = getMaxGroupTabs(groupName, groupRules, options);
+        if (!maxTabs) continue;
+
+        let part = 1;
+        while ((counts.get(getOverflowGroupName(groupName, part)) || 0) >= maxTabs) part += 1;
+        names.set(tab.id, getOverflowGroupName(groupName, part));
+        countTab(names.get(tab.id));
+    }
+    return names;
+}
+
+// Plan the end state of a domain grouping pass without touching the browser. groupNames maps the id of
+// every groupable tab to its group name, colors map group names to colors, and groups are the managed
+// groups tabs may join, matched to names through the ownership record. Returns one desired group per name:
+// { groupName, groupId, windowId, title, color, tabs }, where groupId is null for a group still to be
+// created in windowId.
+export function planDomainGroups({ tabs, groups, groupNames, colors, windowId, consolidate, groupRules, options, ownership }) {
+    const tabsByName = new Map();
+    for (const tab of tabs) {
+        const groupName = groupNames.get(tab.id);
+        if (!groupName) continue;
+
+        // Grouped tabs are left alone, except same-named groups in other windows when consolidating
+        if (tab.groupId !== TAB_GROUP_ID_NONE) {
+            const group = groups.find(group => group.id === tab.groupId);
+            if (!group || getManagedGroupName(group, ownership) !== groupName) continue;
+            if (group.windowId !== windowId && !(consolidate && isManagedMembership(tab, ownership))) continue;
+        }
+
+        if (!tabsByName.has(groupName)) {
+            tabsByName.set(groupName, []);
+        }
+        tabsByName.get(groupName).push(tab);
+    }
+
+    const desiredGroups = [];
+    for (const [groupName, namedTabs] of tabsByName) {
+        // Prefer a matching group in the triggering window, then any other window
+        const matchingGroups = groups.filter(group => getManagedGroupName(group, ownership) === groupName);
+        const existingGroup = matchingGroups.find(group => group.windowId === windowId) || matchingGroups[0];
+
+        // Tabs only join the chosen group, or move to its window, when consolidating
+        const groupTabs = namedTabs.filter(tab =>
+            !existingGroup || tab.groupId === existingGroup.id || tab.groupId === TAB_GROUP_ID_NONE || consolidate);
+
+        // Join an existing group with any number of tabs, but only create a group at its minimum size
+        if (!existingGroup && groupTabs.length < getMinGroupSize(groupName, groupRules, options)) continue;
+
+        // Tabs the user added to the group stay in it and count towards its title
+        const otherMembers = existingGroup
+            ? tabs.filter(tab => tab.groupId === existingGroup.id && !groupTabs.includes(tab)).length
+            : 0;
+
+        desiredGroups.push({
+            groupName,
+            groupId: existingGroup ? existingGroup.id : null,
+            windowId: existingGroup ? existingGroup.windowId : windowId,
+            title: getGroupTitle(groupName, {
+                count: groupTabs.length + otherMembers, groupRules, template: options.titleTemplate
+            }),
+            color: colors.get(groupName),
+            tabs: groupTabs
+        });
+    }
+    return desiredGroups;
+}
+
+// Work out the fewest operations that take the browser from its current groups to the desired ones:
+// one move per target window, one group call per group and an update only where a title or color differs.
+// Operations are { type: "move", tabIds, windowId }, { type: "create", tabIds, windowId, groupName, title,
+// color }, { type: "join", tabIds, groupId, title } and { type: "update", groupId, groupName, title, color,
+// previousTitle }.
+export function diffGroupingState(desiredGroups, currentGroups) {
+    const moves = new Map();
+    const groupOperations = [];
+    const updates = [];
+
+    for (const desired of desiredGroups) {
+        const missingTabs = desired.tabs.filter(tab => desired.groupId === null || tab.groupId !== desired.groupId);
+        const tabIds = missingTabs.map(tab => tab.id);
+
+        for (const tab of missingTabs) {
+            if (tab.windowId === desired.windowId) continue;
+            if (!moves.has(desired.windowId)) moves.set(desired.windowId, []);
+            moves.get(desired.windowId).push(tab.id);
+        }
+
+        if (desired.groupId === null) {
+            groupOperations.push({
+                type: "create",
+                tabIds,
+                windowId: desired.windowId,
+                groupName: desired.groupName,
+                title: desired.title,
+                color: desired.color
+            });
+            continue;
+        }
+
+        const current = currentGroups.find(group => group.id === desired.groupId);
+        if (tabIds.length) {
+            groupOperations.push({ type: "join", tabIds, groupId: desired.groupId, title: current.title });
+        }
+        if (current.title !== desired.title || (desired.color && current.color !== desired.color)) {
+            updates.push({
+                type: "update",
+                groupId: desired.groupId,
+                groupName: desired.groupName,
+                title: desired.title,
+                color: desired.color || current.color,
+                previousTitle: current.title
+            });
+        }
+    }
+
+    const moveOperations = [...moves].map(([windowId, tabIds]) => ({ type: "move", tabIds, windowId }));
+    return [...moveOperations, ...groupOperations, ...updates];
+}
+
+// Describe an operation in a line of text for the dry-run preview
+export function describeOperation(operation) {
+    const tabCount = operation.tabIds ? `${operation.tabIds.length} ${operation.tabIds.length === 1 ? "tab" : "tabs"}` : "";
+    switch (operation.type) {
+        case "move":
+            return `Move ${tabCount} to window ${operation.windowId}`;
+        case "create":
+            return `Create "${operation.title}" (${operation.color}) with ${tabCount}`;
+        case "join":
+            return `Add ${tabCount} to "${operation.title}"`;
+        case "update":
+            return operation.title === operation.previousTitle
+                ? `Recolor "${operation.title}" ${operation.color}`
+                : `Rename "${operation.previousTitle}" to "${operation.title}"`;
+        case "ungroup":
+            return `Ungroup ${tabCount}`;
+        default:
+            return operation.type;
+    }
+}
+
+// Compare titles and URLs the way they read, ignoring case
+function compareText(a, b) {
+    return (a || "").localeCompare(b || "", undefined, { sensitivity: "base" });
+}
+
+function lastAccessed(tabs) {
+    return Math.max(0, ...tabs.map(tab => tab.lastAccessed || 0));
+}
+
+// Group orders, each falling back to the name so the result doesn't depend on the current order
+const GROUP_COMPARATORS = {
+    alphabetical: (a, b) => compareText(a.name, b.name),
+    tabCount: (a, b) => b.tabs.length - a.tabs.length || compareText(a.name, b.name),
+    recent: (a, b) => lastAccessed(b.tabs) - lastAccessed(a.tabs) || compareText(a.name, b.name),
+    // Groups without a priority go last; Infinity - Infinity is NaN, which falls through to the name
+    priority: (a, b) => (a.priority ?? Infinity) - (b.priority ?? Infinity) || compareText(a.name, b.name)
+};
+
+const TAB_COMPARATORS = {
+    url: (a, b) => compareText(a.url, b.url),
+    title: (a, b) => compareText(a.title, b.title) || compareText(a.url, b.url),
+    lastAccessed: (a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0)
+};
+
+// Plan the order of a window's unpinned tabs: ungrouped tabs at the start or end, groups in the configured
+// order and the tabs of the groups in sortableGroupIds sorted. Pinned tabs always stay in front and are left
+// out. Groups are sorted by their name, which defaults to their title. Returns blocks of { groupId, tabIds }
+// in order, with TAB_GROUP_ID_NONE for the ungrouped tabs.
+export function planTabOrder({ tabs, groups, groupRules, options, sortableGroupIds }) {
+    const unpinnedTabs = tabs.filter(tab => !tab.pinned);
+
+    // Groups in their current order, which the "none" order keeps
+    const entries = [];
+    for (const tab of unpinnedTabs) {
+        if (tab.groupId === TAB_GROUP_ID_NONE || entries.some(entry => entry.group.id === tab.groupId)) continue;
+        const group = groups.find(group => group.id === tab.groupId) || { id: tab.groupId, title: "" };
+        const name = group.name || group.title;
+        entries.push({
+            group,
+            name,
+            tabs: unpinnedTabs.filter(other => other.groupId === group.id),
+            priority: getGroupPriority(name, groupRules)
+        });
+    }
+    const compareGroups = GROUP_COMPARATORS[options.groupOrder];
+    if (compareGroups) entries.sort(compareGroups);
+
+    const compareTabs = TAB_COMPARATORS[options.tabOrder];
+    const blocks = entries.map(({ group, tabs: groupTabs }) => {
+        const sortedTabs = compareTabs && sortableGroupIds.includes(group.id) ? [...groupTabs].sort(compareTabs) : groupTabs;
+        return { groupId: group.id, tabIds: sortedTabs.map(tab => tab.id) };
+    });
+
+    const ungroupedTabIds = unpinnedTabs.filter(tab => tab.groupId === TAB_GROUP_ID_NONE).map(tab => tab.id);
+    if (ungroupedTabIds.length === 0) return blocks;
+
+    const ungroupedBlock = { groupId: TAB_GROUP_ID_NONE, tabIds: ungroupedTabIds };
+    return options.ungroupedPosition === "end" ? [...blocks, ungroupedBlock] : [ungroupedBlock, ...blocks];
+}
@@ -1,187 +1,771 @@
-const COLOR_PALETTE = [
-    { name: "Grey", value: "grey", hex: "#D9DCE0" },
-    { name: "Blue", value: "blue", hex: "#4FB8FE" },
-    { name: "Red", value: "red", hex: "#FF767E" },
-    { name: "Yellow", value: "yellow", hex: "#FFD142" },
-    { name: "Green", value: "green", hex: "#00D18E" },
-    { name: "Pink", value: "pink", hex: "#FF71CF" },
-    { name: "Purple", value: "purple", hex: "#B73FE7" },
-    { name: "Cyan", value: "cyan", hex: "#00E1EF" },
-    { name: "Orange", value: "orange", hex: "#FFA161" },
-];
+import { exportActivityLog } from "./activity.js";
+import { DEFAULT_DUPLICATE_OPTIONS } from "./duplicates.js";
+import { getHistory } from "./history.js";
+import { DEFAULT_GROUPING_OPTIONS, DEFAULT_IDLE_POLICY, createRuleId } from "./rules.js";
+import { SYNC_FALLBACK_KEY, StorageManager } from "./storage.js";
+import {
+    RULE_PLACEHOLDERS,
+    addColorOptions,
+    buildMappingsExport,
+    cleanGroupName,
+    cleanRulePattern,
+    cleanupMappingText,
+    describeRuleOptions,
+    getColorHex,
+    getGroupStatus,
+    getRuleDuplicateCounts,
+    loadMappings,
+    parseMappingsImport,
+    planMappingsImport,
+    refreshStorageWarning,
+    removeRules,
+    validateRulePattern,
+} from "./ui.js";
+import { SCHEDULE_DAYS, getActiveWorkspaceId, getWindowWorkspaceId, getWorkspaces } from "./workspaces.js";
 
 document.addEventListener("DOMContentLoaded", () => {
     const groupTabsBtn = document.getElementById("groupTabs");
     const ungroupTabsBtn = document.getElementById("ungroupTabs");
+    const sortTabsBtn = document.getElementById("sortTabs");
+    const previewGroupingBtn = document.getElementById("previewGrouping");
+    const groupingPreview = document.getElementById("groupingPreview");
+    const groupAllWindowsInput = document.getElementById("groupAllWindows");
+    const consolidateWindowsInput = document.getElementById("consolidateWindows");
+    const groupingStrategyInput = document.getElementById("groupingStrategyInput");
+    const similarityControls = document.getElementById("similarityControls");
+    const similarityThresholdInput = document.getElementById("similarityThresholdInput");
+    const similarityThresholdValue = document.getElementById("similarityThresholdValue");
     const domainInput = document.getElementById("domainInput");
     const groupNameInput = document.getElementById("groupNameInput");
     const colorInput = document.getElementById("colorInput");
+    const groupByInput = document.getElementById("groupByInput");
+    const minGroupSizeRuleInput = document.getElementById("minGroupSizeRuleInput");
+    const maxTabsRuleInput = document.getElementById("maxTabsRuleInput");
+    const priorityRuleInput = document.getElementById("priorityRuleInput");
+    const emojiRuleInput = document.getElementById("emojiRuleInput");
+    const abbreviationRuleInput = document.getElementById("abbreviationRuleInput");
+    const precedenceRuleInput = document.getElementById("precedenceRuleInput");
+    const minGroupSizeInput = document.getElementById("minGroupSizeInput");
+    const ungroupBelowInput = document.getElementById("ungroupBelowInput");
+    const skipPinnedInput = document.getElementById("skipPinnedInput");
+    const skipIncognitoInput = document.getElementById("skipIncognitoInput");
+    const skipBrowserPagesInput = document.getElementById("skipBrowserPagesInput");
+    const ignorePatternsInput = document.getElementById("ignorePatternsInput");
+    const groupOrderInput = document.getElementById("groupOrderInput");
+    const tabOrderInput = document.getElementById("tabOrderInput");
+    const ungroupedPositionInput = document.getElementById("ungroupedPositionInput");
+    const titleTemplateInput = document.getElementById("titleTemplateInput");
+    const colorStrategyInput = document.getElementById("colorStrategyInput");
+    const openerGroupingInput = document.getElementById("openerGroupingInput");
+    const maxGroupTabsInput = document.getElementById("maxGroupTabsInput");
+    const maxTotalTabsInput = document.getElementById("maxTotalTabsInput");
+    const overflowPolicyInput = document.getElementById("overflowPolicyInput");
+    const matchTypeInput = document.getElementById("matchTypeInput");
+    const ruleError = document.getElementById("ruleError");
     const addMappingBtn = document.getElementById("addMapping");
     const currentMappings = document.getElementById("currentMappings");
     const mappingsList = document.getElementById("mappingsList");
     const removeMappingBtn = document.getElementById("removeMapping");
+    const openOptionsBtn = document.getElementById("openOptions");
+    const moveRuleUpBtn = document.getElementById("moveRuleUp");
+    const moveRuleDownBtn = document.getElementById("moveRuleDown");
+    const exportMappingsBtn = document.getElementById("exportMappings");
+    const importMappingsBtn = document.getElementById("importMappings");
+    const importFileInput = document.getElementById("importFileInput");
+    const importPreview = document.getElementById("importPreview");
+    const importErrors = document.getElementById("importErrors");
+    const importDiff = document.getElementById("importDiff");
+    const importModeInputs = Array.from(document.querySelectorAll("input[name='importMode']"));
+    const applyImportBtn = document.getElementById("applyImport");
+    const cancelImportBtn = document.getElementById("cancelImport");
+    const autoCollapseInput = document.getElementById("autoCollapseInput");
+    const explainTabBtn = document.getElementById("explainTab");
+    const exportActivityBtn = document.getElementById("exportActivity");
+    const tabExplanation = document.getElementById("tabExplanation");
+    const idleScopeInput = document.getElementById("idleScopeInput");
+    const idleExemptRow = document.getElementById("idleExemptRow");
+    const idleExemptInput = document.getElementById("idleExemptInput");
+    const idleActionInput = document.getElementById("idleActionInput");
+    const idleMinutesInput = document.getElementById("idleMinutesInput");
+    const closeAfterMinutesInput = document.getElementById("closeAfterMinutesInput");
+    const saveIdlePolicyBtn = document.getElementById("saveIdlePolicy");
+    const resetIdlePolicyBtn = document.getElementById("resetIdlePolicy");
+    const restoreAllClosedTabsBtn = document.getElementById("restoreAllClosedTabs");
+    const duplicatePolicyInput = document.getElementById("duplicatePolicyInput");
+    const duplicateIgnoreHashInput = document.getElementById("duplicateIgnoreHashInput");
+    const duplicateIgnoreTrackingInput = document.getElementById("duplicateIgnoreTrackingInput");
+    const duplicateIgnoreSchemeInput = document.getElementById("duplicateIgnoreSchemeInput");
+    const closeAllDuplicatesBtn = document.getElementById("closeAllDuplicates");
+    const snapshotNameInput = document.getElementById("snapshotNameInput");
+    const snapshotError = document.getElementById("snapshotError");
+    const saveSnapshotBtn = document.getElementById("saveSnapshot");
+    const workspaceInput = document.getElementById("workspaceInput");
+    const workspaceWindowInput = document.getElementById("workspaceWindowInput");
+    const workspaceDaysInput = document.getElementById("workspaceDaysInput");
+    const workspaceStartInput = document.getElementById("workspaceStartInput");
+    const workspaceEndInput = document.getElementById("workspaceEndInput");
+    const workspaceNameInput = document.getElementById("workspaceNameInput");
+    const saveWorkspaceScheduleBtn = document.getElementById("saveWorkspaceSchedule");
+    const deleteWorkspaceBtn = document.getElementById("deleteWorkspace");
+    const createWorkspaceBtn = document.getElementById("createWorkspace");
 
     // Populate color select with color preview
-    COLOR_PALETTE.forEach((color) => {
-        const option = document.createElement("option");
-        option.value = color.value;
-        option.textContent = `${color.name}`;
-        option.style.backgroundColor = color.hex;
-        option.style.color = color.name === "Grey" ? "black" : "white";
-        colorInput.appendChild(option);
-    });
+    addColorOptions(colorInput);
 
-    // Group tabs button
-    groupTabsBtn.addEventListener("click", () => {
-        chrome.runtime.sendMessage({ action: "groupTabs" });
+    // Mappings can be searched, sorted and edited in place on the options page
+    openOptionsBtn.addEventListener("click", () => chrome.runtime.openOptionsPage());
+
+    // Group tabs button, scoped to the window the popup was opened in
+    groupTabsBtn.addEventListener("click", async () => {
+        const { id: windowId } = await chrome.windows.getCurrent();
+        chrome.runtime.sendMessage({ action: "groupTabs", windowId });
     });
 
     // Ungroup tabs button
-    ungroupTabsBtn.addEventListener("click", () => {
-        chrome.runtime.sendMessage({ action: "ungroupTabs" });
+    ungroupTabsBtn.addEventListener("click", async () => {
+        const { id: windowId } = await chrome.windows.getCurrent();
+        chrome.runtime.sendMessage({ action: "ungroupTabs", windowId });
+    });
+
+    // Undo or redo the last bulk grouping change; the buttons are kept current from session storage
+    document.getElementById("undoGrouping").addEventListener("click", () => {
+        chrome.runtime.sendMessage({ action: "undo" });
+    });
+
+    document.getElementById("redoGrouping").addEventListener("click", () => {
+        chrome.runtime.sendMessage({ action: "redo" });
+    });
+
+    // Switching workspace swaps the mappings and settings; the background then regroups every window
+    workspaceInput.addEventListener("change", () => {
+        sendWorkspaceAction({ action: "switchWorkspace", workspaceId: workspaceInput.value });
+    });
+
+    workspaceWindowInput.addEventListener("change", async () => {
+        const { id: windowId } = await chrome.windows.getCurrent();
+        sendWorkspaceAction({
+            action: "setWindowWorkspace",
+            windowId,
+            workspaceId: workspaceWindowInput.checked ? workspaceInput.value : null,
+        });
+    });
+
+    saveWorkspaceScheduleBtn.addEventListener("click", () => {
+        const days = SCHEDULE_DAYS[workspaceDaysInput.value];
+        const schedule = days ? { days, start: workspaceStartInput.value, end: workspaceEndInput.value } : null;
+        sendWorkspaceAction({ action: "updateWorkspace", workspaceId: workspaceInput.value, changes: { schedule } });
+    });
+
+    deleteWorkspaceBtn.addEventListener("click", () => {
+        sendWorkspaceAction({ action: "deleteWorkspace", workspaceId: workspaceInput.value });
     });
 
-    // Add new mapping
+    // The first workspace keeps the current settings; later ones start as a copy of them
+    createWorkspaceBtn.addEventListener("click", async () => {
+        const response = await sendWorkspaceAction({ action: "createWorkspace", name: workspaceNameInput.value });
+        if (response && response.ok) workspaceNameInput.value = "";
+    });
+
+    // Put the window's groups and tabs in the configured order
+    sortTabsBtn.addEventListener("click", async () => {
+        const { id: windowId } = await chrome.windows.getCurrent();
+        chrome.runtime.sendMessage({ action: "sortTabs", windowId });
+    });
+
+    // Show what "Group Tabs" would change without applying it; clicking again hides the preview
+    previewGroupingBtn.addEventListener("click", async () => {
+        if (!groupingPreview.hidden) {
+            groupingPreview.hidden = true;
+            return;
+        }
+
+        const { id: windowId } = await chrome.windows.getCurrent();
+        const response = await chrome.runtime.sendMessage({ action: "previewGrouping", windowId });
+
+        groupingPreview.innerHTML = "";
+        if (!response || !response.ok) {
+            groupingPreview.textContent = (response && response.error) || "Preview failed";
+        } else if (response.lines.length === 0) {
+            groupingPreview.textContent = "No changes";
+        } else {
+            response.lines.forEach((text) => {
+                const line = document.createElement("div");
+                line.textContent = text;
+                groupingPreview.appendChild(line);
+            });
+        }
+        groupingPreview.hidden = false;
+    });
+
+    // Explain why the active tab is in its group; clicking again hides the explanation
+    explainTabBtn.addEventListener("click", async () => {
+        if (!tabExplanation.hidden) {
+            tabExplanation.hidden = true;
+            return;
+        }
+
+        const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const response = await chrome.runtime.sendMessage({ action: "explainTab", tabId: activeTab.id });
+
+        tabExplanation.innerHTML = "";
+        if (!response || !response.ok) {
+            tabExplanation.textContent = (response && response.error) || "Could not explain this tab";
+        } else {
+            response.lines.forEach((text) => {
+                const line = document.createElement("div");
+                line.textContent = text;
+                tabExplanation.appendChild(line);
+            });
+        }
+        tabExplanation.hidden = false;
+    });
+
+    // Download the activity log as JSON, for attaching to bug reports
+    exportActivityBtn.addEventListener("click", async () => {
+        const exported = await exportActivityLog();
+        const blob = new Blob([JSON.stringify(exported, null, 2)], { type: "application/json" });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `tab-grouper-activity-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    });
+
+    // Grouping strategy and similarity threshold; the threshold only applies to content grouping
+    StorageManager.getMany(["groupingStrategy", "similarityThreshold"]).then((result) => {
+        groupingStrategyInput.value = result.groupingStrategy || "domain";
+        similarityThresholdInput.value = result.similarityThreshold || 0.3;
+        similarityThresholdValue.textContent = similarityThresholdInput.value;
+        similarityControls.hidden = groupingStrategyInput.value !== "content";
+    });
+
+    groupingStrategyInput.addEventListener("change", () => {
+        similarityControls.hidden = groupingStrategyInput.value !== "content";
+        StorageManager.set("groupingStrategy", groupingStrategyInput.value);
+    });
+
+    similarityThresholdInput.addEventListener("input", () => {
+        similarityThresholdValue.textContent = similarityThresholdInput.value;
+    });
+
+    similarityThresholdInput.addEventListener("change", () => {
+        StorageManager.set("similarityThreshold", Number(similarityThresholdInput.value));
+    });
+
+    // Window settings toggles
+    StorageManager.getMany(["groupAllWindows", "consolidateWindows"]).then((result) => {
+        groupAllWindowsInput.checked = Boolean(result.groupAllWindows);
+        consolidateWindowsInput.checked = Boolean(result.consolidateWindows);
+    });
+
+    groupAllWindowsInput.addEventListener("change", () => {
+        StorageManager.set("groupAllWindows", groupAllWindowsInput.checked);
+    });
+
+    consolidateWindowsInput.addEventListener("change", () => {
+        StorageManager.set("consolidateWindows", consolidateWindowsInput.checked);
+    });
+
+    // Grouping thresholds and filters share one stored object
+    StorageManager.getMany(["groupingOptions"]).then((result) => {
+        const options = { ...DEFAULT_GROUPING_OPTIONS, ...result.groupingOptions };
+        minGroupSizeInput.value = options.minGroupSize;
+        ungroupBelowInput.value = options.ungroupBelow;
+        skipPinnedInput.checked = options.skipPinned;
+        skipIncognitoInput.checked = options.skipIncognito;
+        skipBrowserPagesInput.checked = options.skipBrowserPages;
+        ignorePatternsInput.value = options.ignorePatterns.join("\n");
+        groupOrderInput.value = options.groupOrder;
+        tabOrderInput.value = options.tabOrder;
+        ungroupedPositionInput.value = options.ungroupedPosition;
+        titleTemplateInput.value = options.titleTemplate;
+        colorStrategyInput.value = options.colorStrategy;
+        openerGroupingInput.value = options.openerGrouping;
+        maxGroupTabsInput.value = options.maxGroupTabs;
+        maxTotalTabsInput.value = options.maxTotalTabs;
+        overflowPolicyInput.value = options.overflowPolicy;
+    });
+
+    function saveGroupingOptions() {
+        // Ignore-list entries are domains, host wildcards or URL globs, one per line
+        const ignorePatterns = ignorePatternsInput.value
+            .split("\n")
+            .map((line) => line.trim().toLowerCase())
+            .filter(Boolean);
+
+        StorageManager.set("groupingOptions", {
+            minGroupSize: Math.max(1, Number(minGroupSizeInput.value) || DEFAULT_GROUPING_OPTIONS.minGroupSize),
+            ungroupBelow: Math.max(1, Number(ungroupBelowInput.value) || DEFAULT_GROUPING_OPTIONS.ungroupBelow),
+            ignorePatterns: [...new Set(ignorePatterns)],
+            skipPinned: skipPinnedInput.checked,
+            skipIncognito: skipIncognitoInput.checked,
+            skipBrowserPages: skipBrowserPagesInput.checked,
+            groupOrder: groupOrderInput.value,
+            tabOrder: tabOrderInput.value,
+            ungroupedPosition: ungroupedPositionInput.value,
+            titleTemplate: titleTemplateInput.value.trim() || DEFAULT_GROUPING_OPTIONS.titleTemplate,
+            colorStrategy: colorStrategyInput.value,
+            openerGrouping: openerGroupingInput.value,
+            // Caps of 0 or less mean no cap
+            maxGroupTabs: Math.max(0, Math.floor(Number(maxGroupTabsInput.value)) || 0),
+            maxTotalTabs: Math.max(0, Math.floor(Number(maxTotalTabsInput.value)) || 0),
+            overflowPolicy: overflowPolicyInput.value,
+        });
+    }
+
+    [
+        minGroupSizeInput,
+        ungroupBelowInput,
+        skipPinnedInput,
+        skipIncognitoInput,
+        skipBrowserPagesInput,
+        ignorePatternsInput,
+        groupOrderInput,
+        tabOrderInput,
+        ungroupedPositionInput,
+        titleTemplateInput,
+        colorStrategyInput,
+        openerGroupingInput,
+        maxGroupTabsInput,
+        maxTotalTabsInput,
+        overflowPolicyInput,
+    ].forEach((input) => input.addEventListener("change", saveGroupingOptions));
+
+    // Duplicate detection rules and policy share one stored object
+    StorageManager.getMany(["duplicateOptions"]).then((result) => {
+        const options = { ...DEFAULT_DUPLICATE_OPTIONS, ...result.duplicateOptions };
+        duplicatePolicyInput.value = options.policy;
+        duplicateIgnoreHashInput.checked = options.ignoreHash;
+        duplicateIgnoreTrackingInput.checked = options.ignoreTracking;
+        duplicateIgnoreSchemeInput.checked = options.ignoreScheme;
+    });
+
+    [duplicatePolicyInput, duplicateIgnoreHashInput, duplicateIgnoreTrackingInput, duplicateIgnoreSchemeInput].forEach(
+        (input) =>
+            input.addEventListener("change", () => {
+                StorageManager.set("duplicateOptions", {
+                    policy: duplicatePolicyInput.value,
+                    ignoreHash: duplicateIgnoreHashInput.checked,
+                    ignoreTracking: duplicateIgnoreTrackingInput.checked,
+                    ignoreScheme: duplicateIgnoreSchemeInput.checked,
+                });
+            })
+    );
+
+    closeAllDuplicatesBtn.addEventListener("click", async () => {
+        const sets = await getWindowDuplicateSets();
+        chrome.runtime.sendMessage({ action: "closeDuplicates", tabIds: sets.flatMap((set) => set.tabIds) });
+    });
+
+    // Show an example pattern for the selected match type
+    matchTypeInput.addEventListener("change", () => {
+        domainInput.placeholder = RULE_PLACEHOLDERS[matchTypeInput.value];
+        ruleError.textContent = "";
+    });
+
+    // Add new rule
     addMappingBtn.addEventListener("click", () => {
-        const domain = domainInput.value.trim();
+        const type = matchTypeInput.value;
+        const pattern = domainInput.value.trim();
         const groupName = groupNameInput.value.trim();
+        const groupBy = groupByInput.value;
+        const minGroupSize = Number(minGroupSizeRuleInput.value) || 0;
+        const maxTabs = Math.floor(Number(maxTabsRuleInput.value)) || 0;
+        const priority = Number(priorityRuleInput.value) || 0;
+        const emoji = emojiRuleInput.value.trim();
+        const abbreviation = abbreviationRuleInput.value.replace(/[^\w\s:-]/g, "").trim();
+        const precedence = precedenceRuleInput.value;
         let color = colorInput.value.trim();
         // If no color is selected, default to grey
         if (!color) {
             color = "grey";
         }
 
-        if (domain && groupName) {
-            chrome.storage.sync.get(["groupMappings", "groupColors"], (result) => {
-                const mappings = result.groupMappings || {};
+        if (pattern && groupName) {
+            // Domains are cleaned like before, other patterns are kept verbatim but must be valid
+            const cleanPattern = cleanRulePattern(type, pattern);
+            const cleanName = cleanGroupName(groupName);
+
+            const validationError = validateRulePattern(type, cleanPattern);
+            if (validationError) {
+                ruleError.textContent = validationError;
+                return;
+            }
+            ruleError.textContent = "";
+
+            StorageManager.getMany(["groupRules", "groupColors"]).then((result) => {
+                const rules = result.groupRules || [];
                 const colors = result.groupColors || {};
 
-                // Cleanup domain and group name before saving
-                const cleanDomain = domain.replace(/[^\w\s.-]/g, "").trim(); // Allow dots for subdomains
-                const cleanGroupName = groupName.replace(/[^\w\s:-]/g, "").trim(); // Allow colons for grouping by URL
+                // Re-adding an existing pattern updates the rule in place, keeping its position
+                const existingRule = rules.find((rule) => rule.type === type && rule.pattern === cleanPattern);
+                const rule = existingRule || { id: createRuleId(), type, pattern: cleanPattern };
+                Object.assign(rule, { groupName: cleanName, groupBy });
+
+                // Rules without their own minimum use the global one
+                if (minGroupSize > 0) {
+                    rule.minGroupSize = minGroupSize;
+                } else {
+                    delete rule.minGroupSize;
+                }
+                // Rules without their own cap use the global one
+                if (maxTabs > 0) {
+                    rule.maxTabs = maxTabs;
+                } else {
+                    delete rule.maxTabs;
+                }
+                if (priority > 0) {
+                    rule.priority = priority;
+                } else {
+                    delete rule.priority;
+                }
+                // Emoji and abbreviation only change how the group is titled
+                if (emoji) {
+                    rule.emoji = emoji;
+                } else {
+                    delete rule.emoji;
+                }
+                if (abbreviation) {
+                    rule.abbreviation = abbreviation;
+                } else {
+                    delete rule.abbreviation;
+                }
+                // Only matters when opener grouping is on; mappings win by default
+                if (precedence === "opener") {
+                    rule.precedence = precedence;
+                } else {
+                    delete rule.precedence;
+                }
 
-                mappings[cleanDomain] = cleanGroupName;
+                if (!existingRule) {
+                    rules.push(rule);
+                }
 
                 // Only set color if a color is selected
                 if (color) {
-                    colors[cleanGroupName] = color;
+                    colors[cleanName] = color;
                 }
 
-                chrome.storage.sync.set(
-                    // Save the mappings
-                    {
-                        groupMappings: mappings,
-                        groupColors: colors,
-                    },
-                    () => {
-                        // Refresh the mappings list and clear input fields
-                        refreshMappings();
-                        domainInput.value = "";
-                        groupNameInput.value = "";
-                        colorInput.selectedIndex = 0;
-                    }
-                );
+                // Save the rules
+                StorageManager.setMany({
+                    groupRules: rules,
+                    groupColors: colors,
+                }).then(() => {
+                    // Refresh the rules list and clear input fields
+                    refreshMappings();
+                    domainInput.value = "";
+                    groupNameInput.value = "";
+                    colorInput.selectedIndex = 0;
+                    groupByInput.selectedIndex = 0;
+                    minGroupSizeRuleInput.value = "";
+                    maxTabsRuleInput.value = "";
+                    priorityRuleInput.value = "";
+                    emojiRuleInput.value = "";
+                    abbreviationRuleInput.value = "";
+                    precedenceRuleInput.selectedIndex = 0;
+                    if (openedFromMenu) window.close();
+                });
             });
         }
     });
 
-    // Remove mapping
+    // Remove rule
     removeMappingBtn.addEventListener("click", () => {
-        const selectedOptions = Array.from(currentMappings.selectedOptions);
+        const selectedIds = Array.from(currentMappings.selectedOptions).map((option) => option.value);
 
-        if (selectedOptions.length > 0) {
-            chrome.storage.sync.get(["groupMappings", "groupColors"], (result) => {
-                const mappings = result.groupMappings || {};
-                const colors = result.groupColors || {};
+        if (selectedIds.length > 0) {
+            removeRules(selectedIds).then(() => refreshMappings());
+        }
+    });
 
-                selectedOptions.forEach((option) => {
-                    const selectedDomain = option.value;
-                    const groupName = mappings[selectedDomain];
+    // Move selected rules up or down; first match wins, so order matters
+    moveRuleUpBtn.addEventListener("click", () => moveSelectedRules(-1));
+    moveRuleDownBtn.addEventListener("click", () => moveSelectedRules(1));
 
-                    // Remove domain mapping
-                    delete mappings[selectedDomain];
+    function moveSelectedRules(direction) {
+        const selectedIds = Array.from(currentMappings.selectedOptions).map((option) => option.value);
+        if (selectedIds.length === 0) return;
 
-                    // Optionally remove color mapping if no other domains use this group name
-                    const isColorUsedElsewhere = Object.values(mappings).includes(groupName);
-                    if (!isColorUsedElsewhere) {
-                        delete colors[groupName];
-                    }
-                });
+        StorageManager.getMany(["groupRules"]).then((result) => {
+            const rules = result.groupRules || [];
 
-                chrome.storage.sync.set(
-                    {
-                        groupMappings: mappings,
-                        groupColors: colors,
-                    },
-                    refreshMappings
-                );
-            });
+            // Walk against the direction of travel so adjacent selected rules keep their relative order
+            const indexes = rules.map((_, index) => index);
+            if (direction > 0) indexes.reverse();
+
+            for (const index of indexes) {
+                const target = index + direction;
+                if (!selectedIds.includes(rules[index].id) || target < 0 || target >= rules.length) continue;
+                if (selectedIds.includes(rules[target].id)) continue;
+
+                [rules[index], rules[target]] = [rules[target], rules[index]];
+            }
+
+            StorageManager.set("groupRules", rules).then(() => refreshMappings(selectedIds));
+        });
+    }
+
+    // Save the current window as a snapshot
+    saveSnapshotBtn.addEventListener("click", async () => {
+        const name = snapshotNameInput.value.trim();
+        if (!name) {
+            snapshotError.textContent = "Enter a snapshot name";
+            return;
+        }
+
+        const { id: windowId } = await chrome.windows.getCurrent();
+        const response = await chrome.runtime.sendMessage({ action: "saveSnapshot", name, windowId });
+        snapshotError.textContent = response && response.ok ? "" : (response && response.error) || "Saving failed";
+        if (response && response.ok) {
+            snapshotNameInput.value = "";
+            refreshSnapshots();
         }
     });
 
+    // Export rules and colors as a downloadable JSON document
+    exportMappingsBtn.addEventListener("click", () => {
+        StorageManager.getMany(["groupRules", "groupColors"]).then((result) => {
+            const exported = buildMappingsExport(result.groupRules || [], result.groupColors || {});
+            const blob = new Blob([JSON.stringify(exported, null, 2)], { type: "application/json" });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement("a");
+            link.href = url;
+            link.download = `tab-grouper-mappings-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+        });
+    });
+
+    // Parsed import waiting for confirmation
+    let pendingImport = null;
+
+    importMappingsBtn.addEventListener("click", () => importFileInput.click());
+
+    importFileInput.addEventListener("change", async () => {
+        const [file] = importFileInput.files;
+        importFileInput.value = "";
+        if (!file) return;
+
+        pendingImport = parseMappingsImport(await file.text());
+        renderImportPreview();
+    });
+
+    importModeInputs.forEach((input) => input.addEventListener("change", renderImportPreview));
+
+    cancelImportBtn.addEventListener("click", () => {
+        pendingImport = null;
+        importPreview.hidden = true;
+    });
+
+    applyImportBtn.addEventListener("click", () => {
+        if (!pendingImport) return;
+
+        StorageManager.getMany(["groupRules", "groupColors"]).then((result) => {
+            const current = { rules: result.groupRules || [], colors: result.groupColors || {} };
+            const { rules, colors } = planMappingsImport(current, pendingImport, selectedImportMode());
+
+            StorageManager.setMany({ groupRules: rules, groupColors: colors }).then(() => {
+                pendingImport = null;
+                importPreview.hidden = true;
+                refreshMappings();
+            });
+        });
+    });
+
+    function selectedImportMode() {
+        return importModeInputs.find((input) => input.checked).value;
+    }
+
+    // Show the import's errors and the changes it would make in the selected mode
+    function renderImportPreview() {
+        if (!pendingImport) return;
+
+        StorageManager.getMany(["groupRules", "groupColors"]).then((result) => {
+            const current = { rules: result.groupRules || [], colors: result.groupColors || {} };
+            const { diff } = planMappingsImport(current, pendingImport, selectedImportMode());
+
+            importErrors.innerHTML = "";
+            pendingImport.errors.forEach((error) => {
+                const line = document.createElement("div");
+                line.textContent = error;
+                importErrors.appendChild(line);
+            });
+
+            importDiff.innerHTML = "";
+            const prefixes = { added: "+", changed: "~", removed: "-" };
+            diff.forEach(({ kind, text }) => {
+                const line = document.createElement("div");
+                line.classList.add(`diff-${kind}`);
+                line.textContent = `${prefixes[kind]} ${text}`;
+                importDiff.appendChild(line);
+            });
+            if (diff.length === 0) {
+                importDiff.textContent = "No changes";
+            }
+
+            applyImportBtn.disabled = diff.length === 0;
+            importPreview.hidden = false;
+        });
+    }
+
+    // Idle policies: the scope select edits the default policy or one group's override
+
+    async function populateIdleScopes() {
+        const { id: windowId } = await chrome.windows.getCurrent();
+        const groups = await chrome.tabGroups.query({ windowId });
+        const titles = [...new Set(groups.map((group) => group.title).filter(Boolean))];
+
+        titles.forEach((title) => {
+            const option = document.createElement("option");
+            option.value = title;
+            option.textContent = `Group: ${title}`;
+            idleScopeInput.appendChild(option);
+        });
+    }
+
+    function loadIdlePolicy() {
+        StorageManager.getMany(["idlePolicy", "groupIdlePolicies"]).then((result) => {
+            const scope = idleScopeInput.value;
+            const globalPolicy = { ...DEFAULT_IDLE_POLICY, ...result.idlePolicy };
+            const override = (result.groupIdlePolicies || {})[scope] || {};
+            const policy = { ...globalPolicy, ...override };
+
+            autoCollapseInput.checked = globalPolicy.autoCollapse;
+            idleActionInput.value = policy.idleAction;
+            idleMinutesInput.value = policy.idleMinutes;
+            closeAfterMinutesInput.value = policy.closeAfterMinutes;
+            idleExemptInput.checked = Boolean(policy.exempt);
+            idleExemptRow.hidden = !scope;
+            resetIdlePolicyBtn.hidden = !scope;
+        });
+    }
+
+    idleScopeInput.addEventListener("change", loadIdlePolicy);
+
+    autoCollapseInput.addEventListener("change", () => {
+        StorageManager.getMany(["idlePolicy"]).then((result) => {
+            StorageManager.set("idlePolicy", { ...result.idlePolicy, autoCollapse: autoCollapseInput.checked });
+        });
+    });
+
+    saveIdlePolicyBtn.addEventListener("click", () => {
+        const scope = idleScopeInput.value;
+        const policy = {
+            idleAction: idleActionInput.value,
+            idleMinutes: Math.max(1, Number(idleMinutesInput.value) || DEFAULT_IDLE_POLICY.idleMinutes),
+            closeAfterMinutes: Math.max(0, Number(closeAfterMinutesInput.value) || 0),
+        };
+
+        StorageManager.getMany(["idlePolicy", "groupIdlePolicies"]).then((result) => {
+            if (scope) {
+                const overrides = result.groupIdlePolicies || {};
+                overrides[scope] = { ...policy, exempt: idleExemptInput.checked };
+                StorageManager.set("groupIdlePolicies", overrides);
+            } else {
+                StorageManager.set("idlePolicy", { ...result.idlePolicy, ...policy });
+            }
+        });
+    });
+
+    resetIdlePolicyBtn.addEventListener("click", () => {
+        StorageManager.getMany(["groupIdlePolicies"]).then((result) => {
+            const overrides = result.groupIdlePolicies || {};
+            delete overrides[idleScopeInput.value];
+            StorageManager.set("groupIdlePolicies", overrides).then(loadIdlePolicy);
+        });
+    });
+
+    restoreAllClosedTabsBtn.addEventListener("click", () => {
+        chrome.runtime.sendMessage({ action: "restoreClosedTabs" });
+    });
+
+    // Opened from the "Always group this site as…" context menu: prefill the mapping form, and close once saved
+    const prefill = new URLSearchParams(location.search);
+    const openedFromMenu = prefill.has("domain");
+    if (openedFromMenu) {
+        matchTypeInput.value = "domain";
+        domainInput.value = prefill.get("domain");
+        groupNameInput.value = prefill.get("groupName") || "";
+        groupNameInput.focus();
+        groupNameInput.select();
+    }
+
     // Initial refresh
     refreshMappings();
+    refreshSnapshots();
+    refreshClosedTabs();
+    refreshWindowGroups();
+    refreshDuplicates();
+    refreshStorageWarning();
+    refreshHistoryButtons();
+    refreshWorkspaces();
+    populateIdleScopes().then(loadIdlePolicy);
 });
 
-// Cleanup function for mapping display
-function cleanupMappingText(text) {
-    return text
-        .normalize("NFC") // Normalize unicode characters
-        .replace(/[^\w\s.:-]/g, "") // Remove special characters
-        .trim(); // Trim whitespace
-}
-
-// Refresh mappings list
-function refreshMappings() {
+// Refresh the rules list, keeping the given rule ids selected
+function refreshMappings(selectedIds = []) {
     const mappingsList = document.getElementById("mappingsList");
     const currentMappings = document.getElementById("currentMappings");
 
-    chrome.storage.sync.get(["groupMappings", "groupColors"], (result) => {
-        const mappings = result.groupMappings || {};
-        const colors = result.groupColors || {};
-
-        // Clear existing mappings
+    loadMappings().then(({ rules, colors }) => {
+        // Clear existing rules
         mappingsList.innerHTML = "";
         currentMappings.innerHTML = "";
 
-        for (const [domain, group] of Object.entries(mappings)) {
+        for (const rule of rules) {
+            const { id, type, pattern, groupName, emoji } = rule;
+            const isSelected = selectedIds.includes(id);
+
             // Create mapping item for visual list
             const mappingItem = document.createElement("div");
             mappingItem.classList.add("mapping-item");
-            mappingItem.dataset.domain = domain;
+            mappingItem.classList.toggle("selected", isSelected);
+            mappingItem.dataset.ruleId = id;
 
-            // Domain span
+            // Pattern span; only domains are cleaned since other patterns rely on special characters
             const domainSpan = document.createElement("span");
             domainSpan.classList.add("mapping-item-domain");
-            domainSpan.textContent = cleanupMappingText(domain);
+            domainSpan.textContent = type === "domain" ? cleanupMappingText(pattern) : pattern;
+            domainSpan.title = pattern;
 
             // Group span
             const groupSpan = document.createElement("span");
             groupSpan.classList.add("mapping-item-group");
-            groupSpan.textContent = cleanupMappingText(group);
+            groupSpan.textContent = [emoji, cleanupMappingText(groupName)].filter(Boolean).join(" ");
+
+            // Match type and grouping mode, shown only when they differ from the defaults
+            const modeSpan = document.createElement("span");
+            modeSpan.classList.add("mapping-item-mode");
+            modeSpan.textContent = describeRuleOptions(rule);
+
+            // Duplicates open in this mapping's groups, filled in by refreshDuplicateCounts
+            const duplicatesSpan = document.createElement("span");
+            duplicatesSpan.classList.add("mapping-item-duplicates");
 
             // Color indicator
             const colorSpan = document.createElement("span");
             colorSpan.classList.add("mapping-item-color");
-            const groupColor = colors[group];
-            if (groupColor) {
-                const colorInfo = COLOR_PALETTE.find((color) => color.value === groupColor);
-                if (colorInfo) {
-                    colorSpan.style.backgroundColor = colorInfo.hex;
-                }
+            const colorHex = getColorHex(colors[groupName]);
+            if (colorHex) {
+                colorSpan.style.backgroundColor = colorHex;
             }
 
             // Add to mapping item
             mappingItem.appendChild(domainSpan);
             mappingItem.appendChild(groupSpan);
+            mappingItem.appendChild(modeSpan);
+            mappingItem.appendChild(duplicatesSpan);
             mappingItem.appendChild(colorSpan);
 
             // Add click event for selection
             mappingItem.addEventListener("click", (e) => {
                 mappingItem.classList.toggle("selected");
 
-                // Sync with hidden select for removal
-                const option = Array.from(currentMappings.options).find((opt) => opt.value === domain);
+                // Sync with hidden select for removal and reordering
+                const option = Array.from(currentMappings.options).find((opt) => opt.value === id);
                 if (option) {
                     option.selected = mappingItem.classList.contains("selected");
                 }
@@ -190,15 +774,318 @@ function refreshMappings() {
             // Add to mappings list
             mappingsList.appendChild(mappingItem);
 
-            // Sync with hidden select for removal
+            // Sync with hidden select for removal and reordering
             const option = document.createElement("option");
-            option.value = domain;
-            option.textContent = `${cleanupMappingText(domain)} -> ${cleanupMappingText(group)}`;
+            option.value = id;
+            option.selected = isSelected;
+            option.textContent = `${pattern} -> ${cleanupMappingText(groupName)}`;
             currentMappings.appendChild(option);
         }
+
+        refreshDuplicateCounts();
+    });
+}
+
+// Show how many duplicate tabs each mapping's groups hold, across all windows
+function refreshDuplicateCounts() {
+    getRuleDuplicateCounts().then((ruleCounts) => {
+        document.querySelectorAll("#mappingsList .mapping-item").forEach((mappingItem) => {
+            const count = ruleCounts[mappingItem.dataset.ruleId] || 0;
+            const duplicatesSpan = mappingItem.querySelector(".mapping-item-duplicates");
+            duplicatesSpan.textContent = count ? `${count} dup` : "";
+            duplicatesSpan.title = count ? `${count} duplicate ${count === 1 ? "tab" : "tabs"} open in this group` : "";
+        });
+    });
+}
+
+// Get the duplicate sets found in the popup's window: [{ url, title, keepTabId, tabIds }]
+async function getWindowDuplicateSets() {
+    const { id: windowId } = await chrome.windows.getCurrent();
+    const { duplicates } = await chrome.storage.session.get(["duplicates"]);
+    return ((duplicates || {})[windowId] || {}).sets || [];
+}
+
+// List the window's duplicate pages, each with a button closing every copy but the one kept
+async function refreshDuplicates() {
+    const duplicatesSection = document.getElementById("duplicatesSection");
+    const duplicatesList = document.getElementById("duplicatesList");
+    const sets = await getWindowDuplicateSets();
+
+    duplicatesList.innerHTML = "";
+    duplicatesSection.hidden = sets.length === 0;
+
+    for (const set of sets) {
+        const duplicateItem = document.createElement("div");
+        duplicateItem.classList.add("mapping-item", "snapshot-item");
+
+        const infoSpan = document.createElement("span");
+        infoSpan.classList.add("snapshot-item-info");
+        infoSpan.textContent = set.title || set.url;
+        infoSpan.title = set.url;
+
+        const metaSpan = document.createElement("div");
+        metaSpan.classList.add("snapshot-item-meta");
+        metaSpan.textContent = `${set.tabIds.length + 1} copies open`;
+        infoSpan.appendChild(metaSpan);
+
+        const closeBtn = document.createElement("button");
+        closeBtn.textContent = "Close Older";
+        closeBtn.addEventListener("click", () => {
+            chrome.runtime.sendMessage({ action: "closeDuplicates", tabIds: set.tabIds });
+        });
+
+        duplicateItem.appendChild(infoSpan);
+        duplicateItem.appendChild(closeBtn);
+        duplicatesList.appendChild(duplicateItem);
+    }
+}
+
+// Send a workspace action to the background script and show any error it reports
+async function sendWorkspaceAction(message) {
+    const workspaceError = document.getElementById("workspaceError");
+    const response = await chrome.runtime.sendMessage(message);
+    workspaceError.textContent = response && response.ok ? "" : (response && response.error) || "Workspace action failed";
+    refreshWorkspaces();
+    return response;
+}
+
+// Show the workspaces with the active one selected, whether this window is tied to it, and its schedule
+async function refreshWorkspaces() {
+    const workspaceInput = document.getElementById("workspaceInput");
+    const { id: windowId } = await chrome.windows.getCurrent();
+    const [workspaces, activeWorkspaceId, windowWorkspaceId] = await Promise.all([
+        getWorkspaces(),
+        getActiveWorkspaceId(),
+        getWindowWorkspaceId(windowId),
+    ]);
+
+    workspaceInput.innerHTML = "";
+    if (workspaces.length === 0) {
+        const option = document.createElement("option");
+        option.textContent = "No workspaces: add one to keep the current settings";
+        workspaceInput.appendChild(option);
+    }
+    for (const workspace of workspaces) {
+        const option = document.createElement("option");
+        option.value = workspace.id;
+        option.textContent = workspace.name;
+        workspaceInput.appendChild(option);
+    }
+    workspaceInput.disabled = workspaces.length === 0;
+    workspaceInput.value = activeWorkspaceId || "";
+
+    const active = workspaces.find((workspace) => workspace.id === activeWorkspaceId);
+    document.getElementById("workspaceSettings").hidden = !active;
+    if (!active) return;
+
+    document.getElementById("workspaceWindowInput").checked = windowWorkspaceId === active.id;
+    const schedule = active.schedule;
+    const preset = schedule
+        ? Object.keys(SCHEDULE_DAYS).find((key) => SCHEDULE_DAYS[key].join() === [...schedule.days].sort().join())
+        : "";
+    document.getElementById("workspaceDaysInput").value = preset || "";
+    document.getElementById("workspaceStartInput").value = schedule ? schedule.start : "09:00";
+    document.getElementById("workspaceEndInput").value = schedule ? schedule.end : "17:00";
+}
+
+// Send a snapshot action to the background script and show any error it reports
+async function sendSnapshotAction(message) {
+    const snapshotError = document.getElementById("snapshotError");
+    const response = await chrome.runtime.sendMessage(message);
+    snapshotError.textContent = response && response.ok ? "" : (response && response.error) || "Snapshot action failed";
+    refreshSnapshots();
+}
+
+// Refresh snapshots list, newest first
+function refreshSnapshots() {
+    const snapshotsList = document.getElementById("snapshotsList");
+
+    chrome.storage.local.get(["snapshots"], (result) => {
+        const snapshots = Object.values(result.snapshots || {}).sort((a, b) => b.createdAt - a.createdAt);
+
+        snapshotsList.innerHTML = "";
+
+        for (const snapshot of snapshots) {
+            const snapshotItem = document.createElement("div");
+            snapshotItem.classList.add("mapping-item", "snapshot-item");
+
+            // Name plus group and tab counts
+            const tabCount = snapshot.groups.reduce((sum, group) => sum + group.urls.length, 0) + (snapshot.ungroupedUrls || []).length;
+            const infoSpan = document.createElement("span");
+            infoSpan.classList.add("snapshot-item-info");
+            infoSpan.textContent = snapshot.name;
+            infoSpan.title = `Saved ${new Date(snapshot.createdAt).toLocaleString()}`;
+
+            const metaSpan = document.createElement("div");
+            metaSpan.classList.add("snapshot-item-meta");
+            metaSpan.textContent = `${snapshot.groups.length} groups, ${tabCount} tabs`;
+            infoSpan.appendChild(metaSpan);
+
+            // Restore into a new window
+            const restoreBtn = document.createElement("button");
+            restoreBtn.textContent = "Open";
+            restoreBtn.title = "Restore in a new window";
+            restoreBtn.addEventListener("click", () => {
+                sendSnapshotAction({ action: "restoreSnapshot", name: snapshot.name, newWindow: true });
+            });
+
+            // Restore into the window the popup belongs to
+            const restoreHereBtn = document.createElement("button");
+            restoreHereBtn.textContent = "Here";
+            restoreHereBtn.title = "Restore into this window";
+            restoreHereBtn.addEventListener("click", async () => {
+                const { id: windowId } = await chrome.windows.getCurrent();
+                sendSnapshotAction({ action: "restoreSnapshot", name: snapshot.name, windowId, newWindow: false });
+            });
+
+            const deleteBtn = document.createElement("button");
+            deleteBtn.classList.add("snapshot-delete");
+            deleteBtn.textContent = "Delete";
+            deleteBtn.addEventListener("click", () => {
+                sendSnapshotAction({ action: "deleteSnapshot", name: snapshot.name });
+            });
+
+            snapshotItem.appendChild(infoSpan);
+            snapshotItem.appendChild(restoreBtn);
+            snapshotItem.appendChild(restoreHereBtn);
+            snapshotItem.appendChild(deleteBtn);
+            snapshotsList.appendChild(snapshotItem);
+        }
+    });
+}
+
+// Refresh the undo list of tabs closed by the idle policy or a tab limit
+function refreshClosedTabs() {
+    const closedTabsSection = document.getElementById("closedTabsSection");
+    const closedTabsList = document.getElementById("closedTabsList");
+
+    chrome.storage.local.get(["closedTabs"], (result) => {
+        const closedTabs = result.closedTabs || [];
+
+        closedTabsList.innerHTML = "";
+        closedTabsSection.hidden = closedTabs.length === 0;
+
+        for (const entry of closedTabs) {
+            const closedItem = document.createElement("div");
+            closedItem.classList.add("mapping-item", "snapshot-item");
+
+            const infoSpan = document.createElement("span");
+            infoSpan.classList.add("snapshot-item-info");
+            infoSpan.textContent = entry.title || entry.url;
+            infoSpan.title = entry.url;
+
+            const metaSpan = document.createElement("div");
+            metaSpan.classList.add("snapshot-item-meta");
+            metaSpan.textContent = `${entry.groupTitle || "Ungrouped"} · ${new Date(entry.closedAt).toLocaleTimeString()}`;
+            infoSpan.appendChild(metaSpan);
+
+            const restoreBtn = document.createElement("button");
+            restoreBtn.textContent = "Restore";
+            restoreBtn.addEventListener("click", () => {
+                chrome.runtime.sendMessage({ action: "restoreClosedTabs", entryIds: [entry.id] });
+            });
+
+            closedItem.appendChild(infoSpan);
+            closedItem.appendChild(restoreBtn);
+            closedTabsList.appendChild(closedItem);
+        }
     });
 }
 
+// List the window's groups, showing whether the extension manages each one and whether it is locked
+async function refreshWindowGroups() {
+    const windowGroupsList = document.getElementById("windowGroupsList");
+    const { id: windowId } = await chrome.windows.getCurrent();
+    const [groups, { groupOwnership }, lockedTitles] = await Promise.all([
+        chrome.tabGroups.query({ windowId }),
+        chrome.storage.session.get(["groupOwnership"]),
+        StorageManager.get("lockedGroups", [])
+    ]);
+    const ownedGroups = (groupOwnership && groupOwnership.groups) || {};
+
+    windowGroupsList.innerHTML = "";
+
+    for (const group of groups) {
+        const groupItem = document.createElement("div");
+        groupItem.classList.add("mapping-item", "snapshot-item");
+
+        const colorBox = document.createElement("span");
+        colorBox.classList.add("mapping-item-color");
+        colorBox.style.backgroundColor = group.color;
+
+        const status = getGroupStatus(group, ownedGroups, lockedTitles);
+        const locked = status === "Locked";
+        const infoSpan = document.createElement("span");
+        infoSpan.classList.add("snapshot-item-info");
+        infoSpan.textContent = group.title || "(untitled)";
+
+        const metaSpan = document.createElement("div");
+        metaSpan.classList.add("snapshot-item-meta");
+        metaSpan.textContent = status;
+        metaSpan.classList.toggle("group-owner-manual", status === "Manual");
+        infoSpan.appendChild(metaSpan);
+
+        // Locks are kept by title, so untitled groups can't be locked
+        const lockBtn = document.createElement("button");
+        lockBtn.textContent = locked ? "Unlock" : "Lock";
+        lockBtn.disabled = !group.title;
+        lockBtn.addEventListener("click", () => {
+            chrome.runtime.sendMessage({ action: locked ? "unlockGroup" : "lockGroup", groupId: group.id });
+        });
+
+        groupItem.appendChild(colorBox);
+        groupItem.appendChild(infoSpan);
+        groupItem.appendChild(lockBtn);
+        windowGroupsList.appendChild(groupItem);
+    }
+}
+
+// Name the change each button would undo or redo, and disable the buttons with nothing to do
+async function refreshHistoryButtons() {
+    const history = await getHistory();
+    const buttons = [
+        [document.getElementById("undoGrouping"), "Undo", history.undo],
+        [document.getElementById("redoGrouping"), "Redo", history.redo],
+    ];
+    for (const [button, verb, entries] of buttons) {
+        const entry = entries[entries.length - 1];
+        button.disabled = !entry;
+        button.textContent = entry ? `${verb} "${entry.label}"` : verb;
+    }
+}
+
+// Keep the undo list, group list and duplicates current while the popup is open
+chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === "local" && changes.closedTabs) {
+        refreshClosedTabs();
+    }
+    if (namespace === "session" && changes.groupOwnership) {
+        refreshWindowGroups();
+    }
+    if (namespace === "session" && changes.windowWorkspaces) {
+        refreshWorkspaces();
+    }
+    if (namespace === "session" && changes.groupHistory) {
+        refreshHistoryButtons();
+    }
+    if (namespace === "session" && changes.duplicates) {
+        refreshDuplicates();
+        refreshDuplicateCounts();
+    }
+});
+
+StorageManager.onChanged((changes) => {
+    if (changes.workspaces || changes.activeWorkspaceId) {
+        refreshWorkspaces();
+    }
+    if (changes.lockedGroups) {
+        refreshWindowGroups();
+    }
+    if (changes[SYNC_FALLBACK_KEY]) {
+        refreshStorageWarning();
+    }
+});
+
 // Listen for messages from background script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === "updateMappings") {
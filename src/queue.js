@@ -0,0 +1,52 @@
+import { recordActivity, setActivityTrigger } from "./activity.js";
+
+// Request queue implementation. Each operation may name the event that triggered it, such as "tab loaded",
+// so the activity log can tell what set off the changes it makes.
+export class OperationQueue {
+    constructor() {
+        this.queue = [];
+        this.processing = false;
+    }
+
+    async enqueue(operation, trigger = null) {
+        this.queue.push({ operation, trigger });
+        if (!this.processing) {
+            await this.processQueue();
+        }
+    }
+
+    async processQueue() {
+        if (this.processing || this.queue.length === 0) return;
+        
+        this.processing = true;
+        while (this.queue.length > 0) {
+            const { operation, trigger } = this.queue.shift();
+            setActivityTrigger(trigger);
+            try {
+                await operation();
+            } catch (error) {
+                console.error('Queue operation failed:', error);
+                await recordActivity({ action: "error", tabIds: [], groupId: null, error: error.message });
+            } finally {
+                setActivityTrigger(null);
+            }
+        }
+        this.processing = false;
+    }
+}
+
+// Shared queue so tab and group operations never run concurrently
+export const tabOperationQueue = new OperationQueue();
+
+// Run a change behind any grouping pass, resolving with its result; the queue itself only logs failures
+export function runQueued(operation, trigger) {
+    return new Promise((resolve, reject) => {
+        tabOperationQueue.enqueue(async () => {
+            try {
+                resolve(await operation());
+            } catch (error) {
+                reject(error);
+            }
+        }, trigger);
+    });
+}
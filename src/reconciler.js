@@ -0,0 +1,114 @@
+import { recordGroupingOperations } from "./activity.js";
+import { groupManagedTabs, pendingTabIds, updateManagedGroup } from "./ownership.js";
+import { recordGroupsCreated } from "./stats.js";
+
+// Same value as chrome.tabGroups.TAB_GROUP_ID_NONE
+const TAB_GROUP_ID_NONE = -1;
+
+// Apply planned operations in order, returning how many browser API calls it took. Moves come first so
+// tabs are in their group's window before they are grouped. Operations that were applied are logged and
+// the groups created counted in the statistics, even when a later one fails; ungroup operations may carry
+// a reason for the log.
+export async function applyGroupingOperations(operations) {
+    let apiCalls = 0;
+    const applied = [];
+
+    try {
+        for (const operation of operations) {
+            switch (operation.type) {
+                case "move":
+                    await moveManagedTabs(operation.tabIds, { windowId: operation.windowId, index: -1 });
+                    apiCalls += 1;
+                    break;
+                case "create": {
+                    const groupId = await groupManagedTabs(operation.tabIds, { createProperties: { windowId: operation.windowId } });
+                    await updateManagedGroup(groupId, { title: operation.title, color: operation.color }, operation.groupName);
+                    applied.push({ ...operation, groupId });
+                    apiCalls += 2;
+                    continue;
+                }
+                case "join":
+                    await groupManagedTabs(operation.tabIds, { groupId: operation.groupId });
+                    apiCalls += 1;
+                    break;
+                case "update":
+                    await updateManagedGroup(operation.groupId, { title: operation.title, color: operation.color }, operation.groupName);
+                    apiCalls += 1;
+                    break;
+                case "ungroup":
+                    await chrome.tabs.ungroup(operation.tabIds);
+                    apiCalls += 1;
+                    break;
+                default:
+                    console.warn(`Unknown grouping operation: ${operation.type}`);
+                    continue;
+            }
+            applied.push(operation);
+        }
+    } finally {
+        await recordGroupingOperations(applied);
+        await recordGroupsCreated(applied.filter(operation => operation.type === "create").map(operation => operation.groupName));
+    }
+
+    return apiCalls;
+}
+
+// Move tabs in one call, marking them so the resulting events aren't taken as the user's
+export async function moveManagedTabs(tabIds, moveProperties) {
+    tabIds.forEach(id => pendingTabIds.add(id));
+    try {
+        await chrome.tabs.move(tabIds, moveProperties);
+    } finally {
+        tabIds.forEach(id => pendingTabIds.delete(id));
+    }
+}
+
+// Rearrange a window's unpinned tabs into the blocks planned by planTabOrder, given the window's tabs in
+// their current order, and return how many API calls it took. Ungrouped tabs move in one call and whole
+// groups move with tabGroups.move, always to the boundary of another block, so no tab lands inside a group
+// it doesn't belong to. Tabs are then sorted inside their group, and anything already in place stays put.
+export async function applyTabOrder(tabs, blocks) {
+    const pinnedCount = tabs.filter(tab => tab.pinned).length;
+    // Order of the unpinned tabs, kept in step with every move
+    const order = tabs.filter(tab => !tab.pinned).map(tab => tab.id);
+    const place = (tabIds, position) => {
+        const rest = order.filter(id => !tabIds.includes(id));
+        rest.splice(position, 0, ...tabIds);
+        order.splice(0, order.length, ...rest);
+    };
+    let apiCalls = 0;
+
+    const ungrouped = blocks.find(block => block.groupId === TAB_GROUP_ID_NONE);
+    const ungroupedAtStart = Boolean(ungrouped) && blocks[0] === ungrouped;
+    if (ungrouped) {
+        const position = ungroupedAtStart ? 0 : order.length - ungrouped.tabIds.length;
+        if (ungrouped.tabIds.some((tabId, offset) => order[position + offset] !== tabId)) {
+            await chrome.tabs.move(ungrouped.tabIds, { index: ungroupedAtStart ? pinnedCount : -1 });
+            place(ungrouped.tabIds, position);
+            apiCalls += 1;
+        }
+    }
+
+    // Line the groups up one after another; each one still to place is to the right of those placed
+    let position = ungroupedAtStart ? ungrouped.tabIds.length : 0;
+    for (const block of blocks) {
+        if (block === ungrouped) continue;
+
+        const groupTabIds = order.filter(id => block.tabIds.includes(id));
+        if (order[position] !== groupTabIds[0]) {
+            await chrome.tabGroups.move(block.groupId, { index: pinnedCount + position });
+            place(groupTabIds, position);
+            apiCalls += 1;
+        }
+
+        for (const [offset, tabId] of block.tabIds.entries()) {
+            if (order[position + offset] === tabId) continue;
+            await chrome.tabs.move(tabId, { index: pinnedCount + position + offset });
+            place([tabId], position + offset);
+            apiCalls += 1;
+        }
+        position += block.tabIds.length;
+    }
+
+    return apiCalls;
+}
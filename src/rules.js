@@ -0,0 +1,351 @@
+import { stripPublicSuffix, getHostname, getDomain } from "./domains.js";
+import { StorageManager } from "./storage.js";
+import { abbreviate } from "./utils.js";
+
+// Supported per-mapping grouping granularities
+export const GROUP_BY_MODES = ["domain", "hostname", "subdomain"];
+
+// What decides the group of a tab opened from another tab when opener grouping is on and this mapping
+// matches it: the mapping (default) or the opener
+export const RULE_PRECEDENCES = ["mapping", "opener"];
+
+// Supported rule match types, checked against different parts of the URL
+export const RULE_TYPES = ["domain", "host", "path", "query", "regex"];
+
+// Validate a rule pattern, returning an error message or null
+export function validateRulePattern(type, pattern) {
+    switch (type) {
+        case "domain":
+            return /^[\w-]+(\.[\w-]+)*$/.test(pattern) ? null : "Enter a domain like github.com";
+        case "host":
+            return /^[\w*-]+(\.[\w*-]+)*$/.test(pattern) ? null : "Host wildcards may only contain letters, digits, dots, dashes and *";
+        case "path":
+            return pattern.includes("/") ? null : "URL prefixes need a path, like github.com/our-org/*";
+        case "query":
+            return /^[^=&\s]+(=[^&\s]*)?$/.test(pattern) ? null : "Use name or name=value for query parameters";
+        case "regex":
+            try {
+                new RegExp(pattern);
+                return null;
+            } catch (error) {
+                return error.message;
+            }
+        default:
+            return "Unknown match type";
+    }
+}
+
+// Key identifying a rule across browsers, since ids are local to one browser
+export function ruleKey(rule) {
+    return `${rule.type}:${rule.pattern}`;
+}
+
+// Validate rules from outside the extension, such as an imported file or another extension, collecting one
+// error per bad entry instead of cleaning it. Valid rules come back without ids.
+export function validateRules(rawRules) {
+    const errors = [];
+    if (rawRules !== undefined && !Array.isArray(rawRules)) {
+        return { rules: [], errors: ["groupRules must be an array"] };
+    }
+
+    const rules = [];
+    const seenKeys = new Set();
+    (rawRules || []).forEach((rule, index) => {
+        const label = `groupRules[${index}]`;
+        if (!rule || typeof rule !== "object") {
+            errors.push(`${label}: must be an object`);
+            return;
+        }
+
+        const { type, pattern, groupName, groupBy = "domain", minGroupSize, maxTabs, priority, emoji, abbreviation, precedence = "mapping" } = rule;
+        if (!RULE_TYPES.includes(type)) {
+            errors.push(`${label}: unknown type "${type}"`);
+            return;
+        }
+        if (typeof pattern !== "string" || !pattern.trim()) {
+            errors.push(`${label}: pattern is missing`);
+            return;
+        }
+
+        const patternError = validateRulePattern(type, pattern);
+        if (patternError) {
+            errors.push(`${label} (${pattern}): ${patternError}`);
+            return;
+        }
+        if (typeof groupName !== "string" || !/^[\w\s:-]+$/.test(groupName) || !groupName.trim()) {
+            errors.push(`${label} (${pattern}): group name may only contain letters, digits, spaces, colons and dashes`);
+            return;
+        }
+        if (!GROUP_BY_MODES.includes(groupBy)) {
+            errors.push(`${label} (${pattern}): unknown groupBy "${groupBy}"`);
+            return;
+        }
+        if (minGroupSize !== undefined && !(Number.isInteger(minGroupSize) && minGroupSize > 0)) {
+            errors.push(`${label} (${pattern}): minGroupSize must be a positive whole number`);
+            return;
+        }
+        if (maxTabs !== undefined && !(Number.isInteger(maxTabs) && maxTabs > 0)) {
+            errors.push(`${label} (${pattern}): maxTabs must be a positive whole number`);
+            return;
+        }
+        if (priority !== undefined && !(Number.isInteger(priority) && priority > 0)) {
+            errors.push(`${label} (${pattern}): priority must be a positive whole number`);
+            return;
+        }
+        if (emoji !== undefined && !(typeof emoji === "string" && emoji.trim() && emoji.length <= 8)) {
+            errors.push(`${label} (${pattern}): emoji must be a short non-empty string`);
+            return;
+        }
+        if (abbreviation !== undefined && !(typeof abbreviation === "string" && /^[\w\s:-]{1,20}$/.test(abbreviation))) {
+            errors.push(`${label} (${pattern}): abbreviation may only contain up to 20 letters, digits, spaces, colons and dashes`);
+            return;
+        }
+        if (!RULE_PRECEDENCES.includes(precedence)) {
+            errors.push(`${label} (${pattern}): unknown precedence "${precedence}"`);
+            return;
+        }
+        if (seenKeys.has(ruleKey(rule))) {
+            errors.push(`${label} (${pattern}): duplicate of an earlier ${type} rule`);
+            return;
+        }
+
+        seenKeys.add(ruleKey(rule));
+        rules.push({
+            type,
+            pattern,
+            groupName,
+            groupBy,
+            ...(minGroupSize ? { minGroupSize } : {}),
+            ...(maxTabs ? { maxTabs } : {}),
+            ...(priority ? { priority } : {}),
+            ...(emoji ? { emoji } : {}),
+            ...(abbreviation ? { abbreviation } : {}),
+            ...(precedence === "opener" ? { precedence } : {})
+        });
+    });
+    return { rules, errors };
+}
+
+// Compiled rule patterns, keyed by type and pattern
+const compiledRuleCache = new Map();
+
+// Get the ordered grouping rules from storage
+export async function getGroupRules() {
+    return await StorageManager.get("groupRules", []);
+}
+
+// Generate a short unique id for a rule
+export function createRuleId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Convert a glob pattern into a regular expression where "*" matches any run of characters
+export function globToRegExp(glob, anchorEnd = true) {
+    const source = glob
+        .split("*")
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*");
+    return new RegExp(`^${source}${anchorEnd ? "$" : ""}`, "i");
+}
+
+// Compile a rule's pattern once, returning null for invalid patterns
+function compileRule(rule) {
+    const cacheKey = `${rule.type}:${rule.pattern}`;
+    if (compiledRuleCache.has(cacheKey)) return compiledRuleCache.get(cacheKey);
+
+    let compiled = null;
+    try {
+        switch (rule.type) {
+            case "host":
+                compiled = globToRegExp(rule.pattern.toLowerCase());
+                break;
+            case "path":
+                // Path rules are prefixes, so a trailing "*" is optional
+                compiled = globToRegExp(rule.pattern.toLowerCase().replace(/^www\./, ""), false);
+                break;
+            case "query": {
+                const [name, value] = rule.pattern.split("=");
+                compiled = { name, value: value === undefined ? null : globToRegExp(value) };
+                break;
+            }
+            case "regex":
+                compiled = new RegExp(rule.pattern, "i");
+                break;
+            default:
+                compiled = rule.pattern.toLowerCase().replace(/^www\./, "");
+        }
+    } catch (error) {
+        console.warn(`Invalid ${rule.type} rule pattern: ${rule.pattern}`, error);
+    }
+
+    compiledRuleCache.set(cacheKey, compiled);
+    return compiled;
+}
+
+// Check whether a rule matches a parsed URL and its normalized hostname
+function ruleMatches(rule, parsedUrl, hostname) {
+    const compiled = compileRule(rule);
+    if (!compiled) return false;
+
+    switch (rule.type) {
+        case "host":
+            return compiled.test(hostname);
+        case "path":
+            return compiled.test(`${hostname}${parsedUrl.pathname}`);
+        case "query":
+            if (!parsedUrl.searchParams.has(compiled.name)) return false;
+            return !compiled.value || parsedUrl.searchParams.getAll(compiled.name).some(value => compiled.value.test(value));
+        case "regex":
+            return compiled.test(parsedUrl.href);
+        default:
+            return hostname === compiled || hostname.endsWith(`.${compiled}`);
+    }
+}
+
+// Find the first rule matching a URL
+export function findMatchingRule(url, rules) {
+    const hostname = getHostname(url);
+    if (!hostname) return null;
+
+    const parsedUrl = new URL(url);
+    return rules.find(rule => RULE_TYPES.includes(rule.type) && ruleMatches(rule, parsedUrl, hostname)) || null;
+}
+
+// Resolve the group name for a URL using the first matching rule and its grouping granularity
+export async function getGroupNameForUrl(url, groupRules) {
+    const hostname = getHostname(url);
+    const domain = await getDomain(url);
+    if (!hostname || !domain) return null;
+
+    const rule = findMatchingRule(url, groupRules);
+    const baseName = rule ? rule.groupName : stripPublicSuffix(domain);
+    const groupBy = rule && GROUP_BY_MODES.includes(rule.groupBy) ? rule.groupBy : "domain";
+
+    // Labels in front of the registrable domain, e.g. "docs.api" for docs.api.github.com
+    const subdomain = hostname === domain ? "" : hostname.slice(0, -domain.length - 1);
+    if (groupBy === "domain" || !subdomain) return baseName;
+
+    const label = groupBy === "subdomain" ? subdomain.split(".").pop() : subdomain;
+    return `${baseName}: ${label}`;
+}
+
+// Grouping thresholds and filters, editable in the popup
+export const DEFAULT_GROUPING_OPTIONS = {
+    minGroupSize: 2, // Fewest tabs needed to create a group
+    ungroupBelow: 2, // Groups with fewer tabs than this are dissolved
+    ignorePatterns: [], // Domains, host wildcards or URL globs that are never grouped
+    skipPinned: true,
+    skipIncognito: false,
+    skipBrowserPages: true,
+    groupOrder: "none", // "none", "alphabetical", "tabCount", "recent" or "priority"
+    tabOrder: "none", // Order of tabs inside groups: "none", "url", "title" or "lastAccessed"
+    ungroupedPosition: "start", // Where ungrouped tabs go: "start" or "end"
+    titleTemplate: "{name}", // Group titles; {name}, {count} and {emoji} are filled in
+    colorStrategy: "distinct", // "distinct" avoids colors other groups in the window use, "name" hashes the name
+    openerGrouping: "off", // Tabs opened from another tab: "off", "join" its group or build "trail" groups
+    maxGroupTabs: 0, // Most tabs in one group; 0 for no cap
+    maxTotalTabs: 0, // Most tabs open across all windows; 0 for no cap
+    overflowPolicy: "warn" // Past a cap: "split" into numbered groups, "discard", "close" or "warn" on the badge
+};
+
+// Idle policy defaults, editable in the popup; groups can override any field by title, or set `exempt` to
+// opt out entirely
+export const DEFAULT_IDLE_POLICY = {
+    autoCollapse: false,
+    idleAction: "none", // "none", "collapse" or "discard"
+    idleMinutes: 30,
+    closeAfterMinutes: 0 // 0 disables closing idle tabs
+};
+
+export const GROUP_ORDERS = ["none", "alphabetical", "tabCount", "recent", "priority"];
+export const TAB_ORDERS = ["none", "url", "title", "lastAccessed"];
+export const COLOR_STRATEGIES = ["distinct", "name"];
+export const OPENER_GROUPING_MODES = ["off", "join", "trail"];
+export const OVERFLOW_POLICIES = ["split", "discard", "close", "warn"];
+
+// URL schemes of browser and extension pages
+const BROWSER_PAGE_PATTERN = /^(chrome|chrome-extension|chrome-search|chrome-untrusted|devtools|edge|about|view-source):/i;
+
+// Get the grouping options merged over their defaults
+export async function getGroupingOptions() {
+    return { ...DEFAULT_GROUPING_OPTIONS, ...(await StorageManager.get("groupingOptions")) };
+}
+
+// Turn an ignore-list entry into a rule: URL globs with a path, host wildcards, or plain domains
+export function toIgnoreRule(pattern) {
+    const type = pattern.includes("/") ? "path" : pattern.includes("*") ? "host" : "domain";
+    return { type, pattern };
+}
+
+// Check whether the grouping options allow a tab to be grouped
+export function isTabGroupable(tab, options) {
+    if (!tab.url) return false;
+    if (options.skipPinned && tab.pinned) return false;
+    if (options.skipIncognito && tab.incognito) return false;
+    if (options.skipBrowserPages && BROWSER_PAGE_PATTERN.test(tab.url)) return false;
+    return !findMatchingRule(tab.url, options.ignorePatterns.map(toIgnoreRule));
+}
+
+// Check whether a tab opened from another tab follows its opener rather than its own group name: opener
+// grouping must be on, and a mapping matching the tab must give the opener precedence
+export function followsOpener(url, groupRules, options) {
+    if (!OPENER_GROUPING_MODES.includes(options.openerGrouping) || options.openerGrouping === "off") return false;
+    const rule = findMatchingRule(url, groupRules);
+    return !rule || rule.precedence === "opener";
+}
+
+// Check whether a rule names a group name or title, including hostname/subdomain variants
+export function ruleNamesTitle(rule, title) {
+    return title === rule.groupName || title === abbreviate(rule.groupName) || title.startsWith(`${rule.groupName}: `);
+}
+
+// Find the rule with its own minimum size that names a group
+export function findSizedRule(title, groupRules) {
+    return groupRules.find(rule => rule.minGroupSize > 0 && ruleNamesTitle(rule, title));
+}
+
+// Manual sort priority of a group name from the first rule naming it that has one; lower comes first
+export function getGroupPriority(groupName, groupRules) {
+    const rule = groupRules.find(rule => rule.priority > 0 && ruleNamesTitle(rule, groupName || ""));
+    return rule ? rule.priority : null;
+}
+
+// Fewest tabs needed to create a group with this name
+export function getMinGroupSize(groupName, groupRules, options) {
+    const rule = findSizedRule(groupName, groupRules);
+    return rule ? rule.minGroupSize : options.minGroupSize;
+}
+
+// Groups with this name and fewer tabs than this are dissolved
+export function getUngroupThreshold(groupName, groupRules, options) {
+    const rule = findSizedRule(groupName || "", groupRules);
+    return rule ? rule.minGroupSize : options.ungroupBelow;
+}
+
+// Most tabs a group with this name may hold, from the first rule naming it with its own cap, else the
+// global cap; 0 means no cap. A name no rule gives, such as "github 2", is taken for a numbered overflow
+// group and shares the cap of the group it split from, so mapped names ending in a number keep their own.
+export function getMaxGroupTabs(groupName, groupRules, options) {
+    const title = groupName || "";
+    const namingRules = groupRules.filter(rule => ruleNamesTitle(rule, title));
+    const rules = namingRules.length > 0
+        ? namingRules
+        : groupRules.filter(rule => ruleNamesTitle(rule, getOverflowBaseName(title)));
+    const rule = rules.find(rule => rule.maxTabs > 0);
+    return rule ? rule.maxTabs : options.maxGroupTabs || 0;
+}
+
+// Name of the numbered overflow group a group splits into, such as "github 2" for the second
+export function getOverflowGroupName(groupName, part) {
+    return part > 1 ? `${groupName} ${part}` : groupName;
+}
+
+// Name of the group a numbered overflow group was split from
+export function getOverflowBaseName(groupName) {
+    return groupName.replace(/ \d+$/, "");
+}
+
+// Get the grouping strategy: "domain" (rules and domains) or "content" (title and path keywords)
+export async function getGroupingStrategy() {
+    return await StorageManager.get("groupingStrategy", "domain");
+}
@@ -0,0 +1,327 @@
+import { getDomain, stripPublicSuffix } from "./domains.js";
+import { getManagedGroupName, getOwnership } from "./ownership.js";
+import { findMatchingRule, getGroupRules, getGroupingOptions, isTabGroupable } from "./rules.js";
+import { LocalStorageManager, SessionStorageManager } from "./storage.js";
+
+// Usage statistics, kept in local storage and never sent anywhere. They are bucketed by local day as
+// { days: { "YYYY-MM-DD": { domains, groups, rules, coOpened } } }, where domains maps a site to
+// { tabsOpened, activeMs }, groups maps a group name to { tabsOpened, activeMs, created, dissolved }, rules
+// maps a mapping's id to how many tabs it grouped, and coOpened maps two unmapped sites, joined by a space,
+// to how often they were opened in the same window within CO_OPEN_WINDOW_MS of each other.
+export const STATS_KEY = "usageStats";
+
+// Days kept; older days are dropped whenever the statistics are written
+export const STATS_RETENTION_DAYS = 56;
+
+// Longest stretch one tab counts as active, so a browser left open overnight doesn't count as browsing
+const MAX_ACTIVE_SPAN_MS = 30 * 60 * 1000;
+
+// How close together two sites must be opened to count as opened together
+const CO_OPEN_WINDOW_MS = 10 * 60 * 1000;
+
+// Most site pairs counted in one day, so the stored statistics stay small
+const MAX_PAIRS_PER_DAY = 500;
+
+// Times two sites must be opened together before they are suggested as a mapping, and most suggestions
+export const MIN_SUGGESTION_CO_OPENS = 3;
+const MAX_SUGGESTIONS = 5;
+
+// Session storage key of what is being tracked right now: { activeSpan, tabDomains, recentOpens }, where
+// activeSpan is { tabId, domain, groupName, since } for the focused tab, tabDomains maps tab ids to the site
+// they were last counted as opened on, and recentOpens lists { windowId, domain, time } of unmapped sites
+const TRACKING_KEY = "statsTracking";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Same value as chrome.tabGroups.TAB_GROUP_ID_NONE
+const TAB_GROUP_ID_NONE = -1;
+
+// Updates run one after another, so counts from concurrent events aren't lost
+let statsWrite = Promise.resolve();
+
+function serialize(change) {
+    const result = statsWrite.then(change).catch(error => console.error("Error recording statistics:", error));
+    statsWrite = result;
+    return result;
+}
+
+// Key of the local day a time falls on
+export function dayKey(time) {
+    const date = new Date(time);
+    const pad = number => String(number).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export async function getStats() {
+    const stats = await LocalStorageManager.get(STATS_KEY, null);
+    return stats || { days: {} };
+}
+
+// Change the stored statistics, then drop the days that have aged out
+async function changeStats(change, now = Date.now()) {
+    const stats = await getStats();
+    change(stats);
+
+    const oldestKept = dayKey(now - (STATS_RETENTION_DAYS - 1) * DAY_MS);
+    for (const key of Object.keys(stats.days)) {
+        if (key < oldestKept) delete stats.days[key];
+    }
+    await LocalStorageManager.set(STATS_KEY, stats);
+}
+
+function getDay(stats, time) {
+    const key = dayKey(time);
+    stats.days[key] = stats.days[key] || { domains: {}, groups: {}, rules: {}, coOpened: {} };
+    return stats.days[key];
+}
+
+function addTo(counts, name, field, amount = 1) {
+    counts[name] = counts[name] || {};
+    counts[name][field] = (counts[name][field] || 0) + amount;
+}
+
+async function getTracking() {
+    const tracking = await SessionStorageManager.get(TRACKING_KEY, null);
+    return tracking || { activeSpan: null, tabDomains: {}, recentOpens: [] };
+}
+
+async function saveTracking(tracking) {
+    await SessionStorageManager.set(TRACKING_KEY, tracking);
+}
+
+// The site a tab counts toward; browser pages and incognito tabs aren't tracked
+async function getTrackedDomain(tab) {
+    if (!tab || tab.incognito || !/^https?:/i.test(tab.url || "")) return null;
+    return await getDomain(tab.url);
+}
+
+// The name a tab's group is counted under: the group name of the extension's groups, else the title
+async function getTabGroupName(tab) {
+    if (tab.groupId === undefined || tab.groupId === TAB_GROUP_ID_NONE) return null;
+    try {
+        const [group, ownership] = await Promise.all([chrome.tabGroups.get(tab.groupId), getOwnership()]);
+        return getManagedGroupName(group, ownership) || group.title || null;
+    } catch (error) {
+        // The group closed in the meantime
+        return null;
+    }
+}
+
+// Count tabs as opened on their site and in their group, once per site a tab visits. Unmapped sites opened
+// in the same window shortly after each other are counted as opened together.
+export function recordTabsOpened(tabs, time = Date.now()) {
+    return serialize(async () => {
+        const [tracking, groupRules, options] = await Promise.all([getTracking(), getGroupRules(), getGroupingOptions()]);
+        const opened = [];
+        tracking.recentOpens = tracking.recentOpens.filter(open => time - open.time < CO_OPEN_WINDOW_MS);
+
+        for (const tab of tabs) {
+            const domain = await getTrackedDomain(tab);
+            if (!domain || tracking.tabDomains[tab.id] === domain) continue;
+            tracking.tabDomains[tab.id] = domain;
+
+            let partners = [];
+            if (isTabGroupable(tab, options) && !findMatchingRule(tab.url, groupRules)) {
+                partners = [...new Set(tracking.recentOpens
+                    .filter(open => open.windowId === tab.windowId && open.domain !== domain)
+                    .map(open => open.domain))];
+                tracking.recentOpens.push({ windowId: tab.windowId, domain, time });
+            }
+            opened.push({ domain, groupName: await getTabGroupName(tab), partners });
+        }
+
+        await saveTracking(tracking);
+        if (opened.length === 0) return;
+        await changeStats(stats => {
+            const day = getDay(stats, time);
+            for (const { domain, groupName, partners } of opened) {
+                addTo(day.domains, domain, "tabsOpened");
+                if (groupName) addTo(day.groups, groupName, "tabsOpened");
+                for (const partner of partners) {
+                    const pair = [domain, partner].sort().join(" ");
+                    if (pair in day.coOpened || Object.keys(day.coOpened).length < MAX_PAIRS_PER_DAY) {
+                        day.coOpened[pair] = (day.coOpened[pair] || 0) + 1;
+                    }
+                }
+            }
+        }, time);
+    });
+}
+
+// Credit the time since the timed tab started to its site and group, then start timing the given tab
+async function moveActiveSpan(tab, time) {
+    const tracking = await getTracking();
+    const span = tracking.activeSpan;
+    const domain = await getTrackedDomain(tab);
+    tracking.activeSpan = domain ? { tabId: tab.id, domain, groupName: await getTabGroupName(tab), since: time } : null;
+    await saveTracking(tracking);
+
+    const elapsed = span ? Math.min(time - span.since, MAX_ACTIVE_SPAN_MS) : 0;
+    if (elapsed <= 0) return;
+    await changeStats(stats => {
+        const day = getDay(stats, span.since);
+        addTo(day.domains, span.domain, "activeMs", elapsed);
+        if (span.groupName) addTo(day.groups, span.groupName, "activeMs", elapsed);
+    }, time);
+}
+
+// Start timing the focused tab; null stops timing, for when no browser window has focus
+export function trackActiveTab(tab, time = Date.now()) {
+    return serialize(() => moveActiveSpan(tab, time));
+}
+
+// Restart timing when the timed tab moves to another site or group, so the rest of its time counts there
+export function updateActiveTab(tab, time = Date.now()) {
+    return serialize(async () => {
+        const { activeSpan } = await getTracking();
+        if (activeSpan && activeSpan.tabId === tab.id) await moveActiveSpan(tab, time);
+    });
+}
+
+// Forget a closed tab, so its id can't carry a site over to a new tab
+export function forgetStatsTab(tabId) {
+    return serialize(async () => {
+        const tracking = await getTracking();
+        if (!(tabId in tracking.tabDomains)) return;
+        delete tracking.tabDomains[tabId];
+        await saveTracking(tracking);
+    });
+}
+
+function countGroups(groupNames, field, time) {
+    const names = groupNames.filter(Boolean);
+    if (names.length === 0) return Promise.resolve();
+    return serialize(() => changeStats(stats => {
+        const day = getDay(stats, time);
+        names.forEach(name => addTo(day.groups, name, field));
+    }, time));
+}
+
+export function recordGroupsCreated(groupNames, time = Date.now()) {
+    return countGroups(groupNames, "created", time);
+}
+
+// Count groups removeEmptyGroups dissolved for having too few tabs left
+export function recordGroupsDissolved(groupNames, time = Date.now()) {
+    return countGroups(groupNames, "dissolved", time);
+}
+
+// Count the mapping that put each of the given tabs in its group
+export function recordMappingHits(tabs, time = Date.now()) {
+    return serialize(async () => {
+        const groupRules = await getGroupRules();
+        const ruleIds = tabs.map(tab => findMatchingRule(tab.url, groupRules)).filter(Boolean).map(rule => rule.id);
+        if (ruleIds.length === 0) return;
+        await changeStats(stats => {
+            const day = getDay(stats, time);
+            ruleIds.forEach(ruleId => {
+                day.rules[ruleId] = (day.rules[ruleId] || 0) + 1;
+            });
+        }, time);
+    });
+}
+
+// Delete every statistic; time already spent on the focused tab isn't counted either
+export function clearStats(time = Date.now()) {
+    return serialize(async () => {
+        const tracking = await getTracking();
+        if (tracking.activeSpan) tracking.activeSpan.since = time;
+        tracking.recentOpens = [];
+        await saveTracking(tracking);
+        await LocalStorageManager.remove(STATS_KEY);
+    });
+}
+
+// Keys of the days in a period ending on the day of now, oldest first
+export function getPeriodDays(dayCount, now = Date.now()) {
+    return Array.from({ length: dayCount }, (_, index) => dayKey(now - (dayCount - 1 - index) * DAY_MS));
+}
+
+// Add up a period's days: groups and sites with their totals, busiest first, and hits per mapping id
+export function summarizeStats(stats, dayCount, now = Date.now()) {
+    const groups = {};
+    const domains = {};
+    const ruleHits = {};
+    for (const key of getPeriodDays(dayCount, now)) {
+        const day = stats.days[key];
+        if (!day) continue;
+        for (const [name, counts] of Object.entries(day.groups)) {
+            Object.entries(counts).forEach(([field, amount]) => addTo(groups, name, field, amount));
+        }
+        for (const [name, counts] of Object.entries(day.domains)) {
+            Object.entries(counts).forEach(([field, amount]) => addTo(domains, name, field, amount));
+        }
+        for (const [ruleId, hits] of Object.entries(day.rules)) {
+            ruleHits[ruleId] = (ruleHits[ruleId] || 0) + hits;
+        }
+    }
+
+    const byActivity = (a, b) => b.activeMs - a.activeMs || b.tabsOpened - a.tabsOpened || a.name.localeCompare(b.name);
+    return {
+        groups: Object.entries(groups)
+            .map(([name, counts]) => ({ name, tabsOpened: 0, activeMs: 0, created: 0, dissolved: 0, ...counts }))
+            .sort(byActivity),
+        domains: Object.entries(domains)
+            .map(([name, counts]) => ({ name, tabsOpened: 0, activeMs: 0, ...counts }))
+            .sort(byActivity),
+        ruleHits
+    };
+}
+
+// Active time and tabs opened for the chart: one bar per day for "daily", or per seven days ending on the
+// day of now for "weekly". Bars are oldest first, each labelled with its first day.
+export function getChartBars(stats, period, barCount, now = Date.now()) {
+    const daysPerBar = period === "weekly" ? 7 : 1;
+    const days = getPeriodDays(barCount * daysPerBar, now);
+    return Array.from({ length: barCount }, (_, index) => {
+        const barDays = days.slice(index * daysPerBar, (index + 1) * daysPerBar);
+        const totals = { day: barDays[0], activeMs: 0, tabsOpened: 0 };
+        for (const key of barDays) {
+            const day = stats.days[key];
+            if (!day) continue;
+            for (const counts of Object.values(day.domains)) {
+                totals.activeMs += counts.activeMs || 0;
+                totals.tabsOpened += counts.tabsOpened || 0;
+            }
+        }
+        return totals;
+    });
+}
+
+// Suggest mappings for unmapped sites often opened together, strongest first: each is { domains,
+// groupName, count }, named after the site opened most. A site is only in one suggestion.
+export function suggestMappings(stats, groupRules) {
+    const pairs = {};
+    const opens = {};
+    for (const day of Object.values(stats.days)) {
+        for (const [pair, count] of Object.entries(day.coOpened)) {
+            pairs[pair] = (pairs[pair] || 0) + count;
+        }
+        for (const [domain, counts] of Object.entries(day.domains)) {
+            opens[domain] = (opens[domain] || 0) + (counts.tabsOpened || 0);
+        }
+    }
+
+    const suggested = new Set();
+    const suggestions = [];
+    const candidates = Object.entries(pairs)
+        .filter(([, count]) => count >= MIN_SUGGESTION_CO_OPENS)
+        .sort(([pairA, countA], [pairB, countB]) => countB - countA || pairA.localeCompare(pairB));
+    for (const [pair, count] of candidates) {
+        const domains = pair.split(" ");
+        if (domains.some(domain => suggested.has(domain) || findMatchingRule(`https://${domain}/`, groupRules))) continue;
+
+        const [busiest] = [...domains].sort((a, b) => (opens[b] || 0) - (opens[a] || 0));
+        suggestions.push({ domains, groupName: stripPublicSuffix(busiest), count });
+        domains.forEach(domain => suggested.add(domain));
+        if (suggestions.length === MAX_SUGGESTIONS) break;
+    }
+    return suggestions;
+}
+
+// Format a duration for the dashboard, such as "2h 5m"
+export function formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return ms > 0 ? "<1m" : "0m";
+    return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
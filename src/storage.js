@@ -0,0 +1,236 @@
+// Add a centralized storage management utility for a chrome.storage area
+export function createStorageManager(area) {
+    return {
+        async get(key, defaultValue = {}) {
+            return new Promise((resolve) => {
+                chrome.storage[area].get([key], (result) => {
+                    resolve(result[key] || defaultValue);
+                });
+            });
+        },
+
+        async set(key, value) {
+            return new Promise((resolve, reject) => {
+                chrome.storage[area].set({ [key]: value }, () => {
+                    if (chrome.runtime.lastError) {
+                        reject(chrome.runtime.lastError);
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+        },
+
+        async remove(keys) {
+            return new Promise((resolve, reject) => {
+                chrome.storage[area].remove(keys, () => {
+                    if (chrome.runtime.lastError) {
+                        reject(chrome.runtime.lastError);
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+        },
+    };
+}
+
+// Same limits as chrome.storage.sync.QUOTA_BYTES_PER_ITEM and QUOTA_BYTES
+export const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+export const SYNC_QUOTA_BYTES = 102400;
+
+// Arrays and maps bigger than this are split across several items, leaving headroom below the per-item quota
+const SHARD_BYTES = 7000;
+
+// Local storage key recording which sync keys didn't fit and are kept on this device instead:
+// { keys, updatedAt }
+export const SYNC_FALLBACK_KEY = "syncFallback";
+
+// Bytes an item takes up against the sync quotas: its key plus its value as JSON
+export function itemBytes(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+function shardKey(key, index) {
+    return `${key}.${index}`;
+}
+
+function isShardIndex(value) {
+    return Boolean(value) && typeof value === "object" && Number.isInteger(value.__shards);
+}
+
+// Lay a value out as storage items. Arrays and plain objects too big for one item are split into
+// consecutive shards stored under "key.0", "key.1", ..., with an index under the key itself.
+export function toStorageItems(key, value) {
+    const shardable = Array.isArray(value) || (value && typeof value === "object");
+    if (!shardable || itemBytes(key, value) <= SHARD_BYTES) return { [key]: value };
+
+    const kind = Array.isArray(value) ? "array" : "object";
+    const entries = kind === "array" ? value : Object.entries(value);
+    const toShard = (shardEntries) => (kind === "array" ? shardEntries : Object.fromEntries(shardEntries));
+
+    const shards = [];
+    let current = [];
+    let currentBytes = 0;
+    for (const entry of entries) {
+        const bytes = itemBytes("", kind === "array" ? entry : { [entry[0]]: entry[1] });
+        if (current.length && currentBytes + bytes > SHARD_BYTES) {
+            shards.push(toShard(current));
+            current = [];
+            currentBytes = 0;
+        }
+        current.push(entry);
+        currentBytes += bytes;
+    }
+    shards.push(toShard(current));
+
+    const items = { [key]: { __shards: shards.length, kind } };
+    shards.forEach((shard, index) => {
+        items[shardKey(key, index)] = shard;
+    });
+    return items;
+}
+
+// Read a value from an area, joining its shards back together
+async function readValue(areaName, key) {
+    const { [key]: stored } = await chrome.storage[areaName].get([key]);
+    if (!isShardIndex(stored)) return stored;
+
+    const keys = Array.from({ length: stored.__shards }, (_, index) => shardKey(key, index));
+    const shards = await chrome.storage[areaName].get(keys);
+    const pieces = keys.map((shardItemKey) => shards[shardItemKey] || (stored.kind === "array" ? [] : {}));
+    return stored.kind === "array" ? pieces.flat(1) : Object.assign({}, ...pieces);
+}
+
+// Keys of the shards currently stored for a sync key
+async function getShardKeys(key) {
+    const { [key]: stored } = await chrome.storage.sync.get([key]);
+    return isShardIndex(stored) ? Array.from({ length: stored.__shards }, (_, index) => shardKey(key, index)) : [];
+}
+
+// Sync keys currently kept in local storage because they didn't fit
+export async function getSyncFallbackKeys() {
+    const { [SYNC_FALLBACK_KEY]: fallback } = await chrome.storage.local.get([SYNC_FALLBACK_KEY]);
+    return (fallback && fallback.keys) || [];
+}
+
+async function setSyncFallbackKeys(keys) {
+    if (keys.length) {
+        await chrome.storage.local.set({ [SYNC_FALLBACK_KEY]: { keys, updatedAt: Date.now() } });
+    } else {
+        await chrome.storage.local.remove(SYNC_FALLBACK_KEY);
+    }
+}
+
+// Errors chrome.storage.sync reports when a write would go over one of its size quotas
+function isQuotaError(error) {
+    return /QUOTA_BYTES|MAX_ITEMS/.test((error && error.message) || "");
+}
+
+// Check a write against the sync quotas before making it, counting the items it replaces as freed
+async function fitsInSync(items, replacedKeys) {
+    const sizes = Object.entries(items).map(([key, value]) => itemBytes(key, value));
+    if (sizes.some((bytes) => bytes > SYNC_QUOTA_BYTES_PER_ITEM)) return false;
+
+    const [bytesInUse, replacedBytes] = await Promise.all([
+        chrome.storage.sync.getBytesInUse(null),
+        chrome.storage.sync.getBytesInUse(replacedKeys),
+    ]);
+    return bytesInUse - replacedBytes + sizes.reduce((sum, bytes) => sum + bytes, 0) <= SYNC_QUOTA_BYTES;
+}
+
+// Settings and mappings are synced across browsers. Large arrays and maps are sharded across items, and a
+// value that still doesn't fit the sync quotas is kept in local storage instead and listed under
+// SYNC_FALLBACK_KEY, so the pages can warn that it no longer syncs. Writing it again moves it back to sync
+// once it fits.
+export function createSyncStorageManager() {
+    return {
+        async get(key, defaultValue = {}) {
+            const result = await this.getMany([key]);
+            return result[key] || defaultValue;
+        },
+
+        // Read several keys at once, leaving out those that aren't stored
+        async getMany(keys) {
+            const fallbackKeys = await getSyncFallbackKeys();
+            const values = await Promise.all(keys.map((key) => readValue(fallbackKeys.includes(key) ? "local" : "sync", key)));
+            return Object.fromEntries(keys.map((key, index) => [key, values[index]]).filter(([, value]) => value !== undefined));
+        },
+
+        async set(key, value) {
+            const [fallbackKeys, previousShardKeys] = await Promise.all([getSyncFallbackKeys(), getShardKeys(key)]);
+            const items = toStorageItems(key, value);
+            const replacedKeys = [key, ...previousShardKeys];
+
+            if (await fitsInSync(items, replacedKeys)) {
+                try {
+                    await chrome.storage.sync.set(items);
+                    const staleKeys = previousShardKeys.filter((itemKey) => !(itemKey in items));
+                    if (staleKeys.length) await chrome.storage.sync.remove(staleKeys);
+
+                    // Back in sync, so the local copy can go
+                    if (fallbackKeys.includes(key)) {
+                        await setSyncFallbackKeys(fallbackKeys.filter((fallbackKey) => fallbackKey !== key));
+                        await chrome.storage.local.remove(key);
+                    }
+                    return;
+                } catch (error) {
+                    if (!isQuotaError(error)) throw error;
+                }
+            }
+
+            // Keep the value on this device, listed first so its change is reported, then drop the outdated
+            // synced copy
+            if (!fallbackKeys.includes(key)) await setSyncFallbackKeys([...fallbackKeys, key]);
+            await chrome.storage.local.set({ [key]: value });
+            await chrome.storage.sync.remove(replacedKeys);
+            console.warn(`"${key}" is too large for sync storage and is saved on this device only`);
+        },
+
+        // Write several keys, one after another
+        async setMany(items) {
+            for (const [key, value] of Object.entries(items)) {
+                await this.set(key, value);
+            }
+        },
+
+        async remove(keys) {
+            const keyList = [].concat(keys);
+            const [fallbackKeys, shardKeys] = await Promise.all([
+                getSyncFallbackKeys(),
+                Promise.all(keyList.map((key) => getShardKeys(key))),
+            ]);
+            await chrome.storage.sync.remove([...keyList, ...shardKeys.flat()]);
+
+            const localKeys = keyList.filter((key) => fallbackKeys.includes(key));
+            if (localKeys.length) {
+                await setSyncFallbackKeys(fallbackKeys.filter((key) => !localKeys.includes(key)));
+                await chrome.storage.local.remove(localKeys);
+            }
+        },
+
+        // Call listener with { [key]: true } for every synced key that changed, wherever it is stored. Shards
+        // are reported under their key, and a change of the fallback list is reported as SYNC_FALLBACK_KEY.
+        onChanged(listener) {
+            chrome.storage.onChanged.addListener(async (changes, areaName) => {
+                if (areaName !== "sync" && areaName !== "local") return;
+
+                const fallbackKeys = areaName === "local" ? await getSyncFallbackKeys() : [];
+                const changedKeys = {};
+                for (const itemKey of Object.keys(changes)) {
+                    const key = itemKey.replace(/\.\d+$/, "");
+                    if (areaName === "sync" || fallbackKeys.includes(key) || key === SYNC_FALLBACK_KEY) {
+                        changedKeys[key] = true;
+                    }
+                }
+                if (Object.keys(changedKeys).length) listener(changedKeys);
+            });
+        },
+    };
+}
+
+// Settings and mappings live in sync storage, bulky data like snapshots goes in local storage,
+// and per-session state such as group activity goes in session storage
+export const StorageManager = createSyncStorageManager();
+export const LocalStorageManager = createStorageManager("local");
+export const SessionStorageManager = createStorageManager("session");
@@ -0,0 +1,254 @@
+// Helpers shared by the popup and the options page
+import { COLOR_PALETTE } from "./colors.js";
+import { createRuleId, ruleKey, validateRules } from "./rules.js";
+import { StorageManager, getSyncFallbackKeys } from "./storage.js";
+
+// Rule pattern validation is shared with the external API, so it lives with the rules
+export { validateRulePattern } from "./rules.js";
+
+// Screen color of each palette color in colors.js, for swatches and color selects
+const COLOR_HEX = {
+    grey: "#D9DCE0",
+    blue: "#4FB8FE",
+    red: "#FF767E",
+    yellow: "#FFD142",
+    green: "#00D18E",
+    pink: "#FF71CF",
+    purple: "#B73FE7",
+    cyan: "#00E1EF",
+    orange: "#FFA161",
+};
+
+// Example patterns for each rule match type
+export const RULE_PLACEHOLDERS = {
+    domain: "Enter domain (e.g. github.com)",
+    host: "Host wildcard (e.g. *.atlassian.net)",
+    path: "URL prefix (e.g. github.com/our-org/*)",
+    query: "Query parameter (e.g. project=web)",
+    regex: "Regular expression matched against the URL",
+};
+
+// Clean a pattern typed by the user; domains are cleaned, other patterns are kept verbatim
+export function cleanRulePattern(type, pattern) {
+    return type === "domain" ? pattern.replace(/[^\w\s.-]/g, "").trim() : pattern.trim(); // Allow dots for subdomains
+}
+
+// Clean a group name typed by the user
+export function cleanGroupName(groupName) {
+    return groupName.replace(/[^\w\s:-]/g, "").trim(); // Allow colons for grouping by URL
+}
+
+// Cleanup function for mapping display
+export function cleanupMappingText(text) {
+    return text
+        .normalize("NFC") // Normalize unicode characters
+        .replace(/[^\w\s.:-]/g, "") // Remove special characters
+        .trim(); // Trim whitespace
+}
+
+// Screen color of a group color name, or null for unknown ones
+export function getColorHex(color) {
+    return COLOR_PALETTE.includes(color) ? COLOR_HEX[color] : null;
+}
+
+// Add the palette colors to a color select, each named and shown in its own color
+export function addColorOptions(select) {
+    COLOR_PALETTE.forEach((color) => {
+        const option = document.createElement("option");
+        option.value = color;
+        option.textContent = color.charAt(0).toUpperCase() + color.slice(1);
+        option.style.backgroundColor = COLOR_HEX[color];
+        option.style.color = color === "grey" ? "black" : "white";
+        select.appendChild(option);
+    });
+}
+
+// Match type and rule options, listing only what differs from the defaults
+export function describeRuleOptions({ type, groupBy, minGroupSize, maxTabs, priority, abbreviation, precedence }) {
+    return [
+        type !== "domain" ? type : null,
+        groupBy && groupBy !== "domain" ? `by ${groupBy}` : null,
+        minGroupSize ? `min ${minGroupSize}` : null,
+        maxTabs ? `max ${maxTabs}` : null,
+        priority ? `priority ${priority}` : null,
+        abbreviation ? `as ${abbreviation}` : null,
+        precedence === "opener" ? "opener wins" : null,
+    ]
+        .filter(Boolean)
+        .join(" · ");
+}
+
+// Read the rules and the colors mapped to group names
+export async function loadMappings() {
+    const result = await StorageManager.getMany(["groupRules", "groupColors"]);
+    return { rules: result.groupRules || [], colors: result.groupColors || {} };
+}
+
+// Drop the colors of the given group names once no rule uses them
+export function removeUnusedColors(rules, colors, groupNames) {
+    for (const groupName of groupNames) {
+        if (!rules.some((rule) => rule.groupName === groupName)) {
+            delete colors[groupName];
+        }
+    }
+}
+
+// Remove rules by id, along with colors only they used
+export async function removeRules(ruleIds) {
+    const { rules, colors } = await loadMappings();
+    const removedRules = rules.filter((rule) => ruleIds.includes(rule.id));
+    const remainingRules = rules.filter((rule) => !ruleIds.includes(rule.id));
+
+    removeUnusedColors(remainingRules, colors, removedRules.map((rule) => rule.groupName));
+    await StorageManager.setMany({ groupRules: remainingRules, groupColors: colors });
+}
+
+// Number of duplicate tabs open in each rule's groups across all windows, by rule id
+export async function getRuleDuplicateCounts() {
+    const { duplicates } = await chrome.storage.session.get(["duplicates"]);
+    const ruleCounts = {};
+    for (const windowDuplicates of Object.values(duplicates || {})) {
+        for (const [ruleId, count] of Object.entries(windowDuplicates.ruleCounts || {})) {
+            ruleCounts[ruleId] = (ruleCounts[ruleId] || 0) + count;
+        }
+    }
+    return ruleCounts;
+}
+
+// Whether the extension manages a group, the user does, or it is locked
+export function getGroupStatus(group, ownedGroups, lockedTitles) {
+    if (lockedTitles.includes(group.title)) return "Locked";
+    return ownedGroups[group.id] ? "Automatic" : "Manual";
+}
+
+// Warn on the page when settings too large for Chrome sync are only kept on this device
+export async function refreshStorageWarning() {
+    const storageWarning = document.getElementById("storageWarning");
+    const fallbackKeys = await getSyncFallbackKeys();
+    storageWarning.hidden = fallbackKeys.length === 0;
+    storageWarning.textContent = fallbackKeys.length
+        ? `Too large to sync across browsers, so only saved on this device: ${fallbackKeys.join(", ")}. ` +
+          "Removing unused mappings lets them sync again."
+        : "";
+}
+
+// Version of the exported mappings document; bump it when the format changes
+const MAPPINGS_SCHEMA_VERSION = 1;
+
+// Build the versioned export document for the given rules and colors
+export function buildMappingsExport(rules, colors) {
+    return {
+        schemaVersion: MAPPINGS_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        groupRules: rules.map(({ type, pattern, groupName, groupBy, minGroupSize, maxTabs, priority, emoji, abbreviation, precedence }) => ({
+            type,
+            pattern,
+            groupName,
+            groupBy: groupBy || "domain",
+            ...(minGroupSize ? { minGroupSize } : {}),
+            ...(maxTabs ? { maxTabs } : {}),
+            ...(priority ? { priority } : {}),
+            ...(emoji ? { emoji } : {}),
+            ...(abbreviation ? { abbreviation } : {}),
+            ...(precedence === "opener" ? { precedence } : {}),
+        })),
+        groupColors: colors,
+    };
+}
+
+// Validate an imported mappings document, collecting one error per bad entry instead of cleaning it
+export function parseMappingsImport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { rules: [], colors: {}, errors: [`File is not valid JSON: ${error.message}`] };
+    }
+
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+        return { rules: [], colors: {}, errors: ["File must contain a JSON object"] };
+    }
+    if (typeof data.schemaVersion !== "number" || data.schemaVersion > MAPPINGS_SCHEMA_VERSION) {
+        return { rules: [], colors: {}, errors: [`Unsupported schemaVersion ${data.schemaVersion}; expected ${MAPPINGS_SCHEMA_VERSION} or lower`] };
+    }
+
+    const { rules, errors } = validateRules(data.groupRules);
+
+    const colors = {};
+    const rawColors = data.groupColors || {};
+    if (typeof rawColors !== "object" || Array.isArray(rawColors)) {
+        errors.push("groupColors must be an object");
+    } else {
+        for (const [groupName, color] of Object.entries(rawColors)) {
+            if (!COLOR_PALETTE.includes(color)) {
+                errors.push(`groupColors["${groupName}"]: unknown color "${color}"`);
+                continue;
+            }
+            colors[groupName] = color;
+        }
+    }
+
+    return { rules, colors, errors };
+}
+
+// Compute the rules and colors an import would produce, plus a line-per-change diff against the current ones
+export function planMappingsImport(current, imported, mode) {
+    const diff = [];
+    const currentByKey = new Map(current.rules.map((rule) => [ruleKey(rule), rule]));
+    const importedKeys = new Set(imported.rules.map(ruleKey));
+
+    // Replacing starts from scratch; merging keeps current rules and updates matching ones in place
+    const rules = mode === "replace" ? [] : current.rules.map((rule) => ({ ...rule }));
+    for (const rule of imported.rules) {
+        const existing = currentByKey.get(ruleKey(rule));
+        if (!existing) {
+            diff.push({ kind: "added", text: `${rule.pattern} -> ${rule.groupName}` });
+        } else if (
+            existing.groupName !== rule.groupName ||
+            (existing.groupBy || "domain") !== rule.groupBy ||
+            existing.minGroupSize !== rule.minGroupSize ||
+            existing.maxTabs !== rule.maxTabs ||
+            existing.priority !== rule.priority ||
+            existing.emoji !== rule.emoji ||
+            existing.abbreviation !== rule.abbreviation ||
+            existing.precedence !== rule.precedence
+        ) {
+            diff.push({ kind: "changed", text: `${rule.pattern}: ${existing.groupName} -> ${rule.groupName}` });
+        }
+
+        const target = rules.find((candidate) => ruleKey(candidate) === ruleKey(rule));
+        if (target) {
+            delete target.minGroupSize;
+            delete target.maxTabs;
+            delete target.priority;
+            delete target.emoji;
+            delete target.abbreviation;
+            delete target.precedence;
+            Object.assign(target, rule);
+        } else {
+            rules.push({ ...rule, id: existing ? existing.id : createRuleId() });
+        }
+    }
+
+    if (mode === "replace") {
+        current.rules
+            .filter((rule) => !importedKeys.has(ruleKey(rule)))
+            .forEach((rule) => diff.push({ kind: "removed", text: `${rule.pattern} -> ${rule.groupName}` }));
+    }
+
+    const colors = mode === "replace" ? { ...imported.colors } : { ...current.colors, ...imported.colors };
+    for (const [groupName, color] of Object.entries(imported.colors)) {
+        if (!(groupName in current.colors)) {
+            diff.push({ kind: "added", text: `color ${groupName}: ${color}` });
+        } else if (current.colors[groupName] !== color) {
+            diff.push({ kind: "changed", text: `color ${groupName}: ${current.colors[groupName]} -> ${color}` });
+        }
+    }
+    if (mode === "replace") {
+        Object.keys(current.colors)
+            .filter((groupName) => !(groupName in imported.colors))
+            .forEach((groupName) => diff.push({ kind: "removed", text: `color ${groupName}` }));
+    }
+
+    return { rules, colors, diff };
+}
@@ -0,0 +1,65 @@
+// Small caching, debouncing and naming helpers shared by the background modules
+
+// Cache whose entries expire after a time to live
+export class Cache {
+    constructor(ttl = 5000) { 
+        this.store = new Map();
+        this.ttl = ttl;
+    }
+
+    set(key, value) {
+        const expiresAt = Date.now() + this.ttl;
+        this.store.set(key, { value, expiresAt });
+    }
+
+    get(key) {
+        const entry = this.store.get(key);
+        if (!entry) return null;
+        if (Date.now() > entry.expiresAt) {
+            this.store.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    clear() {
+        this.store.clear();
+    }
+}
+
+// Debug mode flag to enable verbose logging, loaded from storage by the background script
+export let DEBUG_MODE = false;
+
+export function setDebugMode(enabled) {
+    DEBUG_MODE = enabled;
+}
+
+// Debounce function to prevent multiple rapid calls
+export function debounce(func, delay) {
+    let timeoutId;
+    return function (...args) {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => func.apply(this, args), delay);
+    };
+}
+
+// Debounce per key, so calls for different keys (e.g. windows) don't cancel each other
+export function debounceByKey(func, delay) {
+    const timeouts = new Map();
+    return function (key, ...args) {
+        clearTimeout(timeouts.get(key));
+        timeouts.set(key, setTimeout(() => {
+            timeouts.delete(key);
+            func.apply(this, [key, ...args]);
+        }, delay));
+    };
+}
+
+// Shorten a long group name to initials, or its first five characters for a single word
+export function abbreviate(groupName) {
+    const words = groupName
+        .trim()
+        .split(/[^a-zA-Z0-9]/)
+        .filter(Boolean);
+    return words.length > 1 ? (words[0][0] + words[1][0]).toUpperCase() : groupName.slice(0, 5).toUpperCase();
+}
@@ -0,0 +1,239 @@
+import { createRuleId } from "./rules.js";
+import { SessionStorageManager, StorageManager } from "./storage.js";
+import { DEBUG_MODE } from "./utils.js";
+
+// Workspaces are named bundles of mappings, colors and grouping settings, such as "Work" and "Personal".
+// The active workspace's settings stay in their usual keys, so grouping reads them as before; the others
+// are kept under WORKSPACE_KEY_PREFIX keys and swapped in when their workspace is switched to. The
+// background's settings listener then regroups every window against the new set, once, when
+// activeWorkspaceId changes.
+//
+// workspaces in sync storage is [{ id, name, schedule }], where schedule is null or { days, start, end }:
+// days of the week (0 is Sunday) and "HH:MM" times, and an end before the start runs past midnight.
+export const WORKSPACE_SETTING_KEYS = ["groupRules", "groupColors", "groupingOptions", "groupingStrategy", "similarityThreshold"];
+
+// Prefix of the keys an inactive workspace's settings are kept under, followed by "<id>:<setting key>"
+const WORKSPACE_KEY_PREFIX = "workspace:";
+
+// Schedule day presets offered in the popup
+export const SCHEDULE_DAYS = {
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [0, 6],
+    everyday: [0, 1, 2, 3, 4, 5, 6]
+};
+
+// Session storage keys: windows the user tied to a workspace ({ [windowId]: workspaceId }), and the
+// workspace automatic activation last picked, so a manual switch holds until the window or schedule changes
+const WINDOW_WORKSPACES_KEY = "windowWorkspaces";
+const AUTO_WORKSPACE_KEY = "autoWorkspaceId";
+
+// Changes run one after another, so two switches never interleave their reads and writes
+let workspaceChange = Promise.resolve();
+
+function serialize(change) {
+    const result = workspaceChange.then(change);
+    workspaceChange = result.catch(() => {});
+    return result;
+}
+
+// Set from the start of a switch until the background's settings listener sees activeWorkspaceId change,
+// so the settings keys a switch rewrites one at a time don't each set off their own regroup
+let switchPending = false;
+
+export function isWorkspaceSwitchPending() {
+    return switchPending;
+}
+
+export function endWorkspaceSwitch() {
+    switchPending = false;
+}
+
+function settingKey(workspaceId, key) {
+    return `${WORKSPACE_KEY_PREFIX}${workspaceId}:${key}`;
+}
+
+export async function getWorkspaces() {
+    return await StorageManager.get("workspaces", []);
+}
+
+export async function getActiveWorkspaceId() {
+    return await StorageManager.get("activeWorkspaceId", null);
+}
+
+// Check a workspace name, throwing an error the popup can show
+function validateWorkspaceName(name, workspaces, workspaceId = null) {
+    if (!name) throw new Error("Enter a workspace name");
+    if (workspaces.some(workspace => workspace.id !== workspaceId && workspace.name.toLowerCase() === name.toLowerCase())) {
+        throw new Error(`There is already a workspace named "${name}"`);
+    }
+}
+
+// Check a schedule, throwing an error the popup can show
+function validateSchedule(schedule) {
+    if (!schedule) return;
+    const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+    if (!Array.isArray(schedule.days) || schedule.days.length === 0) throw new Error("Pick the days the schedule runs on");
+    if (!time.test(schedule.start) || !time.test(schedule.end)) throw new Error("Enter the schedule's start and end times");
+    if (schedule.start === schedule.end) throw new Error("The schedule must end at a different time than it starts");
+}
+
+// Create a workspace starting from the current settings. The first workspace takes the current settings
+// over and becomes active; later ones start as copies of them.
+export function createWorkspace(name, schedule = null) {
+    return serialize(async () => {
+        const workspaces = await getWorkspaces();
+        const trimmedName = (name || "").trim();
+        validateWorkspaceName(trimmedName, workspaces);
+        validateSchedule(schedule);
+
+        const workspace = { id: createRuleId(), name: trimmedName, schedule };
+        if (workspaces.length === 0) {
+            await StorageManager.set("activeWorkspaceId", workspace.id);
+        } else {
+            const settings = await StorageManager.getMany(WORKSPACE_SETTING_KEYS);
+            await StorageManager.setMany(Object.fromEntries(
+                Object.entries(settings).map(([key, value]) => [settingKey(workspace.id, key), value])));
+        }
+        await StorageManager.set("workspaces", [...workspaces, workspace]);
+        return workspace;
+    });
+}
+
+// Rename a workspace or change its schedule
+export function updateWorkspace(workspaceId, changes) {
+    return serialize(async () => {
+        const workspaces = await getWorkspaces();
+        const workspace = workspaces.find(candidate => candidate.id === workspaceId);
+        if (!workspace) throw new Error("That workspace no longer exists");
+
+        const updated = { ...workspace, ...changes };
+        updated.name = (updated.name || "").trim();
+        validateWorkspaceName(updated.name, workspaces, workspaceId);
+        validateSchedule(updated.schedule);
+
+        await StorageManager.set("workspaces", workspaces.map(candidate => candidate.id === workspaceId ? updated : candidate));
+        return updated;
+    });
+}
+
+// Delete a workspace and its stored settings. Deleting the active workspace first switches to the next
+// one; deleting the last workspace leaves its settings in place as the only set.
+export function deleteWorkspace(workspaceId) {
+    return serialize(async () => {
+        const [workspaces, activeWorkspaceId] = await Promise.all([getWorkspaces(), getActiveWorkspaceId()]);
+        const remaining = workspaces.filter(workspace => workspace.id !== workspaceId);
+        if (workspaceId === activeWorkspaceId && remaining.length) {
+            await switchWorkspace(remaining[0].id);
+        }
+
+        await StorageManager.remove(WORKSPACE_SETTING_KEYS.map(key => settingKey(workspaceId, key)));
+        await StorageManager.set("workspaces", remaining);
+        if (remaining.length === 0) await StorageManager.remove("activeWorkspaceId");
+
+        const windowWorkspaces = await SessionStorageManager.get(WINDOW_WORKSPACES_KEY);
+        await SessionStorageManager.set(WINDOW_WORKSPACES_KEY,
+            Object.fromEntries(Object.entries(windowWorkspaces).filter(([, id]) => id !== workspaceId)));
+    });
+}
+
+// Switch to a workspace: keep the current settings with the outgoing workspace, then load the incoming
+// one's. Settings the incoming workspace never had are removed, so they fall back to their defaults.
+// Returns whether anything was switched.
+async function switchWorkspace(workspaceId) {
+    const [workspaces, activeWorkspaceId] = await Promise.all([getWorkspaces(), getActiveWorkspaceId()]);
+    const workspace = workspaces.find(candidate => candidate.id === workspaceId);
+    if (!workspace) throw new Error("That workspace no longer exists");
+    if (workspaceId === activeWorkspaceId) return false;
+
+    switchPending = true;
+    try {
+        const current = await StorageManager.getMany(WORKSPACE_SETTING_KEYS);
+        if (activeWorkspaceId && workspaces.some(candidate => candidate.id === activeWorkspaceId)) {
+            await StorageManager.setMany(Object.fromEntries(
+                Object.entries(current).map(([key, value]) => [settingKey(activeWorkspaceId, key), value])));
+        }
+
+        const stored = await StorageManager.getMany(WORKSPACE_SETTING_KEYS.map(key => settingKey(workspaceId, key)));
+        const incoming = Object.fromEntries(WORKSPACE_SETTING_KEYS
+            .filter(key => settingKey(workspaceId, key) in stored)
+            .map(key => [key, stored[settingKey(workspaceId, key)]]));
+        await StorageManager.setMany(incoming);
+        const missingKeys = WORKSPACE_SETTING_KEYS.filter(key => !(key in incoming) && key in current);
+        if (missingKeys.length) await StorageManager.remove(missingKeys);
+
+        await StorageManager.remove(WORKSPACE_SETTING_KEYS.map(key => settingKey(workspaceId, key)));
+        await StorageManager.set("activeWorkspaceId", workspaceId);
+    } catch (error) {
+        // A switch that fails part way never changes activeWorkspaceId, so nothing else would end it
+        switchPending = false;
+        throw error;
+    }
+
+    if (DEBUG_MODE) console.debug(`Switched to workspace "${workspace.name}"`);
+    return true;
+}
+
+export function activateWorkspace(workspaceId) {
+    return serialize(() => switchWorkspace(workspaceId));
+}
+
+// Tie a window to a workspace, so focusing it switches to that workspace; null unties it
+export async function setWindowWorkspace(windowId, workspaceId) {
+    const windowWorkspaces = await SessionStorageManager.get(WINDOW_WORKSPACES_KEY);
+    if (workspaceId) {
+        windowWorkspaces[windowId] = workspaceId;
+    } else {
+        delete windowWorkspaces[windowId];
+    }
+    await SessionStorageManager.set(WINDOW_WORKSPACES_KEY, windowWorkspaces);
+}
+
+export async function getWindowWorkspaceId(windowId) {
+    const windowWorkspaces = await SessionStorageManager.get(WINDOW_WORKSPACES_KEY);
+    return windowWorkspaces[windowId] || null;
+}
+
+// Forget a closed window's workspace
+export async function forgetWindowWorkspace(windowId) {
+    if (await getWindowWorkspaceId(windowId)) await setWindowWorkspace(windowId, null);
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(":").map(Number);
+    return hours * 60 + minutes;
+}
+
+// Check whether a schedule covers a moment; a schedule ending before it starts runs into the next day
+export function isScheduleActive(schedule, date) {
+    if (!schedule) return false;
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const start = toMinutes(schedule.start);
+    const end = toMinutes(schedule.end);
+    if (start < end) return schedule.days.includes(date.getDay()) && minutes >= start && minutes < end;
+
+    const previousDay = (date.getDay() + 6) % 7;
+    return (schedule.days.includes(date.getDay()) && minutes >= start) || (schedule.days.includes(previousDay) && minutes < end);
+}
+
+// The workspace a window should use: the one it was tied to, else the first whose schedule covers now
+export async function getAutomaticWorkspaceId(windowId, date = new Date()) {
+    const [workspaces, windowWorkspaceId] = await Promise.all([getWorkspaces(), getWindowWorkspaceId(windowId)]);
+    if (windowWorkspaceId && workspaces.some(workspace => workspace.id === windowWorkspaceId)) return windowWorkspaceId;
+
+    const scheduled = workspaces.find(workspace => isScheduleActive(workspace.schedule, date));
+    return scheduled ? scheduled.id : null;
+}
+
+// Switch to the workspace a focused window should use, but only when that changes: focusing another tied
+// window or a schedule starting or ending. In between, a workspace the user picked stays active. Returns
+// whether anything was switched.
+export function applyAutomaticWorkspace(windowId, date = new Date()) {
+    return serialize(async () => {
+        const workspaceId = await getAutomaticWorkspaceId(windowId, date);
+        const previousWorkspaceId = await SessionStorageManager.get(AUTO_WORKSPACE_KEY, null);
+        if (workspaceId === previousWorkspaceId) return false;
+
+        await SessionStorageManager.set(AUTO_WORKSPACE_KEY, workspaceId);
+        return workspaceId ? await switchWorkspace(workspaceId) : false;
+    });
+}
@@ -0,0 +1,120 @@
+import { expect } from "chai";
+import {
+    ACTIVITY_LOG_VERSION, MAX_ACTIVITY_ENTRIES, describeActivity, explainTab, exportActivityLog, getActivityLog,
+    recordActivity
+} from "../src/activity.js";
+import { groupTabsByDomain, removeEmptyGroups, updateExistingGroups } from "../src/grouping.js";
+import { OperationQueue, tabOperationQueue } from "../src/queue.js";
+import { installChromeFake } from "./fakes/setup.js";
+
+describe("activity log", () => {
+    let fake;
+    let chrome;
+
+    beforeEach(() => {
+        fake = installChromeFake();
+        chrome = fake.chrome;
+    });
+
+    it("logs each grouping with the mapping that names the group and the event that triggered it", async () => {
+        await chrome.storage.sync.set({ groupRules: [{ id: "r1", type: "domain", pattern: "github.com", groupName: "Code" }] });
+        const tabs = await fake.openTabs(1, ["https://github.com/a", "https://github.com/b", "https://bbc.co.uk/"]);
+
+        await tabOperationQueue.enqueue(() => groupTabsByDomain(1), "tab loaded");
+
+        const [entry] = await getActivityLog();
+        expect(entry).to.include({ action: "group", title: "Code", groupName: "Code", trigger: "tab loaded" });
+        expect(entry.tabIds).to.deep.equal([tabs[0].id, tabs[1].id]);
+        expect(entry.rule).to.deep.equal({ id: "r1", type: "domain", pattern: "github.com", groupName: "Code" });
+        expect(describeActivity(entry)).to.equal('Grouped 2 tabs as "Code" by mapping domain github.com, on tab loaded');
+    });
+
+    it("logs renames and ungroups with their reason", async () => {
+        const tabs = await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+        await groupTabsByDomain(1);
+
+        await chrome.storage.sync.set({ groupRules: [{ id: "r1", type: "domain", pattern: "github.com", groupName: "Code" }] });
+        await updateExistingGroups(1);
+        await chrome.tabs.remove(tabs[0].id);
+        await removeEmptyGroups(1);
+
+        const log = await getActivityLog();
+        expect(log.map(entry => entry.action)).to.deep.equal(["group", "rename", "ungroup"]);
+        expect(log[1]).to.include({ previousTitle: "github", title: "Code" });
+        expect(log[2]).to.include({ reason: "too few tabs left in the group" });
+        expect(log[2].tabIds).to.deep.equal([tabs[1].id]);
+    });
+
+    it("keeps only the newest entries", async () => {
+        const entries = Array.from({ length: MAX_ACTIVITY_ENTRIES + 10 }, (_, index) => ({ action: "move", tabIds: [index] }));
+
+        await recordActivity(entries);
+
+        const log = await getActivityLog();
+        expect(log).to.have.length(MAX_ACTIVITY_ENTRIES);
+        expect(log[0].tabIds).to.deep.equal([10]);
+    });
+
+    it("logs queued operations that fail, with their trigger", async () => {
+        const queue = new OperationQueue();
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            await queue.enqueue(async () => { throw new Error("boom"); }, "settings changed");
+        } finally {
+            console.error = originalError;
+        }
+
+        const [entry] = await getActivityLog();
+        expect(entry).to.include({ action: "error", error: "boom", trigger: "settings changed" });
+    });
+
+    it("exports the log as a versioned document", async () => {
+        await recordActivity({ action: "ungroup", tabIds: [1] });
+
+        const exported = await exportActivityLog();
+
+        expect(exported.schemaVersion).to.equal(ACTIVITY_LOG_VERSION);
+        expect(exported.entries).to.have.length(1);
+    });
+
+    describe("explainTab", () => {
+        it("explains a grouped tab from its mapping, its group's owner and its logged activity", async () => {
+            await chrome.storage.sync.set({ groupRules: [{ id: "r1", type: "domain", pattern: "github.com", groupName: "Code" }] });
+            const tabs = await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+            await tabOperationQueue.enqueue(() => groupTabsByDomain(1), "tab loaded");
+
+            const lines = await explainTab(tabs[0].id);
+
+            expect(lines.slice(0, 3)).to.deep.equal([
+                'This tab is in "Code", which the extension created for "Code".',
+                "The extension put it there.",
+                'Mapping domain github.com puts it in "Code".'
+            ]);
+            expect(lines[4]).to.match(/Grouped 2 tabs as "Code" by mapping domain github.com, on tab loaded$/);
+        });
+
+        it("explains an ungrouped tab waiting for its group's minimum size", async () => {
+            const [tab] = await fake.openTabs(1, ["https://github.com/a"]);
+
+            expect(await explainTab(tab.id)).to.deep.equal([
+                "This tab isn't in a group.",
+                'No mapping matches, so it is named after its domain github.com: "github".',
+                '"github" is only created once 2 tabs share it.'
+            ]);
+        });
+
+        it("says when the user put the tab in its group", async () => {
+            const tabs = await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+            const groupId = await chrome.tabs.group({ tabIds: tabs.map(tab => tab.id) });
+            await chrome.tabGroups.update(groupId, { title: "Mine" });
+
+            const lines = await explainTab(tabs[0].id);
+
+            expect(lines.slice(0, 2)).to.deep.equal([
+                'This tab is in "Mine", a group you made or took over, which the extension leaves alone.',
+                "You put it there, so the extension won't move it."
+            ]);
+        });
+    });
+});
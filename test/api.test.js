@@ -0,0 +1,162 @@
+import { expect } from "chai";
+import { API_VERSION, handleExternalRequest, publishApiEvent, publishGroupEvent } from "../src/api.js";
+import { groupTabsByDomain } from "../src/grouping.js";
+import { StorageManager } from "../src/storage.js";
+import { installChromeFake } from "./fakes/setup.js";
+
+describe("external API", () => {
+    let fake;
+    let chrome;
+
+    const allowedId = "abcdefghijklmnopabcdefghijklmnop";
+    const sender = { id: allowedId };
+    const request = (action, params) => handleExternalRequest({ apiVersion: API_VERSION, requestId: 7, action, params }, sender);
+
+    beforeEach(async () => {
+        fake = installChromeFake({ windows: [{ id: 1 }, { id: 2 }] });
+        chrome = fake.chrome;
+        await StorageManager.set("allowedExtensionIds", [allowedId]);
+    });
+
+    describe("request checks", () => {
+        it("refuses extensions that aren't allowed", async () => {
+            const response = await handleExternalRequest({ apiVersion: 1, action: "getInfo" }, { id: "pponmlkjihgfedcbapponmlkjihgfedcba" });
+
+            expect(response).to.deep.equal({
+                apiVersion: API_VERSION,
+                requestId: null,
+                ok: false,
+                error: { code: "FORBIDDEN", message: "This extension isn't allowed to use the API" }
+            });
+        });
+
+        it("reports unsupported versions, unknown actions and bad params with their codes", async () => {
+            const codeOf = async message => (await handleExternalRequest(message, sender)).error.code;
+
+            expect(await codeOf({ apiVersion: API_VERSION + 1, action: "getInfo" })).to.equal("UNSUPPORTED_VERSION");
+            expect(await codeOf({ apiVersion: API_VERSION, action: "toString" })).to.equal("UNKNOWN_ACTION");
+            expect(await codeOf({ apiVersion: API_VERSION, action: "groupTabs", params: { tabIds: [] } })).to.equal("INVALID_PARAMS");
+            expect(await codeOf("groupTabs")).to.equal("BAD_REQUEST");
+        });
+
+        it("answers with an internal error when the allowlist can't be read", async () => {
+            chrome.storage.sync.get = () => {
+                throw new Error("Storage is unavailable");
+            };
+
+            const response = await request("getInfo");
+
+            expect(response).to.deep.equal({
+                apiVersion: API_VERSION,
+                requestId: 7,
+                ok: false,
+                error: { code: "INTERNAL_ERROR", message: "Storage is unavailable" }
+            });
+        });
+
+        it("echoes the request id and lists the actions and events", async () => {
+            const response = await request("getInfo");
+
+            expect(response).to.include({ ok: true, requestId: 7 });
+            expect(response.result.actions).to.include.members(["listGroups", "setMappings", "groupTabs", "subscribe"]);
+        });
+    });
+
+    it("lists groups with their tabs and who manages them", async () => {
+        const tabs = await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+        await groupTabsByDomain(1);
+
+        const { result } = await request("listGroups", { windowId: 1 });
+
+        expect(result).to.have.length(1);
+        expect(result[0]).to.include({ title: "github", managed: true, locked: false, groupName: "github" });
+        expect(result[0].tabIds).to.deep.equal(tabs.map(tab => tab.id));
+    });
+
+    describe("setMappings", () => {
+        it("merges rules by type and pattern, keeping existing ids", async () => {
+            await StorageManager.set("groupRules", [{ id: "r1", type: "domain", pattern: "github.com", groupName: "Code" }]);
+
+            const response = await request("setMappings", {
+                mode: "merge",
+                groupRules: [
+                    { type: "domain", pattern: "github.com", groupName: "Repos" },
+                    { type: "domain", pattern: "bbc.co.uk", groupName: "News" }
+                ],
+                groupColors: { News: "red" }
+            });
+
+            expect(response.result).to.deep.equal({ ruleCount: 2 });
+            const { result } = await request("getMappings");
+            expect(result.groupRules[0]).to.include({ id: "r1", groupName: "Repos" });
+            expect(result.groupRules[1]).to.include({ pattern: "bbc.co.uk", groupBy: "domain" });
+            expect(result.groupColors).to.deep.equal({ News: "red" });
+        });
+
+        it("rejects invalid rules without changing anything", async () => {
+            const response = await request("setMappings", { groupRules: [{ type: "regex", pattern: "(", groupName: "X" }] });
+
+            expect(response.error.code).to.equal("INVALID_PARAMS");
+            expect(await StorageManager.get("groupRules", [])).to.deep.equal([]);
+        });
+    });
+
+    describe("groupTabs", () => {
+        it("creates a group for the tabs in the first tab's window, moving the others there", async () => {
+            const [first] = await fake.openTabs(1, ["https://github.com/a"]);
+            const [second] = await fake.openTabs(2, ["https://bbc.co.uk/"]);
+
+            const { ok, result } = await request("groupTabs", { tabIds: [first.id, second.id], groupName: "Reading" });
+
+            expect(ok).to.equal(true);
+            expect(await chrome.tabGroups.get(result.groupId)).to.include({ title: "Reading", windowId: 1 });
+            expect(fake.layout(1).map(([, title]) => title)).to.deep.equal(["Reading", "Reading"]);
+        });
+
+        it("reports tabs that don't exist", async () => {
+            const response = await request("groupTabs", { tabIds: [12345], groupName: "Reading" });
+
+            expect(response.error).to.deep.equal({ code: "NOT_FOUND", message: "No tab with id 12345" });
+        });
+    });
+
+    it("moves a tab to a group by title, reporting unknown titles", async () => {
+        const tabs = await fake.openTabs(1, ["https://github.com/a", "https://github.com/b", "https://bbc.co.uk/"]);
+        await groupTabsByDomain(1);
+
+        const moved = await request("moveTabToGroup", { tabId: tabs[2].id, title: "github" });
+        const missing = await request("moveTabToGroup", { tabId: tabs[2].id, title: "Nope" });
+
+        expect((await chrome.tabGroups.get(moved.result.groupId)).title).to.equal("github");
+        expect(missing.error.code).to.equal("NOT_FOUND");
+    });
+
+    describe("events", () => {
+        it("sends subscribed events to allowed subscribers only", async () => {
+            await request("subscribe", { events: ["groupCreated", "mappingsChanged"] });
+            const tabs = await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+            const groupId = await chrome.tabs.group({ tabIds: tabs.map(tab => tab.id) });
+
+            await publishGroupEvent("groupCreated", await chrome.tabGroups.get(groupId));
+            await publishGroupEvent("groupRemoved", await chrome.tabGroups.get(groupId));
+            await StorageManager.set("allowedExtensionIds", []);
+            await publishApiEvent("mappingsChanged", { groupRules: true, groupColors: false });
+
+            expect(fake.state.messages).to.have.length(1);
+            const [{ extensionId, message }] = fake.state.messages;
+            expect(extensionId).to.equal(allowedId);
+            expect(message).to.include({ apiVersion: API_VERSION, event: "groupCreated" });
+            expect(message.data).to.include({ id: groupId, managed: false });
+        });
+
+        it("rejects unknown events and stops sending after unsubscribing", async () => {
+            const unknown = await request("subscribe", { events: ["tabClosed"] });
+            await request("subscribe", { events: ["mappingsChanged"] });
+            await request("unsubscribe", {});
+            await publishApiEvent("mappingsChanged", {});
+
+            expect(unknown.error).to.deep.equal({ code: "INVALID_PARAMS", message: "Unknown events: tabClosed" });
+            expect(fake.state.messages).to.deep.equal([]);
+        });
+    });
+});
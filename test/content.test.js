@@ -0,0 +1,11 @@
+import { expect } from "chai";
+import { tokenizeTab } from "../src/content.js";
+
+describe("content", () => {
+    describe("tokenizeTab", () => {
+        it("keeps the path of a URL with a stray percent sign, still leaving out the host name", () => {
+            const tab = { title: "Example recipes", url: "https://recipes.example.com/cocoa/100%/cakes" };
+            expect(tokenizeTab(tab)).to.deep.equal(["cocoa", "cake"]);
+        });
+    });
+});
@@ -0,0 +1,47 @@
+import { expect } from "chai";
+import { getDomain, getHostname, getRegistrableDomain, stripPublicSuffix } from "../src/domains.js";
+
+describe("domains", () => {
+    describe("getRegistrableDomain", () => {
+        it("keeps one label in front of multi-label public suffixes", () => {
+            expect(getRegistrableDomain("news.bbc.co.uk")).to.equal("bbc.co.uk");
+            expect(getRegistrableDomain("docs.github.com")).to.equal("github.com");
+        });
+
+        it("treats private suffixes as public", () => {
+            expect(getRegistrableDomain("alice.github.io")).to.equal("alice.github.io");
+        });
+
+        it("applies wildcard and exception rules", () => {
+            expect(getRegistrableDomain("shop.example.ck")).to.equal("shop.example.ck");
+            expect(getRegistrableDomain("www.ck")).to.equal("www.ck");
+        });
+
+        it("returns IP addresses and single labels unchanged", () => {
+            expect(getRegistrableDomain("192.168.0.1")).to.equal("192.168.0.1");
+            expect(getRegistrableDomain("localhost")).to.equal("localhost");
+        });
+    });
+
+    describe("stripPublicSuffix", () => {
+        it("drops the public suffix for a default group title", () => {
+            expect(stripPublicSuffix("bbc.co.uk")).to.equal("bbc");
+            expect(stripPublicSuffix("github.com")).to.equal("github");
+        });
+    });
+
+    describe("getHostname and getDomain", () => {
+        it("normalizes the hostname and drops a leading www", () => {
+            expect(getHostname("https://WWW.Example.com/path")).to.equal("example.com");
+        });
+
+        it("returns null for URLs without a hostname", async () => {
+            expect(getHostname("")).to.equal(null);
+            expect(await getDomain("about:blank")).to.equal(null);
+        });
+
+        it("resolves the registrable domain of a URL", async () => {
+            expect(await getDomain("https://maps.google.co.uk/")).to.equal("google.co.uk");
+        });
+    });
+});
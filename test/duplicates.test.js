@@ -0,0 +1,109 @@
+import { expect } from "chai";
+import {
+    DEFAULT_DUPLICATE_OPTIONS, countDuplicatesByGroup, findDuplicates, handleDuplicates, normalizeUrl
+} from "../src/duplicates.js";
+import { groupTabsByDomain } from "../src/grouping.js";
+import { installChromeFake } from "./fakes/setup.js";
+
+describe("duplicates", () => {
+    describe("normalizeUrl", () => {
+        it("ignores the hash, tracking parameters and the scheme by default", () => {
+            expect(normalizeUrl("http://github.com/pr/1?utm_source=mail&tab=files&fbclid=x#diff"))
+                .to.equal("https://github.com/pr/1?tab=files");
+        });
+
+        it("keeps whatever a rule is turned off for", () => {
+            const options = { ...DEFAULT_DUPLICATE_OPTIONS, ignoreHash: false, ignoreScheme: false, ignoreTracking: false };
+            expect(normalizeUrl("http://github.com/pr/1?utm_source=mail#diff", options))
+                .to.equal("http://github.com/pr/1?utm_source=mail#diff");
+        });
+
+        it("never treats browser pages as duplicates", () => {
+            expect(normalizeUrl("chrome://newtab/")).to.equal(null);
+            expect(normalizeUrl("not a url")).to.equal(null);
+        });
+    });
+
+    describe("findDuplicates", () => {
+        it("keeps a pinned tab, then the active tab, then the newest", () => {
+            const tabs = [
+                { id: 1, url: "https://a.com/" },
+                { id: 2, url: "https://a.com/#top" },
+                { id: 3, url: "https://b.com/", active: true },
+                { id: 4, url: "http://b.com/" },
+                { id: 5, url: "https://c.com/", pinned: true },
+                { id: 6, url: "https://c.com/", active: true },
+                { id: 7, url: "https://d.com/" }
+            ];
+            const sets = findDuplicates(tabs, DEFAULT_DUPLICATE_OPTIONS)
+                .map(({ keep, duplicates }) => [keep.id, duplicates.map(tab => tab.id)]);
+            expect(sets).to.deep.equal([[2, [1]], [3, [4]], [5, [6]]]);
+        });
+
+        it("counts the duplicates inside each group", () => {
+            const groups = [{ id: 10, title: "github" }];
+            const tabs = [
+                { id: 1, groupId: 10, url: "https://github.com/pr/1" },
+                { id: 2, groupId: 10, url: "https://github.com/pr/1" },
+                { id: 3, groupId: 10, url: "https://github.com/pr/1" },
+                { id: 4, groupId: -1, url: "https://github.com/pr/2" },
+                { id: 5, groupId: -1, url: "https://github.com/pr/2" }
+            ];
+            expect(countDuplicatesByGroup(findDuplicates(tabs, DEFAULT_DUPLICATE_OPTIONS), groups)).to.deep.equal({ github: 2 });
+        });
+    });
+
+    describe("handleDuplicates", () => {
+        let fake;
+        let chrome;
+
+        beforeEach(async () => {
+            fake = installChromeFake();
+            chrome = fake.chrome;
+            await chrome.storage.sync.set({
+                groupRules: [{ id: "r1", type: "domain", pattern: "github.com", groupName: "Code" }]
+            });
+            await fake.openTabs(1, [
+                "https://github.com/pr/1", "http://github.com/pr/1#files", "https://github.com/pr/1?utm_medium=email",
+                "https://github.com/pr/2"
+            ]);
+            await groupTabsByDomain(1);
+        });
+
+        it("marks duplicates on the toolbar button and counts them per group and mapping", async () => {
+            await handleDuplicates(1);
+
+            const copies = fake.state.tabs.filter(tab => tab.url.includes("/pr/1")).map(tab => tab.id);
+            expect(Object.keys(fake.state.badges).map(Number)).to.have.members(copies);
+            expect(Object.values(fake.state.badges)).to.deep.equal(["×3", "×3", "×3"]);
+
+            const { duplicates } = chrome.storage.session.dump();
+            expect(duplicates[1].counts).to.deep.equal({ Code: 2 });
+            expect(duplicates[1].ruleCounts).to.deep.equal({ r1: 2 });
+            expect(duplicates[1].sets).to.have.length(1);
+        });
+
+        it("closes older duplicates, keeping the newest copy", async () => {
+            await chrome.storage.sync.set({ duplicateOptions: { policy: "close" } });
+
+            await handleDuplicates(1);
+
+            expect(fake.layout(1)).to.deep.equal([
+                ["https://github.com/pr/1?utm_medium=email", "Code"],
+                ["https://github.com/pr/2", "Code"]
+            ]);
+            expect(chrome.storage.session.dump().duplicates[1].sets).to.deep.equal([]);
+        });
+
+        it("only lists duplicates when asking, and clears earlier marks", async () => {
+            await handleDuplicates(1);
+            await chrome.storage.sync.set({ duplicateOptions: { policy: "ask" } });
+
+            await handleDuplicates(1);
+
+            expect(fake.state.badges).to.deep.equal({});
+            expect(fake.state.tabs).to.have.length(4);
+            expect(chrome.storage.session.dump().duplicates[1].sets[0].tabIds).to.have.length(2);
+        });
+    });
+});
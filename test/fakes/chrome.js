@@ -0,0 +1,519 @@
+// In-memory fake of the chrome.* APIs the background modules use: windows, tabs, tabGroups, storage and
+// their events. State changes are applied synchronously, but every API call resolves on a later turn of
+// the event loop so concurrent operations interleave the way they do in the browser.
+
+const TAB_GROUP_ID_NONE = -1;
+
+// Resolve after other pending callbacks have had a chance to run
+function tick() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Event with the chrome.events.Event listener API, plus dispatch for the fake to fire it
+class FakeEvent {
+    constructor() {
+        this.listeners = [];
+    }
+
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    removeListener(listener) {
+        this.listeners = this.listeners.filter(existing => existing !== listener);
+    }
+
+    hasListener(listener) {
+        return this.listeners.includes(listener);
+    }
+
+    dispatch(...args) {
+        this.listeners.forEach(listener => listener(...args));
+    }
+}
+
+// Check whether an object matches a query such as { windowId: 1, pinned: false }
+function matchesQuery(item, query) {
+    return Object.entries(query).every(([key, value]) => {
+        if (key === "windowType" || key === "windowTypes") return true;
+        if (key === "url") return [].concat(value).some(pattern => globMatches(pattern, item.url));
+        return item[key] === value;
+    });
+}
+
+function globMatches(pattern, text) {
+    const source = pattern.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+    return new RegExp(`^${source}$`).test(text || "");
+}
+
+// Bytes an item counts against the storage quotas: its key plus its value as JSON
+function itemBytes(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+// A chrome.storage area backed by a plain object, supporting both callbacks and promises. Given quotas,
+// writes that would exceed them fail the way chrome.storage.sync's do.
+function createStorageArea(areaName, onChanged, quotas = null) {
+    let data = {};
+
+    // The error a write would fail with, if any
+    const quotaError = (items) => {
+        if (!quotas) return null;
+        if (Object.entries(items).some(([key, value]) => itemBytes(key, value) > quotas.QUOTA_BYTES_PER_ITEM)) {
+            return "QUOTA_BYTES_PER_ITEM quota exceeded";
+        }
+        const total = Object.entries({ ...data, ...items }).reduce((sum, [key, value]) => sum + itemBytes(key, value), 0);
+        return total > quotas.QUOTA_BYTES ? "QUOTA_BYTES quota exceeded" : null;
+    };
+
+    const area = {
+        ...quotas,
+
+        get(keys, callback) {
+            let result = {};
+            if (keys === null || keys === undefined) {
+                result = clone(data);
+            } else if (typeof keys === "object" && !Array.isArray(keys)) {
+                for (const [key, defaultValue] of Object.entries(keys)) {
+                    result[key] = key in data ? clone(data[key]) : defaultValue;
+                }
+            } else {
+                for (const key of [].concat(keys)) {
+                    if (key in data) result[key] = clone(data[key]);
+                }
+            }
+            return settle(result, callback);
+        },
+
+        set(items, callback) {
+            const error = quotaError(items);
+            if (error) return fail(error, callback);
+
+            const changes = {};
+            for (const [key, value] of Object.entries(items)) {
+                changes[key] = { oldValue: data[key], newValue: clone(value) };
+                data[key] = clone(value);
+            }
+            onChanged.dispatch(changes, areaName);
+            return settle(undefined, callback);
+        },
+
+        remove(keys, callback) {
+            const changes = {};
+            for (const key of [].concat(keys)) {
+                if (!(key in data)) continue;
+                changes[key] = { oldValue: data[key] };
+                delete data[key];
+            }
+            if (Object.keys(changes).length) onChanged.dispatch(changes, areaName);
+            return settle(undefined, callback);
+        },
+
+        clear(callback) {
+            data = {};
+            return settle(undefined, callback);
+        },
+
+        getBytesInUse(keys, callback) {
+            const entries = Object.entries(data)
+                .filter(([key]) => keys === null || keys === undefined || [].concat(keys).includes(key));
+            return settle(entries.reduce((sum, [key, value]) => sum + itemBytes(key, value), 0), callback);
+        },
+
+        // Test helper: read the stored data without going through the async API
+        dump() {
+            return clone(data);
+        }
+    };
+    return area;
+}
+
+// Fail through chrome.runtime.lastError when given a callback, otherwise by rejecting, always asynchronously
+function fail(message, callback) {
+    const promise = tick();
+    if (callback) {
+        promise.then(() => {
+            globalThis.chrome.runtime.lastError = { message };
+            try {
+                callback();
+            } finally {
+                globalThis.chrome.runtime.lastError = undefined;
+            }
+        });
+        return undefined;
+    }
+    return promise.then(() => Promise.reject(new Error(message)));
+}
+
+// Answer through the callback when given one, otherwise through a promise, always asynchronously
+function settle(value, callback) {
+    const promise = tick().then(() => value);
+    if (callback) {
+        promise.then(callback);
+        return undefined;
+    }
+    return promise;
+}
+
+// Create a fake chrome object. Windows are given as [{ id, incognito? }]; the first one is focused.
+export function createChromeFake({ windows = [{ id: 1 }] } = {}) {
+    const state = {
+        windows: windows.map(window => ({ type: "normal", incognito: false, focused: false, ...window })),
+        tabs: [],
+        groups: [],
+        nextTabId: 100,
+        nextGroupId: 500,
+        nextWindowId: Math.max(0, ...windows.map(window => window.id)) + 1,
+        badges: {}, // Per-tab badge text of the toolbar button
+        badge: { text: "", color: null, title: "" }, // Global badge text, color and hover title of the toolbar button
+        menus: [], // Context menu items, as created
+        messages: [] // Messages sent to other extensions, as { extensionId, message }
+    };
+    state.windows[0].focused = true;
+
+    const events = {
+        tabs: {
+            onCreated: new FakeEvent(), onUpdated: new FakeEvent(), onRemoved: new FakeEvent(),
+            onActivated: new FakeEvent(), onAttached: new FakeEvent(), onDetached: new FakeEvent(),
+            onMoved: new FakeEvent()
+        },
+        tabGroups: { onCreated: new FakeEvent(), onUpdated: new FakeEvent(), onRemoved: new FakeEvent() },
+        storage: { onChanged: new FakeEvent() },
+        contextMenus: { onClicked: new FakeEvent() }
+    };
+
+    const findTab = tabId => {
+        const tab = state.tabs.find(tab => tab.id === tabId);
+        if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+        return tab;
+    };
+    const findGroup = groupId => {
+        const group = state.groups.find(group => group.id === groupId);
+        if (!group) throw new Error(`No group with id: ${groupId}.`);
+        return group;
+    };
+    const tabsInWindow = windowId => state.tabs
+        .filter(tab => tab.windowId === windowId)
+        .sort((a, b) => a.index - b.index);
+    const reindex = windowId => tabsInWindow(windowId).forEach((tab, index) => {
+        tab.index = index;
+    });
+
+    // Groups disappear with their last tab, as in the browser
+    const removeEmptyGroups = () => {
+        for (const group of [...state.groups]) {
+            if (state.tabs.some(tab => tab.groupId === group.id)) continue;
+            state.groups = state.groups.filter(existing => existing !== group);
+            events.tabGroups.onRemoved.dispatch(clone(group));
+        }
+    };
+
+    const setTabGroup = (tab, groupId) => {
+        if (tab.groupId === groupId) return;
+        tab.groupId = groupId;
+        events.tabs.onUpdated.dispatch(tab.id, { groupId }, clone(tab));
+    };
+
+    // Move a tab to another window and index; grouped tabs leave their group when changing windows
+    const placeTab = (tab, windowId, index) => {
+        const oldWindowId = tab.windowId;
+        if (windowId !== oldWindowId) {
+            events.tabs.onDetached.dispatch(tab.id, { oldWindowId, oldPosition: tab.index });
+            tab.windowId = windowId;
+            setTabGroup(tab, TAB_GROUP_ID_NONE);
+            reindex(oldWindowId);
+        }
+        const others = tabsInWindow(windowId).filter(other => other !== tab);
+        others.splice(index < 0 ? others.length : Math.min(index, others.length), 0, tab);
+        others.forEach((other, position) => {
+            other.index = position;
+        });
+        if (windowId !== oldWindowId) {
+            events.tabs.onAttached.dispatch(tab.id, { newWindowId: windowId, newPosition: tab.index });
+        }
+    };
+
+    const chrome = {
+        runtime: {
+            lastError: undefined,
+            id: "fake-extension-id",
+            getURL: path => `chrome-extension://fake-extension-id/${path}`,
+            async sendMessage(extensionId, message) {
+                await tick();
+                state.messages.push(clone({ extensionId, message }));
+            }
+        },
+
+        windows: {
+            WINDOW_ID_NONE: -1,
+            async getAll() {
+                await tick();
+                return clone(state.windows);
+            },
+            async get(windowId) {
+                await tick();
+                const window = state.windows.find(window => window.id === windowId);
+                if (!window) throw new Error(`No window with id: ${windowId}.`);
+                return clone(window);
+            },
+            async getLastFocused() {
+                await tick();
+                const window = state.windows.find(window => window.focused);
+                if (!window) throw new Error("No last-focused window");
+                return clone(window);
+            },
+            async create({ focused = false, incognito = false, type = "normal", url } = {}) {
+                await tick();
+                const window = { id: state.nextWindowId++, type, incognito, focused };
+                state.windows.push(window);
+                const tabs = url ? [await chrome.tabs.create({ windowId: window.id, url })] : [];
+                return { ...clone(window), tabs };
+            }
+        },
+
+        tabs: {
+            ...events.tabs,
+
+            async query(queryInfo = {}) {
+                await tick();
+                return clone(state.tabs
+                    .filter(tab => matchesQuery(tab, queryInfo))
+                    .sort((a, b) => a.windowId - b.windowId || a.index - b.index));
+            },
+
+            async get(tabId) {
+                await tick();
+                return clone(findTab(tabId));
+            },
+
+            async create({ windowId, url = "chrome://newtab/", title, active = false, pinned = false, openerTabId } = {}) {
+                await tick();
+                const targetWindowId = windowId ?? state.windows.find(window => window.focused).id;
+                const window = state.windows.find(window => window.id === targetWindowId);
+                const tab = {
+                    id: state.nextTabId++,
+                    windowId: targetWindowId,
+                    index: tabsInWindow(targetWindowId).length,
+                    url,
+                    title: title ?? url,
+                    active,
+                    pinned,
+                    incognito: window.incognito,
+                    discarded: false,
+                    audible: false,
+                    status: "complete",
+                    groupId: TAB_GROUP_ID_NONE,
+                    lastAccessed: Date.now(),
+                    ...(openerTabId !== undefined ? { openerTabId } : {})
+                };
+                state.tabs.push(tab);
+                events.tabs.onCreated.dispatch(clone(tab));
+                return clone(tab);
+            },
+
+            async update(tabId, properties) {
+                await tick();
+                const tab = findTab(tabId);
+                const changeInfo = {};
+                for (const [key, value] of Object.entries(properties)) {
+                    if (tab[key] !== value) changeInfo[key] = value;
+                }
+                Object.assign(tab, properties);
+                if (properties.url && !properties.title) tab.title = properties.url;
+                if (Object.keys(changeInfo).length) {
+                    events.tabs.onUpdated.dispatch(tabId, changeInfo, clone(tab));
+                }
+                return clone(tab);
+            },
+
+            async remove(tabIds) {
+                await tick();
+                for (const tabId of [].concat(tabIds)) {
+                    const tab = findTab(tabId);
+                    state.tabs = state.tabs.filter(existing => existing !== tab);
+                    delete state.badges[tabId];
+                    reindex(tab.windowId);
+                    events.tabs.onRemoved.dispatch(tabId, { windowId: tab.windowId, isWindowClosing: false });
+                }
+                removeEmptyGroups();
+            },
+
+            async move(tabIds, { windowId, index }) {
+                await tick();
+                const moved = [].concat(tabIds).map((tabId, offset) => {
+                    const tab = findTab(tabId);
+                    placeTab(tab, windowId ?? tab.windowId, index < 0 ? -1 : index + offset);
+                    return tab;
+                });
+                removeEmptyGroups();
+                return clone(Array.isArray(tabIds) ? moved : moved[0]);
+            },
+
+            async group({ tabIds, groupId, createProperties = {} }) {
+                await tick();
+                const tabs = [].concat(tabIds).map(findTab);
+                let group;
+                if (groupId === undefined) {
+                    group = {
+                        id: state.nextGroupId++,
+                        windowId: createProperties.windowId ?? tabs[0].windowId,
+                        title: "",
+                        color: "grey",
+                        collapsed: false
+                    };
+                    state.groups.push(group);
+                    events.tabGroups.onCreated.dispatch(clone(group));
+                } else {
+                    group = findGroup(groupId);
+                }
+
+                // Grouped tabs move next to the group's other tabs, in the group's window
+                for (const tab of tabs) {
+                    const members = tabsInWindow(group.windowId).filter(other => other.groupId === group.id && other !== tab);
+                    const index = members.length ? members[members.length - 1].index + 1 : -1;
+                    placeTab(tab, group.windowId, index);
+                    setTabGroup(tab, group.id);
+                }
+                removeEmptyGroups();
+                return group.id;
+            },
+
+            async ungroup(tabIds) {
+                await tick();
+                for (const tabId of [].concat(tabIds)) {
+                    setTabGroup(findTab(tabId), TAB_GROUP_ID_NONE);
+                }
+                removeEmptyGroups();
+            },
+
+            async discard(tabId) {
+                await tick();
+                const tab = findTab(tabId);
+                tab.discarded = true;
+                return clone(tab);
+            }
+        },
+
+        tabGroups: {
+            ...events.tabGroups,
+            TAB_GROUP_ID_NONE,
+
+            async query(queryInfo = {}) {
+                await tick();
+                return clone(state.groups.filter(group => matchesQuery(group, queryInfo)));
+            },
+
+            async get(groupId) {
+                await tick();
+                return clone(findGroup(groupId));
+            },
+
+            async update(groupId, properties) {
+                await tick();
+                const group = findGroup(groupId);
+                Object.assign(group, properties);
+                events.tabGroups.onUpdated.dispatch(clone(group));
+                return clone(group);
+            },
+
+            // Move a group's tabs together to an index in its window
+            async move(groupId, { index }) {
+                await tick();
+                const group = findGroup(groupId);
+                const members = tabsInWindow(group.windowId).filter(tab => tab.groupId === groupId);
+                members.forEach((tab, offset) => placeTab(tab, group.windowId, index < 0 ? -1 : index + offset));
+                return clone(group);
+            }
+        },
+
+        action: {
+            async setBadgeText({ tabId, text }) {
+                await tick();
+                if (tabId === undefined) {
+                    state.badge.text = text || "";
+                } else if (text) {
+                    state.badges[tabId] = text;
+                } else {
+                    delete state.badges[tabId];
+                }
+            },
+            async setBadgeBackgroundColor({ tabId, color }) {
+                await tick();
+                if (tabId === undefined) state.badge.color = color;
+            },
+            async setTitle({ tabId, title }) {
+                await tick();
+                if (tabId === undefined) state.badge.title = title;
+            }
+        },
+
+        contextMenus: {
+            ...events.contextMenus,
+
+            create(properties, callback) {
+                if (state.menus.some(item => item.id === properties.id)) {
+                    chrome.runtime.lastError = { message: `Cannot create item with duplicate id ${properties.id}` };
+                } else {
+                    state.menus.push(clone(properties));
+                }
+                if (callback) callback();
+                chrome.runtime.lastError = undefined;
+                return properties.id;
+            },
+
+            async removeAll() {
+                await tick();
+                state.menus = [];
+            }
+        },
+
+        storage: {
+            onChanged: events.storage.onChanged,
+            sync: createStorageArea("sync", events.storage.onChanged, { QUOTA_BYTES_PER_ITEM: 8192, QUOTA_BYTES: 102400 }),
+            local: createStorageArea("local", events.storage.onChanged),
+            session: createStorageArea("session", events.storage.onChanged)
+        }
+    };
+
+    // Record every tabs and tabGroups call that changes state, as "tabs.group" and so on
+    const calls = [];
+    for (const [namespace, methods] of [["tabs", ["create", "update", "remove", "move", "group", "ungroup", "discard"]], ["tabGroups", ["update", "move"]]]) {
+        for (const method of methods) {
+            const original = chrome[namespace][method];
+            chrome[namespace][method] = (...args) => {
+                calls.push(`${namespace}.${method}`);
+                return original(...args);
+            };
+        }
+    }
+
+    // Test helpers that read and arrange state directly, without waiting on the async API
+    const helpers = {
+        state,
+        calls,
+
+        openTabs(windowId, urls) {
+            return Promise.all(urls.map(url => chrome.tabs.create({ windowId, url })));
+        },
+
+        // Tabs of a window in order, as [url, group title or null] pairs
+        layout(windowId) {
+            return tabsInWindow(windowId).map(tab => [
+                tab.url,
+                tab.groupId === TAB_GROUP_ID_NONE ? null : findGroup(tab.groupId).title
+            ]);
+        },
+
+        groupTitles(windowId) {
+            return state.groups
+                .filter(group => windowId === undefined || group.windowId === windowId)
+                .map(group => group.title);
+        }
+    };
+
+    return { chrome, ...helpers };
+}
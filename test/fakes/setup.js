@@ -0,0 +1,35 @@
+import { clearGroupColorCache } from "../../src/colors.js";
+import {
+    clearOwnershipCache, forgetGroup, pendingTabIds, releaseHeldTab, releaseTab, trackGroupUpdate, trackTabGroupChange
+} from "../../src/ownership.js";
+import { StorageManager } from "../../src/storage.js";
+import { createChromeFake } from "./chrome.js";
+
+// Install a fresh chrome fake as the global the modules use, drop state cached from earlier tests, and
+// track user changes to groups and colors the way the background script's listeners do
+export function installChromeFake(options) {
+    const fake = createChromeFake(options);
+    globalThis.chrome = fake.chrome;
+    clearGroupColorCache();
+    clearOwnershipCache();
+
+    fake.chrome.tabGroups.onUpdated.addListener(trackGroupUpdate);
+    fake.chrome.tabGroups.onRemoved.addListener(group => forgetGroup(group.id));
+    fake.chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+        if (changeInfo.groupId !== undefined) trackTabGroupChange(tabId, changeInfo.groupId);
+    });
+    fake.chrome.tabs.onAttached.addListener((tabId) => {
+        if (!pendingTabIds.has(tabId)) releaseTab(tabId);
+    });
+    fake.chrome.tabs.onRemoved.addListener((tabId) => {
+        releaseTab(tabId);
+        releaseHeldTab(tabId);
+    });
+    fake.chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+        if (changeInfo.url) releaseHeldTab(tabId);
+    });
+    StorageManager.onChanged((changes) => {
+        if (changes.groupColors) clearGroupColorCache();
+    });
+    return fake;
+}
@@ -0,0 +1,438 @@
+import { expect } from "chai";
+import {
+    checkAndUngroupTab, groupTabsByDomain, orderTabs, previewGrouping, removeEmptyGroups, ungroupAllTabs,
+    updateExistingGroups
+} from "../src/grouping.js";
+import { installChromeFake } from "./fakes/setup.js";
+
+describe("grouping", () => {
+    let fake;
+    let chrome;
+
+    beforeEach(() => {
+        fake = installChromeFake({ windows: [{ id: 1 }, { id: 2 }] });
+        chrome = fake.chrome;
+    });
+
+    // Group tabs the way the user would, bypassing the extension's ownership tracking
+    async function groupByHand(tabs, title) {
+        const groupId = await chrome.tabs.group({ tabIds: tabs.map(tab => tab.id) });
+        await chrome.tabGroups.update(groupId, { title });
+        return groupId;
+    }
+
+    describe("groupTabsByDomain", () => {
+        it("groups tabs sharing a registrable domain", async () => {
+            await fake.openTabs(1, ["https://github.com/a", "https://bbc.co.uk/", "https://docs.github.com/b"]);
+
+            await groupTabsByDomain(1);
+
+            expect(fake.layout(1)).to.deep.equal([
+                ["https://bbc.co.uk/", null],
+                ["https://github.com/a", "github"],
+                ["https://docs.github.com/b", "github"]
+            ]);
+        });
+
+        it("names and colors groups from the first matching rule", async () => {
+            await chrome.storage.sync.set({
+                groupRules: [{ id: "1", type: "domain", pattern: "github.com", groupName: "Code" }],
+                groupColors: { Code: "blue" }
+            });
+            await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+
+            await groupTabsByDomain(1);
+
+            expect(fake.state.groups).to.have.length(1);
+            expect(fake.state.groups[0]).to.include({ title: "Code", color: "blue" });
+        });
+
+        it("adds new tabs to the existing group instead of creating another", async () => {
+            await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+            await groupTabsByDomain(1);
+            await fake.openTabs(1, ["https://github.com/c"]);
+
+            await groupTabsByDomain(1);
+
+            expect(fake.groupTitles()).to.deep.equal(["github"]);
+            expect(fake.layout(1).every(([, title]) => title === "github")).to.equal(true);
+        });
+
+        it("waits for a rule's own minimum size before creating its group", async () => {
+            await chrome.storage.sync.set({
+                groupRules: [{ id: "1", type: "domain", pattern: "github.com", groupName: "GH", minGroupSize: 3 }]
+            });
+            await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+
+            await groupTabsByDomain(1);
+            expect(fake.state.groups).to.have.length(0);
+
+            await fake.openTabs(1, ["https://github.com/c"]);
+            await groupTabsByDomain(1);
+            expect(fake.groupTitles()).to.deep.equal(["GH"]);
+        });
+
+        it("skips pinned tabs and ignored sites", async () => {
+            await chrome.storage.sync.set({ groupingOptions: { ignorePatterns: ["bbc.co.uk"] } });
+            const [pinned] = await fake.openTabs(1, ["https://github.com/a"]);
+            await chrome.tabs.update(pinned.id, { pinned: true });
+            await fake.openTabs(1, ["https://github.com/b", "https://bbc.co.uk/a", "https://bbc.co.uk/b"]);
+
+            await groupTabsByDomain(1);
+
+            expect(fake.state.groups).to.have.length(0);
+        });
+
+        it("leaves groups the user made alone", async () => {
+            const tabs = await fake.openTabs(1, ["https://github.com/a", "https://github.com/b", "https://github.com/c"]);
+            const groupId = await groupByHand(tabs.slice(0, 2), "Mine");
+
+            await groupTabsByDomain(1);
+
+            expect(fake.groupTitles()).to.deep.equal(["Mine"]);
+            expect(fake.state.tabs.find(tab => tab.id === tabs[2].id).groupId).to.equal(chrome.tabGroups.TAB_GROUP_ID_NONE);
+            expect(fake.state.tabs.filter(tab => tab.groupId === groupId)).to.have.length(2);
+        });
+
+        it("moves tabs into another window's group when consolidating", async () => {
+            await chrome.storage.sync.set({ consolidateWindows: true });
+            await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+            await groupTabsByDomain(1);
+            await fake.openTabs(2, ["https://github.com/c", "https://bbc.co.uk/"]);
+
+            await groupTabsByDomain(2);
+
+            expect(fake.groupTitles()).to.deep.equal(["github"]);
+            expect(fake.layout(1).map(([url]) => url)).to.include("https://github.com/c");
+            expect(fake.layout(2)).to.deep.equal([["https://bbc.co.uk/", null]]);
+        });
+    });
+
+    describe("planning and applying", () => {
+        it("groups many tabs with one call per group", async () => {
+            const urls = [];
+            for (let i = 0; i < 60; i++) {
+                urls.push(`https://github.com/${i}`, `https://bbc.co.uk/${i}`, `https://example.org/${i}`);
+            }
+            await fake.openTabs(1, urls);
+            fake.calls.length = 0;
+
+            await groupTabsByDomain(1);
+
+            expect(fake.groupTitles().sort()).to.deep.equal(["bbc", "example", "github"]);
+            expect(fake.calls.filter(call => call === "tabs.group")).to.have.length(3);
+            expect(fake.calls.filter(call => call === "tabGroups.update")).to.have.length(3);
+        });
+
+        it("makes no calls when nothing needs to change", async () => {
+            await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+            await groupTabsByDomain(1);
+            fake.calls.length = 0;
+
+            await groupTabsByDomain(1);
+            await updateExistingGroups();
+
+            expect(fake.calls).to.deep.equal([]);
+        });
+
+        it("ungroups a window with a single call", async () => {
+            await fake.openTabs(1, ["https://github.com/a", "https://github.com/b", "https://bbc.co.uk/a", "https://bbc.co.uk/b"]);
+            await groupTabsByDomain(1);
+            fake.calls.length = 0;
+
+            await ungroupAllTabs(1);
+
+            expect(fake.state.groups).to.have.length(0);
+            expect(fake.calls).to.deep.equal(["tabs.ungroup"]);
+        });
+
+        it("gives new groups colors no other group in the window uses", async () => {
+            await fake.openTabs(1, ["https://a.com/1", "https://a.com/2", "https://j.com/1", "https://j.com/2"]);
+
+            await groupTabsByDomain(1);
+
+            expect(fake.state.groups[0].color).to.not.equal(fake.state.groups[1].color);
+        });
+
+        it("previews grouping without changing anything", async () => {
+            await fake.openTabs(1, ["https://github.com/a", "https://github.com/b", "https://bbc.co.uk/"]);
+            fake.calls.length = 0;
+
+            const lines = await previewGrouping([1]);
+
+            expect(lines).to.have.length(1);
+            expect(lines[0]).to.match(/^Create "github" \(\w+\) with 2 tabs$/);
+            expect(fake.calls).to.deep.equal([]);
+        });
+    });
+
+    describe("orderTabs", () => {
+        beforeEach(async () => {
+            await chrome.tabs.create({ windowId: 1, url: "https://pinned.example/", pinned: true });
+            await fake.openTabs(1, [
+                "https://github.com/b", "https://example.org/", "https://bbc.co.uk/2", "https://github.com/a", "https://bbc.co.uk/1"
+            ]);
+            await groupTabsByDomain(1);
+            await chrome.storage.sync.set({ groupingOptions: { groupOrder: "alphabetical", tabOrder: "url" } });
+        });
+
+        it("puts ungrouped tabs first, then groups and their tabs in order, behind pinned tabs", async () => {
+            await orderTabs(1);
+
+            expect(fake.layout(1)).to.deep.equal([
+                ["https://pinned.example/", null],
+                ["https://example.org/", null],
+                ["https://bbc.co.uk/1", "bbc"],
+                ["https://bbc.co.uk/2", "bbc"],
+                ["https://github.com/a", "github"],
+                ["https://github.com/b", "github"]
+            ]);
+        });
+
+        it("moves ungrouped tabs to the end when configured", async () => {
+            await chrome.storage.sync.set({ groupingOptions: { ungroupedPosition: "end" } });
+
+            await orderTabs(1);
+
+            expect(fake.layout(1).map(([url]) => url).slice(-1)).to.deep.equal(["https://example.org/"]);
+        });
+
+        it("makes no calls when the window is already in order", async () => {
+            await orderTabs(1);
+            fake.calls.length = 0;
+
+            await orderTabs(1);
+
+            expect(fake.calls).to.deep.equal([]);
+        });
+
+        it("moves the user's own groups but keeps their tab order", async () => {
+            const github = fake.state.groups.find(group => group.title === "github");
+            await chrome.tabGroups.update(github.id, { title: "Mine" });
+
+            await orderTabs(1);
+
+            expect(fake.layout(1).slice(4)).to.deep.equal([
+                ["https://github.com/b", "Mine"],
+                ["https://github.com/a", "Mine"]
+            ]);
+        });
+    });
+
+    describe("removeEmptyGroups", () => {
+        it("dissolves the extension's groups that dropped below the threshold", async () => {
+            const tabs = await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+            await groupTabsByDomain(1);
+            await chrome.tabs.remove(tabs[0].id);
+
+            await removeEmptyGroups(1);
+
+            expect(fake.state.groups).to.have.length(0);
+        });
+
+        it("keeps small groups the user made", async () => {
+            const [tab] = await fake.openTabs(1, ["https://github.com/a"]);
+            await groupByHand([tab], "Reading");
+
+            await removeEmptyGroups(1);
+
+            expect(fake.groupTitles()).to.deep.equal(["Reading"]);
+        });
+
+        it("keeps locked groups", async () => {
+            const tabs = await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+            await groupTabsByDomain(1);
+            await chrome.storage.sync.set({ lockedGroups: ["github"] });
+            await chrome.tabs.remove(tabs[0].id);
+
+            await removeEmptyGroups(1);
+
+            expect(fake.groupTitles()).to.deep.equal(["github"]);
+        });
+
+        it("only touches the given window", async () => {
+            const tabs = await fake.openTabs(2, ["https://github.com/a", "https://github.com/b"]);
+            await groupTabsByDomain(2);
+            await chrome.tabs.remove(tabs[0].id);
+
+            await removeEmptyGroups(1);
+            expect(fake.groupTitles(2)).to.deep.equal(["github"]);
+
+            await removeEmptyGroups(2);
+            expect(fake.groupTitles(2)).to.deep.equal([]);
+        });
+    });
+
+    describe("checkAndUngroupTab", () => {
+        let tabs;
+
+        beforeEach(async () => {
+            tabs = await fake.openTabs(1, ["https://github.com/a", "https://github.com/b", "https://github.com/c"]);
+            await groupTabsByDomain(1);
+        });
+
+        it("removes a tab that navigated to another site from its group", async () => {
+            const tab = await chrome.tabs.update(tabs[0].id, { url: "https://bbc.co.uk/" });
+
+            await checkAndUngroupTab(tab);
+
+            expect(fake.layout(1).find(([url]) => url === "https://bbc.co.uk/")[1]).to.equal(null);
+        });
+
+        it("keeps a tab that stayed on the group's site", async () => {
+            const tab = await chrome.tabs.update(tabs[0].id, { url: "https://gist.github.com/x" });
+
+            await checkAndUngroupTab(tab);
+
+            expect(fake.layout(1).find(([url]) => url === "https://gist.github.com/x")[1]).to.equal("github");
+        });
+
+        it("removes a tab that navigated to an ignored page", async () => {
+            await chrome.storage.sync.set({ groupingOptions: { ignorePatterns: ["github.com/private/*"] } });
+            const tab = await chrome.tabs.update(tabs[0].id, { url: "https://github.com/private/repo" });
+
+            await checkAndUngroupTab(tab);
+
+            expect(fake.layout(1).find(([url]) => url === "https://github.com/private/repo")[1]).to.equal(null);
+        });
+
+        it("keeps tabs the user put in the group", async () => {
+            const [extra] = await fake.openTabs(1, ["https://bbc.co.uk/"]);
+            const groupId = fake.state.groups[0].id;
+            await chrome.tabs.group({ groupId, tabIds: [extra.id] });
+
+            await checkAndUngroupTab(await chrome.tabs.get(extra.id));
+
+            expect(fake.layout(1).find(([url]) => url === "https://bbc.co.uk/")[1]).to.equal("github");
+        });
+
+        it("ignores tabs without a group", async () => {
+            const [tab] = await fake.openTabs(1, ["https://bbc.co.uk/"]);
+            await checkAndUngroupTab(tab);
+            expect(fake.groupTitles()).to.deep.equal(["github"]);
+        });
+    });
+
+    describe("opener grouping", () => {
+        const openFrom = (opener, url) => chrome.tabs.create({ windowId: 1, url, openerTabId: opener.id });
+
+        it("keeps tabs opened from a grouped tab in its group, unless a mapping claims them", async () => {
+            await chrome.storage.sync.set({
+                groupingOptions: { openerGrouping: "join" },
+                groupRules: [{ id: "1", type: "domain", pattern: "bbc.co.uk", groupName: "News" }]
+            });
+            const [ticket] = await fake.openTabs(1, ["https://jira.com/T-1", "https://jira.com/T-2"]);
+            await groupTabsByDomain(1);
+
+            await openFrom(ticket, "https://github.com/pr/1");
+            await openFrom(ticket, "https://bbc.co.uk/");
+            await groupTabsByDomain(1);
+
+            expect(fake.groupTitles(1)).to.deep.equal(["jira"]);
+            expect(fake.layout(1).find(([url]) => url === "https://github.com/pr/1")[1]).to.equal("jira");
+            expect(fake.layout(1).find(([url]) => url === "https://bbc.co.uk/")[1]).to.equal(null);
+        });
+
+        it("groups a trail with its ungrouped opener", async () => {
+            await chrome.storage.sync.set({ groupingOptions: { openerGrouping: "trail" } });
+            const [ticket] = await fake.openTabs(1, ["https://jira.com/T-1"]);
+            await openFrom(ticket, "https://github.com/pr/1");
+
+            await groupTabsByDomain(1);
+
+            expect(fake.layout(1)).to.deep.equal([
+                ["https://jira.com/T-1", "jira"],
+                ["https://github.com/pr/1", "jira"]
+            ]);
+        });
+
+        it("lets a followed tab navigate without leaving its opener's group, until the opener closes", async () => {
+            await chrome.storage.sync.set({ groupingOptions: { openerGrouping: "join" } });
+            const [ticket] = await fake.openTabs(1, ["https://jira.com/T-1", "https://jira.com/T-2"]);
+            await groupTabsByDomain(1);
+            const child = await openFrom(ticket, "https://github.com/pr/1");
+            await groupTabsByDomain(1);
+
+            await checkAndUngroupTab(await chrome.tabs.update(child.id, { url: "https://github.com/pr/1/files" }));
+            expect(fake.layout(1).find(([url]) => url === "https://github.com/pr/1/files")[1]).to.equal("jira");
+
+            await chrome.tabs.remove(ticket.id);
+            await checkAndUngroupTab(await chrome.tabs.update(child.id, { url: "https://github.com/pr/2" }));
+            expect(fake.layout(1).find(([url]) => url === "https://github.com/pr/2")[1]).to.equal(null);
+        });
+    });
+
+    describe("updateExistingGroups", () => {
+        it("renames and recolors default-titled groups once a rule maps their domain", async () => {
+            await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+            await groupTabsByDomain(1);
+            await chrome.storage.sync.set({
+                groupRules: [{ id: "1", type: "domain", pattern: "github.com", groupName: "Code" }],
+                groupColors: { Code: "purple" }
+            });
+
+            await updateExistingGroups();
+
+            expect(fake.state.groups[0]).to.include({ title: "Code", color: "purple" });
+        });
+
+        it("updates groups in every window", async () => {
+            await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+            await fake.openTabs(2, ["https://github.com/c", "https://github.com/d"]);
+            await groupTabsByDomain(1);
+            await groupTabsByDomain(2);
+            await chrome.storage.sync.set({
+                groupRules: [{ id: "1", type: "domain", pattern: "github.com", groupName: "Code" }]
+            });
+
+            await updateExistingGroups();
+
+            expect(fake.groupTitles()).to.deep.equal(["Code", "Code"]);
+        });
+
+        it("leaves groups the user renamed", async () => {
+            await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+            await groupTabsByDomain(1);
+            await chrome.tabGroups.update(fake.state.groups[0].id, { title: "Code", color: "red" });
+            await chrome.storage.sync.set({
+                groupRules: [{ id: "1", type: "domain", pattern: "code.example", groupName: "Code" }],
+                groupColors: { Code: "blue" }
+            });
+
+            await updateExistingGroups();
+
+            expect(fake.state.groups[0]).to.include({ title: "Code", color: "red" });
+        });
+
+        it("keeps tab counts in titles current as tabs come and go", async () => {
+            await chrome.storage.sync.set({ groupingOptions: { titleTemplate: "{name} ({count})" } });
+            await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+            await groupTabsByDomain(1);
+            expect(fake.groupTitles()).to.deep.equal(["github (2)"]);
+
+            await fake.openTabs(1, ["https://github.com/c"]);
+            await groupTabsByDomain(1);
+            expect(fake.groupTitles()).to.deep.equal(["github (3)"]);
+
+            await chrome.tabs.remove(fake.state.tabs[0].id);
+            await updateExistingGroups(1);
+            expect(fake.groupTitles()).to.deep.equal(["github (2)"]);
+        });
+
+        it("recolors a group that shares its color with a neighbor, once", async () => {
+            // "a" and "j" hash to the same palette color
+            await chrome.storage.sync.set({ groupingOptions: { colorStrategy: "name" } });
+            await fake.openTabs(1, ["https://a.com/1", "https://a.com/2", "https://j.com/1", "https://j.com/2"]);
+            await groupTabsByDomain(1);
+            expect(fake.state.groups[0].color).to.equal(fake.state.groups[1].color);
+
+            await chrome.storage.sync.set({ groupingOptions: { colorStrategy: "distinct" } });
+            await updateExistingGroups(1);
+            expect(fake.state.groups[0].color).to.not.equal(fake.state.groups[1].color);
+
+            fake.calls.length = 0;
+            await updateExistingGroups(1);
+            expect(fake.calls).to.deep.equal([]);
+        });
+    });
+});
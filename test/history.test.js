@@ -0,0 +1,101 @@
+import { expect } from "chai";
+import { getActivityLog } from "../src/activity.js";
+import { groupTabsByDomain, ungroupAllTabs } from "../src/grouping.js";
+import { getHistory, redoOperation, undoOperation, withHistory } from "../src/history.js";
+import { installChromeFake } from "./fakes/setup.js";
+
+describe("undo history", () => {
+    let fake;
+    let chrome;
+
+    beforeEach(() => {
+        fake = installChromeFake();
+        chrome = fake.chrome;
+    });
+
+    const urls = ["https://github.com/a", "https://github.com/b", "https://bbc.co.uk/", "https://bbc.co.uk/news"];
+
+    it("undoes ungrouping all tabs, restoring membership, titles, colors and collapsed state", async () => {
+        await fake.openTabs(1, urls);
+        await groupTabsByDomain(1);
+        const [github] = await chrome.tabGroups.query({ title: "github" });
+        await chrome.tabGroups.update(github.id, { collapsed: true });
+        const before = fake.layout(1);
+
+        await withHistory("Ungroup tabs", () => ungroupAllTabs(1));
+        expect(fake.groupTitles(1)).to.deep.equal([]);
+
+        expect(await undoOperation()).to.equal("Ungroup tabs");
+
+        expect(fake.layout(1)).to.deep.equal(before);
+        const restored = await chrome.tabGroups.query({ title: "github" });
+        expect(restored[0]).to.include({ color: github.color, collapsed: true });
+        const [entry] = (await getActivityLog()).filter(logged => logged.action === "undo");
+        expect(entry).to.include({ label: "Ungroup tabs" });
+    });
+
+    it("keeps recreated groups the extension's, so later passes still manage them", async () => {
+        await fake.openTabs(1, urls);
+        await groupTabsByDomain(1);
+        await withHistory("Ungroup tabs", () => ungroupAllTabs(1));
+        await undoOperation();
+
+        await fake.openTabs(1, ["https://github.com/c"]);
+        await groupTabsByDomain(1);
+
+        expect(fake.groupTitles(1)).to.deep.equal(["github", "bbc"]);
+        expect(fake.layout(1).filter(([, title]) => title === "github")).to.have.length(3);
+    });
+
+    it("redoes an undone operation, and forgets redos once something new is recorded", async () => {
+        await fake.openTabs(1, urls);
+        await groupTabsByDomain(1);
+        await withHistory("Ungroup tabs", () => ungroupAllTabs(1));
+        await undoOperation();
+
+        expect(await redoOperation()).to.equal("Ungroup tabs");
+        expect(fake.groupTitles(1)).to.deep.equal([]);
+
+        await undoOperation();
+        await withHistory("Ungroup tabs", () => ungroupAllTabs(1));
+        expect((await getHistory()).redo).to.deep.equal([]);
+        expect(await redoOperation()).to.equal(null);
+    });
+
+    it("records nothing for operations that change nothing", async () => {
+        await fake.openTabs(1, urls);
+        await withHistory("Ungroup tabs", () => ungroupAllTabs(1));
+
+        expect((await getHistory()).undo).to.deep.equal([]);
+        expect(await undoOperation()).to.equal(null);
+    });
+
+    it("keeps tabs an undo ungrouped out of grouping until they navigate", async () => {
+        const tabs = await fake.openTabs(1, urls);
+        await withHistory("Group tabs", () => groupTabsByDomain(1));
+        await undoOperation();
+
+        await groupTabsByDomain(1);
+        expect(fake.groupTitles(1)).to.deep.equal([]);
+
+        await chrome.tabs.update(tabs[0].id, { url: "https://github.com/c" });
+        await chrome.tabs.update(tabs[1].id, { url: "https://github.com/d" });
+        await groupTabsByDomain(1);
+        expect(fake.groupTitles(1)).to.deep.equal(["github"]);
+    });
+
+    it("skips tabs closed since the operation", async () => {
+        const tabs = await fake.openTabs(1, urls);
+        await groupTabsByDomain(1);
+        await withHistory("Ungroup tabs", () => ungroupAllTabs(1));
+        await chrome.tabs.remove(tabs[0].id);
+
+        await undoOperation();
+
+        expect(Object.fromEntries(fake.layout(1))).to.deep.equal({
+            "https://github.com/b": "github",
+            "https://bbc.co.uk/": "bbc",
+            "https://bbc.co.uk/news": "bbc"
+        });
+    });
+});
@@ -0,0 +1,122 @@
+import { expect } from "chai";
+import { groupTabs, groupTabsByDomain } from "../src/grouping.js";
+import { updateActionBadge } from "../src/limits.js";
+import { setGroupLocked } from "../src/ownership.js";
+import { LocalStorageManager, StorageManager } from "../src/storage.js";
+import { installChromeFake } from "./fakes/setup.js";
+
+describe("tab limits", () => {
+    let fake;
+    let chrome;
+
+    const github = count => Array.from({ length: count }, (_, index) => `https://github.com/${index}`);
+    const setOptions = options => StorageManager.set("groupingOptions", options);
+
+    beforeEach(() => {
+        fake = installChromeFake({ windows: [{ id: 1 }, { id: 2 }] });
+        chrome = fake.chrome;
+    });
+
+    describe("split", () => {
+        it("spills tabs past a group's cap into numbered groups once there are enough to form one", async () => {
+            await setOptions({ maxGroupTabs: 2, overflowPolicy: "split" });
+            await fake.openTabs(1, github(5));
+
+            await groupTabs(1);
+
+            expect(fake.layout(1).map(([, title]) => title)).to.deep.equal([null, "github", "github", "github 2", "github 2"]);
+        });
+
+        it("moves the newest tabs of a group that grew past its cap, using the mapping's own cap", async () => {
+            await StorageManager.set("groupRules", [{ id: "r1", type: "domain", pattern: "github.com", groupName: "Code", maxTabs: 2 }]);
+            const tabs = await fake.openTabs(1, github(4));
+            await groupTabsByDomain(1);
+            expect(fake.groupTitles(1)).to.deep.equal(["Code"]);
+
+            await setOptions({ maxGroupTabs: 10, overflowPolicy: "split" });
+            await groupTabs(1);
+
+            expect(fake.layout(1)).to.deep.equal([
+                [tabs[0].url, "Code"],
+                [tabs[1].url, "Code"],
+                [tabs[2].url, "Code 2"],
+                [tabs[3].url, "Code 2"]
+            ]);
+        });
+    });
+
+    it("discards the least recently used loaded tabs, sparing the active tab", async () => {
+        await setOptions({ maxGroupTabs: 2, overflowPolicy: "discard" });
+        const tabs = await fake.openTabs(1, github(4));
+        for (const [index, tab] of tabs.entries()) {
+            await chrome.tabs.update(tab.id, { lastAccessed: 1000 + index, active: index === 0 });
+        }
+
+        await groupTabs(1);
+
+        const discarded = (await chrome.tabs.query({ windowId: 1 })).map(tab => tab.discarded);
+        expect(discarded).to.deep.equal([false, true, true, false]);
+    });
+
+    it("closes the oldest tabs past the total limit, keeping them in the restore list with their group", async () => {
+        await setOptions({ maxTotalTabs: 3, overflowPolicy: "close" });
+        const tabs = await fake.openTabs(1, [...github(2), "https://bbc.co.uk/", "https://gitlab.com/", "https://gitlab.com/b"]);
+        const lastAccessed = [1003, 1000, 1002, 1001, 1004];
+        for (const [index, tab] of tabs.entries()) {
+            await chrome.tabs.update(tab.id, { lastAccessed: lastAccessed[index], pinned: index === 1 });
+        }
+
+        await groupTabs(1);
+
+        const urls = (await chrome.tabs.query({ windowId: 1 })).map(tab => tab.url);
+        expect(urls).to.have.members(["https://github.com/0", "https://github.com/1", "https://gitlab.com/b"]);
+        const closedTabs = await LocalStorageManager.get("closedTabs", []);
+        expect(closedTabs.map(({ url, groupTitle }) => [url, groupTitle])).to.deep.equal([
+            ["https://gitlab.com/", "gitlab"],
+            ["https://bbc.co.uk/", undefined]
+        ]);
+    });
+
+    it("never closes tabs in a locked group for the total limit", async () => {
+        await setOptions({ maxTotalTabs: 2, overflowPolicy: "close" });
+        await fake.openTabs(1, [...github(3), "https://bbc.co.uk/", "https://gitlab.com/"]);
+        await groupTabsByDomain(1);
+        const [group] = await chrome.tabGroups.query({ windowId: 1 });
+        await setGroupLocked(group.id, true);
+
+        await groupTabs(1);
+
+        const urls = (await chrome.tabs.query({ windowId: 1 })).map(tab => tab.url);
+        expect(urls).to.deep.equal(github(3));
+    });
+
+    describe("updateActionBadge", () => {
+        it("shows the group and tab counts across all windows", async () => {
+            await fake.openTabs(1, github(2));
+            await fake.openTabs(2, ["https://bbc.co.uk/"]);
+            await groupTabsByDomain(1);
+
+            await updateActionBadge();
+
+            expect(fake.state.badge).to.include({ text: "1/3", title: "Tab Grouper: 1 group, 3 tabs" });
+        });
+
+        it("warns about the extension's groups and the total over their caps under the warn policy", async () => {
+            await setOptions({ maxGroupTabs: 2, maxTotalTabs: 5 });
+            await fake.openTabs(1, github(3));
+            const userTabs = await fake.openTabs(1, ["https://bbc.co.uk/", "https://bbc.co.uk/a", "https://bbc.co.uk/b"]);
+            await groupTabs(1);
+            const groupId = await chrome.tabs.group({ tabIds: userTabs.map(tab => tab.id) });
+            await chrome.tabGroups.update(groupId, { title: "Mine" });
+
+            await updateActionBadge();
+
+            expect(fake.state.badge.color).to.equal("#e06c75");
+            expect(fake.state.badge.title.split("\n")).to.deep.equal([
+                "Tab Grouper: 2 groups, 6 tabs",
+                "\"github\" has 3 tabs, over its limit of 2",
+                "6 tabs are open, over the limit of 5"
+            ]);
+        });
+    });
+});
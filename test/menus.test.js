@@ -0,0 +1,133 @@
+import { expect } from "chai";
+import { groupTabsByDomain } from "../src/grouping.js";
+import { buildContextMenus, handleContextMenuClick, moveTabToGroup, neverGroupSite, ungroupTabGroup } from "../src/menus.js";
+import { StorageManager } from "../src/storage.js";
+import { installChromeFake } from "./fakes/setup.js";
+
+describe("context menus", () => {
+    let fake;
+    let chrome;
+
+    beforeEach(() => {
+        fake = installChromeFake({ windows: [{ id: 1 }, { id: 2 }] });
+        chrome = fake.chrome;
+    });
+
+    const tabAt = async (windowId, url) => (await chrome.tabs.query({ windowId })).find(tab => tab.url === url);
+
+    describe("buildContextMenus", () => {
+        it("lists every open group title once under the move entry", async () => {
+            await fake.openTabs(1, ["https://github.com/a", "https://github.com/b", "https://bbc.co.uk/", "https://bbc.co.uk/news"]);
+            await fake.openTabs(2, ["https://github.com/c", "https://github.com/d"]);
+            await groupTabsByDomain(1);
+            await groupTabsByDomain(2);
+
+            await buildContextMenus();
+
+            expect(fake.state.menus.map(item => item.id)).to.deep.equal([
+                "alwaysGroupSite", "moveTabToGroup", "moveTabToGroup:bbc", "moveTabToGroup:github", "neverGroupSite", "ungroupGroup"
+            ]);
+            expect(fake.state.menus.find(item => item.id === "alwaysGroupSite").contexts).to.include("link");
+        });
+
+        it("replaces the previous menus and disables the move entry without groups", async () => {
+            await buildContextMenus();
+            await buildContextMenus();
+
+            expect(fake.state.menus).to.have.length(4);
+            expect(fake.state.menus.find(item => item.id === "moveTabToGroup").enabled).to.equal(false);
+        });
+    });
+
+    describe("neverGroupSite", () => {
+        it("adds the site's domain to the ignore list and takes its tabs out of the extension's groups", async () => {
+            await StorageManager.set("groupingOptions", { minGroupSize: 2, ignorePatterns: ["example.com"] });
+            await fake.openTabs(1, ["https://github.com/a", "https://docs.github.com/b", "https://bbc.co.uk/", "https://bbc.co.uk/news"]);
+            await groupTabsByDomain(1);
+
+            await neverGroupSite("https://docs.github.com/page");
+
+            const options = await StorageManager.get("groupingOptions");
+            expect(options).to.deep.equal({ minGroupSize: 2, ignorePatterns: ["example.com", "github.com"] });
+            expect(Object.fromEntries(fake.layout(1))).to.deep.equal({
+                "https://github.com/a": null,
+                "https://docs.github.com/b": null,
+                "https://bbc.co.uk/": "bbc",
+                "https://bbc.co.uk/news": "bbc"
+            });
+        });
+
+        it("leaves tabs the user grouped alone", async () => {
+            const tabs = await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+            const groupId = await chrome.tabs.group({ tabIds: tabs.map(tab => tab.id) });
+            await chrome.tabGroups.update(groupId, { title: "Mine" });
+
+            await neverGroupSite("https://github.com/");
+
+            expect(fake.layout(1).map(([, title]) => title)).to.deep.equal(["Mine", "Mine"]);
+        });
+    });
+
+    describe("moveTabToGroup", () => {
+        it("prefers the group with that title in the tab's own window", async () => {
+            await fake.openTabs(1, ["https://github.com/a", "https://github.com/b", "https://bbc.co.uk/"]);
+            await fake.openTabs(2, ["https://github.com/c", "https://github.com/d"]);
+            await groupTabsByDomain(1);
+            await groupTabsByDomain(2);
+
+            await moveTabToGroup(await tabAt(1, "https://bbc.co.uk/"), "github");
+
+            const movedTab = await tabAt(1, "https://bbc.co.uk/");
+            const group = await chrome.tabGroups.get(movedTab.groupId);
+            expect(group).to.include({ title: "github", windowId: 1 });
+        });
+
+        it("keeps the moved tab there on the next grouping pass", async () => {
+            await fake.openTabs(1, ["https://github.com/a", "https://github.com/b", "https://bbc.co.uk/"]);
+            await groupTabsByDomain(1);
+
+            await moveTabToGroup(await tabAt(1, "https://bbc.co.uk/"), "github");
+            await groupTabsByDomain(1);
+
+            expect(fake.layout(1).every(([, title]) => title === "github")).to.equal(true);
+        });
+    });
+
+    describe("ungroupTabGroup", () => {
+        it("ungroups every tab in the clicked tab's group", async () => {
+            await fake.openTabs(1, ["https://github.com/a", "https://github.com/b", "https://bbc.co.uk/", "https://bbc.co.uk/news"]);
+            await groupTabsByDomain(1);
+
+            await ungroupTabGroup(await tabAt(1, "https://github.com/a"));
+
+            expect(fake.groupTitles(1)).to.deep.equal(["bbc"]);
+        });
+
+        it("leaves locked groups alone", async () => {
+            await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+            await groupTabsByDomain(1);
+            await StorageManager.set("lockedGroups", ["github"]);
+
+            const originalWarn = console.warn;
+            console.warn = () => {};
+            try {
+                await ungroupTabGroup(await tabAt(1, "https://github.com/a"));
+            } finally {
+                console.warn = originalWarn;
+            }
+
+            expect(fake.groupTitles(1)).to.deep.equal(["github"]);
+        });
+    });
+
+    describe("handleContextMenuClick", () => {
+        it("opens the mapping form prefilled with the link's domain", async () => {
+            await handleContextMenuClick({ menuItemId: "alwaysGroupSite", linkUrl: "https://docs.github.com/x", pageUrl: "https://bbc.co.uk/" });
+
+            const [formTab] = await chrome.tabs.query({ windowId: 3 });
+            const params = new URL(formTab.url).searchParams;
+            expect(fake.state.windows.find(window => window.id === 3).type).to.equal("popup");
+            expect([params.get("domain"), params.get("groupName")]).to.deep.equal(["github.com", "github"]);
+        });
+    });
+});
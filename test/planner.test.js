@@ -0,0 +1,249 @@
+import { expect } from "chai";
+import {
+    applyOpenerNames, applyOverflowNames, describeOperation, diffGroupingState, getGroupTitle, isGroupTitledAs, planDomainGroups, planTabOrder
+} from "../src/planner.js";
+import { DEFAULT_GROUPING_OPTIONS } from "../src/rules.js";
+
+const NONE = -1;
+
+function plan(tabs, groups, overrides = {}) {
+    return planDomainGroups({
+        tabs,
+        groups,
+        groupNames: new Map(tabs.map(tab => [tab.id, tab.name])),
+        colors: new Map([["github", "blue"], ["bbc", "red"]]),
+        windowId: 1,
+        consolidate: false,
+        groupRules: [],
+        options: DEFAULT_GROUPING_OPTIONS,
+        ownership: { groups: {}, tabs: {} },
+        ...overrides
+    });
+}
+
+const ids = desiredGroup => desiredGroup.tabs.map(tab => tab.id);
+
+describe("planner", () => {
+    describe("getGroupTitle", () => {
+        const groupRules = [{ groupName: "Code", emoji: "💻", abbreviation: "C" }];
+
+        it("fills the template with the name, tab count and the mapping's emoji", () => {
+            expect(getGroupTitle("github")).to.equal("github");
+            expect(getGroupTitle("github", { count: 3, template: "{name} ({count})" })).to.equal("github (3)");
+            expect(getGroupTitle("docs", { count: 2, groupRules, template: "{emoji} {name}" })).to.equal("docs");
+            expect(getGroupTitle("Code: docs", { count: 2, groupRules, template: "{name} · {count}" })).to.equal("💻 C: docs · 2");
+            expect(getGroupTitle("Code", { groupRules, template: "{name} {emoji}" })).to.equal("C 💻");
+        });
+
+        it("cuts long names short unless the mapping abbreviates them", () => {
+            expect(getGroupTitle("a very long group name indeed")).to.equal("a very long group n…");
+            expect(isGroupTitledAs({ title: "github (2)" }, "github", { count: 2, template: "{name} ({count})" })).to.equal(true);
+            expect(isGroupTitledAs({ title: "github (3)" }, "github", { count: 2, template: "{name} ({count})" })).to.equal(false);
+        });
+    });
+
+    describe("planDomainGroups", () => {
+        it("plans a new group once enough tabs share a name", () => {
+            const tabs = [
+                { id: 1, windowId: 1, groupId: NONE, name: "github" },
+                { id: 2, windowId: 1, groupId: NONE, name: "github" },
+                { id: 3, windowId: 1, groupId: NONE, name: "bbc" },
+                { id: 4, windowId: 1, groupId: NONE, name: null }
+            ];
+            const desired = plan(tabs, []);
+            expect(desired).to.have.length(1);
+            expect(desired[0]).to.include({ groupName: "github", groupId: null, windowId: 1, title: "github", color: "blue" });
+            expect(ids(desired[0])).to.deep.equal([1, 2]);
+        });
+
+        it("keeps a matching group's tabs and adds single tabs, preferring the triggering window", () => {
+            const groups = [{ id: 20, windowId: 2, title: "bbc" }, { id: 10, windowId: 1, title: "bbc" }];
+            const tabs = [
+                { id: 1, windowId: 1, groupId: 10, name: "bbc" },
+                { id: 3, windowId: 1, groupId: NONE, name: "bbc" }
+            ];
+            const desired = plan(tabs, groups);
+            expect(desired).to.have.length(1);
+            expect(desired[0]).to.include({ groupId: 10, windowId: 1 });
+            expect(ids(desired[0])).to.deep.equal([1, 3]);
+        });
+
+        it("only pulls in other windows' tabs the extension grouped, and only when consolidating", () => {
+            const groups = [{ id: 10, windowId: 1, title: "bbc" }, { id: 20, windowId: 2, title: "bbc" }];
+            const tabs = [
+                { id: 1, windowId: 1, groupId: 10, name: "bbc" },
+                { id: 2, windowId: 2, groupId: 20, name: "bbc" },
+                { id: 3, windowId: 2, groupId: 20, name: "bbc" }
+            ];
+            const ownership = { groups: { 10: {}, 20: {} }, tabs: { 1: 10, 2: 20 } };
+
+            expect(ids(plan(tabs, groups, { ownership })[0])).to.deep.equal([1]);
+            expect(ids(plan(tabs, groups, { ownership, consolidate: true })[0])).to.deep.equal([1, 2]);
+        });
+    });
+
+    describe("applyOverflowNames", () => {
+        it("numbers ungrouped tabs past a group's cap under the split policy, counting its members", () => {
+            const groups = [{ id: 10, windowId: 1, title: "github" }];
+            const tabs = [
+                { id: 1, groupId: 10, name: "github" },
+                { id: 2, groupId: 10, name: "github" },
+                { id: 3, groupId: NONE, name: "github" },
+                { id: 4, groupId: NONE, name: "bbc" },
+                { id: 5, groupId: NONE, name: "github" },
+                { id: 6, groupId: NONE, name: "github" }
+            ];
+            const names = overflowPolicy => {
+                const result = applyOverflowNames({
+                    tabs,
+                    groupNames: new Map(tabs.map(tab => [tab.id, tab.name])),
+                    groups,
+                    groupRules: [],
+                    options: { ...DEFAULT_GROUPING_OPTIONS, maxGroupTabs: 2, overflowPolicy },
+                    ownership: { groups: { 10: { name: "github" } }, tabs: {} }
+                });
+                return tabs.map(tab => result.get(tab.id));
+            };
+
+            expect(names("split")).to.deep.equal(["github", "github", "github 2", "bbc", "github 2", "github 3"]);
+            expect(names("warn")).to.deep.equal(["github", "github", "github", "bbc", "github", "github"]);
+        });
+    });
+
+    describe("applyOpenerNames", () => {
+        // A Jira ticket in the extension's "jira" group, a PR opened from it and a page opened from the PR
+        const groups = [{ id: 10, windowId: 1, title: "jira" }];
+        const tabs = [
+            { id: 1, groupId: 10, url: "https://jira.com/T-1", name: "jira" },
+            { id: 2, groupId: NONE, url: "https://github.com/pr/1", name: "github", openerTabId: 1 },
+            { id: 3, groupId: NONE, url: "https://docs.rs/x", name: "docs", openerTabId: 2 },
+            { id: 4, groupId: NONE, url: "https://bbc.co.uk/", name: "bbc" },
+            { id: 5, groupId: NONE, url: "https://news.ycombinator.com/", name: "ycombinator", openerTabId: 4 }
+        ];
+        const names = (overrides = {}) => {
+            const { openerGrouping, ...rest } = overrides;
+            const result = applyOpenerNames({
+                tabs,
+                groupNames: new Map(tabs.map(tab => [tab.id, tab.name])),
+                groups,
+                groupRules: [],
+                options: { ...DEFAULT_GROUPING_OPTIONS, openerGrouping },
+                ownership: { groups: { 10: { name: "jira" } }, tabs: {} },
+                ...rest
+            });
+            return tabs.map(tab => result.get(tab.id));
+        };
+
+        it("changes nothing while opener grouping is off", () => {
+            expect(names({ openerGrouping: "off" })).to.deep.equal(["jira", "github", "docs", "bbc", "ycombinator"]);
+        });
+
+        it("follows openers into the extension's groups, through tabs that followed theirs", () => {
+            expect(names({ openerGrouping: "join" })).to.deep.equal(["jira", "jira", "jira", "bbc", "ycombinator"]);
+        });
+
+        it("builds trails from ungrouped openers, named after the tab they started from", () => {
+            expect(names({ openerGrouping: "trail" })).to.deep.equal(["jira", "jira", "jira", "bbc", "bbc"]);
+        });
+
+        it("lets a matching mapping win unless it gives the opener precedence", () => {
+            const githubRule = { id: "r1", type: "domain", pattern: "github.com", groupName: "github" };
+
+            expect(names({ openerGrouping: "join", groupRules: [githubRule] })).to.deep.equal(["jira", "github", "docs", "bbc", "ycombinator"]);
+            expect(names({ openerGrouping: "join", groupRules: [{ ...githubRule, precedence: "opener" }] }))
+                .to.deep.equal(["jira", "jira", "jira", "bbc", "ycombinator"]);
+        });
+
+        it("never follows openers in the user's own groups, starting trails after them", () => {
+            expect(names({ openerGrouping: "join", groups: [] })).to.deep.equal(["jira", "github", "docs", "bbc", "ycombinator"]);
+            expect(names({ openerGrouping: "trail", groups: [] })).to.deep.equal(["jira", "github", "github", "bbc", "bbc"]);
+        });
+    });
+
+    describe("diffGroupingState", () => {
+        const groups = [{ id: 10, windowId: 1, title: "github", color: "blue" }];
+
+        it("issues nothing when the browser already matches the plan", () => {
+            const tabs = [{ id: 1, windowId: 1, groupId: 10 }, { id: 2, windowId: 1, groupId: 10 }];
+            const desired = [{ groupName: "github", groupId: 10, windowId: 1, title: "github", color: "blue", tabs }];
+            expect(diffGroupingState(desired, groups)).to.deep.equal([]);
+        });
+
+        it("batches moves per window and grouping per group, moves first", () => {
+            const desired = [
+                {
+                    groupName: "github", groupId: 10, windowId: 1, title: "github", color: "blue",
+                    tabs: [{ id: 1, windowId: 1, groupId: 10 }, { id: 2, windowId: 2, groupId: NONE }, { id: 3, windowId: 2, groupId: NONE }]
+                },
+                {
+                    groupName: "bbc", groupId: null, windowId: 1, title: "bbc", color: "red",
+                    tabs: [{ id: 4, windowId: 1, groupId: NONE }, { id: 5, windowId: 2, groupId: NONE }]
+                }
+            ];
+            expect(diffGroupingState(desired, groups)).to.deep.equal([
+                { type: "move", tabIds: [2, 3, 5], windowId: 1 },
+                { type: "join", tabIds: [2, 3], groupId: 10, title: "github" },
+                { type: "create", tabIds: [4, 5], windowId: 1, groupName: "bbc", title: "bbc", color: "red" }
+            ]);
+        });
+
+        it("updates only groups whose title or color differ", () => {
+            const tabs = [{ id: 1, windowId: 1, groupId: 10 }];
+            const desired = [{ groupName: "Code", groupId: 10, windowId: 1, title: "Code", color: "blue", tabs }];
+            expect(diffGroupingState(desired, groups)).to.deep.equal([
+                { type: "update", groupId: 10, groupName: "Code", title: "Code", color: "blue", previousTitle: "github" }
+            ]);
+        });
+    });
+
+    describe("planTabOrder", () => {
+        const groups = [{ id: 10, title: "bbc" }, { id: 20, title: "github" }, { id: 30, title: "docs" }];
+        const tabs = [
+            { id: 1, groupId: NONE, pinned: true, url: "https://pinned/" },
+            { id: 2, groupId: 10, url: "https://bbc.co.uk/z", lastAccessed: 5 },
+            { id: 3, groupId: NONE, url: "https://example.org/" },
+            { id: 4, groupId: 20, url: "https://github.com/a", lastAccessed: 1 },
+            { id: 5, groupId: 10, url: "https://bbc.co.uk/a", lastAccessed: 2 },
+            { id: 6, groupId: 30, url: "https://docs.rs/", lastAccessed: 3 }
+        ];
+        const order = (options, overrides = {}) => planTabOrder({
+            tabs, groups, groupRules: [], sortableGroupIds: [10], options: { ...DEFAULT_GROUPING_OPTIONS, ...options }, ...overrides
+        });
+
+        it("keeps the current order by default, with ungrouped tabs first and pinned tabs left out", () => {
+            expect(order({})).to.deep.equal([
+                { groupId: NONE, tabIds: [3] },
+                { groupId: 10, tabIds: [2, 5] },
+                { groupId: 20, tabIds: [4] },
+                { groupId: 30, tabIds: [6] }
+            ]);
+        });
+
+        it("sorts groups, and the tabs of sortable groups, with ungrouped tabs at the end", () => {
+            expect(order({ groupOrder: "alphabetical", tabOrder: "url", ungroupedPosition: "end" })).to.deep.equal([
+                { groupId: 10, tabIds: [5, 2] },
+                { groupId: 30, tabIds: [6] },
+                { groupId: 20, tabIds: [4] },
+                { groupId: NONE, tabIds: [3] }
+            ]);
+        });
+
+        it("orders groups by tab count, recent activity or mapping priority", () => {
+            const groupIds = blocks => blocks.map(block => block.groupId).filter(id => id !== NONE);
+            expect(groupIds(order({ groupOrder: "tabCount" }))).to.deep.equal([10, 30, 20]);
+            expect(groupIds(order({ groupOrder: "recent" }))).to.deep.equal([10, 30, 20]);
+
+            const groupRules = [{ groupName: "github", priority: 1 }, { groupName: "docs", priority: 2 }];
+            expect(groupIds(order({ groupOrder: "priority" }, { groupRules }))).to.deep.equal([20, 30, 10]);
+        });
+    });
+
+    it("describes operations for the dry-run preview", () => {
+        expect(describeOperation({ type: "create", tabIds: [1, 2], windowId: 1, title: "bbc", color: "red" }))
+            .to.equal('Create "bbc" (red) with 2 tabs');
+        expect(describeOperation({ type: "join", tabIds: [3], groupId: 10, title: "github" })).to.equal('Add 1 tab to "github"');
+        expect(describeOperation({ type: "move", tabIds: [2, 3], windowId: 4 })).to.equal("Move 2 tabs to window 4");
+        expect(describeOperation({ type: "update", groupId: 10, title: "Code", color: "blue", previousTitle: "github" }))
+            .to.equal('Rename "github" to "Code"');
+    });
+});
@@ -0,0 +1,104 @@
+import { expect } from "chai";
+import { groupTabsByDomain, removeEmptyGroups } from "../src/grouping.js";
+import { OperationQueue, tabOperationQueue } from "../src/queue.js";
+import { installChromeFake } from "./fakes/setup.js";
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe("tabOperationQueue", () => {
+    let fake;
+
+    beforeEach(() => {
+        fake = installChromeFake({ windows: [{ id: 1 }, { id: 2 }] });
+    });
+
+    it("runs operations one at a time in the order they were queued", async () => {
+        const queue = new OperationQueue();
+        const log = [];
+        const operation = (name, ms) => async () => {
+            log.push(`start ${name}`);
+            await wait(ms);
+            log.push(`end ${name}`);
+        };
+
+        await Promise.all([queue.enqueue(operation("a", 10)), queue.enqueue(operation("b", 0))]);
+
+        expect(log).to.deep.equal(["start a", "end a", "start b", "end b"]);
+    });
+
+    it("keeps processing after an operation fails", async () => {
+        const queue = new OperationQueue();
+        const log = [];
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            await Promise.all([
+                queue.enqueue(async () => { throw new Error("boom"); }),
+                queue.enqueue(async () => log.push("after failure"))
+            ]);
+        } finally {
+            console.error = originalError;
+        }
+
+        expect(log).to.deep.equal(["after failure"]);
+        expect(queue.processing).to.equal(false);
+    });
+
+    it("runs operations queued by a running operation in the same pass", async () => {
+        const queue = new OperationQueue();
+        const log = [];
+
+        await queue.enqueue(async () => {
+            queue.enqueue(async () => log.push("nested"));
+            log.push("outer");
+        });
+
+        expect(log).to.deep.equal(["outer", "nested"]);
+    });
+
+    it("creates one group when grouping passes for a window overlap", async () => {
+        await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+
+        // Two tab loads in quick succession, each queueing a grouping pass
+        await Promise.all([
+            tabOperationQueue.enqueue(() => groupTabsByDomain(1)),
+            tabOperationQueue.enqueue(() => groupTabsByDomain(1))
+        ]);
+
+        expect(fake.groupTitles()).to.deep.equal(["github"]);
+    });
+
+    it("cleans up after grouping that was queued first has finished", async () => {
+        const tabs = await fake.openTabs(1, ["https://github.com/a", "https://github.com/b", "https://bbc.co.uk/"]);
+        await groupTabsByDomain(1);
+
+        // A tab closes while another grouping pass is queued; cleanup must see that pass's result
+        await fake.chrome.tabs.remove(tabs[0].id);
+        await Promise.all([
+            tabOperationQueue.enqueue(() => groupTabsByDomain(1)),
+            tabOperationQueue.enqueue(() => removeEmptyGroups(1))
+        ]);
+
+        expect(fake.state.groups).to.have.length(0);
+    });
+
+    it("survives a tab closing while its grouping pass runs", async () => {
+        const tabs = await fake.openTabs(1, ["https://github.com/a", "https://github.com/b", "https://github.com/c"]);
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            const grouping = tabOperationQueue.enqueue(() => groupTabsByDomain(1));
+            await fake.chrome.tabs.remove(tabs[2].id);
+            await grouping;
+        } finally {
+            console.error = originalError;
+        }
+
+        // The next pass groups whatever is left
+        await tabOperationQueue.enqueue(() => groupTabsByDomain(1));
+        expect(fake.layout(1)).to.deep.equal([
+            ["https://github.com/a", "github"],
+            ["https://github.com/b", "github"]
+        ]);
+    });
+});
@@ -0,0 +1,101 @@
+import { expect } from "chai";
+import {
+    DEFAULT_GROUPING_OPTIONS, findMatchingRule, getGroupNameForUrl, getGroupPriority, getMaxGroupTabs, getMinGroupSize,
+    getUngroupThreshold, isTabGroupable, validateRules
+} from "../src/rules.js";
+
+const rule = (type, pattern, groupName, extra = {}) => ({ id: `${type}:${pattern}`, type, pattern, groupName, ...extra });
+
+describe("rules", () => {
+    describe("findMatchingRule", () => {
+        it("matches each rule type against its part of the URL", () => {
+            const url = "https://docs.github.com/en/actions?tab=logs";
+            expect(findMatchingRule(url, [rule("domain", "github.com", "GH")])).to.have.property("groupName", "GH");
+            expect(findMatchingRule(url, [rule("host", "docs.*", "Docs")])).to.have.property("groupName", "Docs");
+            expect(findMatchingRule(url, [rule("path", "docs.github.com/en", "En")])).to.have.property("groupName", "En");
+            expect(findMatchingRule(url, [rule("query", "tab=log*", "Logs")])).to.have.property("groupName", "Logs");
+            expect(findMatchingRule(url, [rule("regex", "/actions\\b", "CI")])).to.have.property("groupName", "CI");
+        });
+
+        it("returns the first matching rule", () => {
+            const rules = [rule("path", "github.com/org/*", "Org"), rule("domain", "github.com", "GH")];
+            expect(findMatchingRule("https://github.com/org/repo", rules).groupName).to.equal("Org");
+            expect(findMatchingRule("https://github.com/other", rules).groupName).to.equal("GH");
+        });
+
+        it("skips rules with invalid patterns", () => {
+            const originalWarn = console.warn;
+            console.warn = () => {};
+            try {
+                expect(findMatchingRule("https://example.com/", [rule("regex", "(", "Broken")])).to.equal(null);
+            } finally {
+                console.warn = originalWarn;
+            }
+        });
+    });
+
+    describe("getGroupNameForUrl", () => {
+        it("falls back to the domain without its public suffix", async () => {
+            expect(await getGroupNameForUrl("https://news.bbc.co.uk/a", [])).to.equal("bbc");
+        });
+
+        it("appends the hostname or subdomain for finer-grained rules", async () => {
+            const byHostname = [rule("domain", "github.com", "GH", { groupBy: "hostname" })];
+            const bySubdomain = [rule("domain", "github.com", "GH", { groupBy: "subdomain" })];
+            expect(await getGroupNameForUrl("https://api.docs.github.com/", byHostname)).to.equal("GH: api.docs");
+            expect(await getGroupNameForUrl("https://api.docs.github.com/", bySubdomain)).to.equal("GH: docs");
+            expect(await getGroupNameForUrl("https://github.com/", bySubdomain)).to.equal("GH");
+        });
+    });
+
+    describe("grouping options", () => {
+        const options = { ...DEFAULT_GROUPING_OPTIONS, ignorePatterns: ["example.com", "*.ads.net", "github.com/private/*"] };
+
+        it("excludes pinned tabs, browser pages and ignored URLs", () => {
+            expect(isTabGroupable({ url: "https://github.com/a" }, options)).to.equal(true);
+            expect(isTabGroupable({ url: "https://github.com/a", pinned: true }, options)).to.equal(false);
+            expect(isTabGroupable({ url: "chrome://settings" }, options)).to.equal(false);
+            expect(isTabGroupable({ url: "https://shop.example.com/" }, options)).to.equal(false);
+            expect(isTabGroupable({ url: "https://x.ads.net/" }, options)).to.equal(false);
+            expect(isTabGroupable({ url: "https://github.com/private/repo" }, options)).to.equal(false);
+        });
+
+        it("uses a rule's own minimum size for its groups", () => {
+            const rules = [rule("domain", "github.com", "GH", { minGroupSize: 4 })];
+            expect(getMinGroupSize("GH", rules, options)).to.equal(4);
+            expect(getMinGroupSize("GH: docs", rules, options)).to.equal(4);
+            expect(getMinGroupSize("bbc", rules, options)).to.equal(2);
+            expect(getUngroupThreshold("GH", rules, { ...options, ungroupBelow: 3 })).to.equal(4);
+            expect(getUngroupThreshold("bbc", rules, { ...options, ungroupBelow: 3 })).to.equal(3);
+        });
+
+        it("caps a group from its rule, else the global cap, and numbered overflow groups share it", () => {
+            const rules = [rule("domain", "github.com", "GH", { maxTabs: 5 })];
+            expect(getMaxGroupTabs("GH", rules, options)).to.equal(5);
+            expect(getMaxGroupTabs("GH 2", rules, options)).to.equal(5);
+            expect(getMaxGroupTabs("bbc", rules, options)).to.equal(0);
+            expect(getMaxGroupTabs("bbc", rules, { ...options, maxGroupTabs: 8 })).to.equal(8);
+            expect(validateRules([{ type: "domain", pattern: "x.com", groupName: "X", maxTabs: 0 }]).errors)
+                .to.deep.equal(["groupRules[0] (x.com): maxTabs must be a positive whole number"]);
+        });
+
+        it("gives a mapped name ending in a number its own cap rather than that of the name without it", () => {
+            const rules = [
+                rule("domain", "microsoft.com", "Windows", { maxTabs: 5 }),
+                rule("domain", "windows.com", "Windows 11", { maxTabs: 3 }),
+                rule("domain", "slack.com", "Team 2")
+            ];
+            expect(getMaxGroupTabs("Windows 11", rules, options)).to.equal(3);
+            expect(getMaxGroupTabs("Windows 11 2", rules, options)).to.equal(3);
+            expect(getMaxGroupTabs("Windows 2", rules, options)).to.equal(5);
+            expect(getMaxGroupTabs("Team 2", [...rules, rule("domain", "teams.com", "Team", { maxTabs: 4 })], options)).to.equal(0);
+        });
+
+        it("takes a group's sort priority from the first rule naming it", () => {
+            const rules = [rule("domain", "github.com", "GH"), rule("path", "github.com/org/*", "GH", { priority: 3 })];
+            expect(getGroupPriority("GH", rules)).to.equal(3);
+            expect(getGroupPriority("GH: docs", rules)).to.equal(3);
+            expect(getGroupPriority("bbc", rules)).to.equal(null);
+        });
+    });
+});
@@ -0,0 +1,145 @@
+import { expect } from "chai";
+import { groupTabsByDomain, removeEmptyGroups } from "../src/grouping.js";
+import {
+    STATS_RETENTION_DAYS, clearStats, getChartBars, getStats, recordGroupsCreated, recordTabsOpened, summarizeStats,
+    suggestMappings, trackActiveTab, updateActiveTab
+} from "../src/stats.js";
+import { StorageManager } from "../src/storage.js";
+import { installChromeFake } from "./fakes/setup.js";
+
+describe("usage statistics", () => {
+    let fake;
+    let chrome;
+
+    const minute = 60 * 1000;
+    const day = 24 * 60 * minute;
+    // Noon on a Monday, for tests that pass their own times
+    const now = new Date("2026-10-19T12:00:00").getTime();
+
+    beforeEach(() => {
+        fake = installChromeFake({ windows: [{ id: 1 }, { id: 2 }] });
+        chrome = fake.chrome;
+    });
+
+    it("counts groups created, mapping hits and tabs opened in their group, once per site a tab visits", async () => {
+        await StorageManager.set("groupRules", [{ id: "r1", type: "domain", pattern: "github.com", groupName: "Code" }]);
+        const tabs = await fake.openTabs(1, ["https://github.com/a", "https://github.com/b", "chrome://newtab/"]);
+        await groupTabsByDomain(1);
+
+        await recordTabsOpened(await chrome.tabs.query({ windowId: 1 }));
+        await chrome.tabs.update(tabs[0].id, { url: "https://github.com/c" });
+        await recordTabsOpened([await chrome.tabs.get(tabs[0].id)]);
+
+        const { groups, domains, ruleHits } = summarizeStats(await getStats(), 1);
+        expect(groups).to.deep.equal([{ name: "Code", tabsOpened: 2, activeMs: 0, created: 1, dissolved: 0 }]);
+        expect(domains.map(domain => domain.name)).to.deep.equal(["github.com"]);
+        expect(ruleHits).to.deep.equal({ r1: 2 });
+    });
+
+    it("counts groups dissolved for having too few tabs", async () => {
+        const tabs = await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+        await groupTabsByDomain(1);
+        await chrome.tabs.remove(tabs[0].id);
+
+        await removeEmptyGroups(1);
+
+        const [github] = summarizeStats(await getStats(), 1).groups;
+        expect(github).to.include({ name: "github", created: 1, dissolved: 1 });
+    });
+
+    it("times the focused tab toward its site and group, capping time away and stopping without focus", async () => {
+        const [tab, other] = await fake.openTabs(1, ["https://github.com/a", "https://bbc.co.uk/"]);
+        const groupId = await chrome.tabs.group({ tabIds: [tab.id] });
+        await chrome.tabGroups.update(groupId, { title: "Reading" });
+
+        await trackActiveTab(await chrome.tabs.get(tab.id), now);
+        await trackActiveTab(await chrome.tabs.get(other.id), now + 5 * minute);
+        await trackActiveTab(null, now + 5 * minute + 4 * 60 * minute);
+        await trackActiveTab(null, now + 10 * 60 * minute);
+
+        const { groups, domains } = summarizeStats(await getStats(), 1, now);
+        expect(domains.map(({ name, activeMs }) => [name, activeMs])).to.deep.equal([
+            ["bbc.co.uk", 30 * minute],
+            ["github.com", 5 * minute]
+        ]);
+        expect(groups.map(({ name, activeMs }) => [name, activeMs])).to.deep.equal([["Reading", 5 * minute]]);
+    });
+
+    it("restarts timing when the focused tab changes site, leaving other tabs alone", async () => {
+        const [tab, other] = await fake.openTabs(1, ["https://github.com/a", "https://bbc.co.uk/"]);
+        await trackActiveTab(await chrome.tabs.get(tab.id), now);
+
+        await updateActiveTab(await chrome.tabs.get(other.id), now + minute);
+        await chrome.tabs.update(tab.id, { url: "https://gitlab.com/" });
+        await updateActiveTab(await chrome.tabs.get(tab.id), now + 2 * minute);
+        await trackActiveTab(null, now + 3 * minute);
+
+        const { domains } = summarizeStats(await getStats(), 1, now);
+        expect(domains.map(({ name, activeMs }) => [name, activeMs])).to.deep.equal([
+            ["github.com", 2 * minute],
+            ["gitlab.com", minute]
+        ]);
+    });
+
+    describe("suggestMappings", () => {
+        // Open the sites in a window, a minute apart, on a given day
+        const openTogether = async (urls, time) => {
+            const tabs = await fake.openTabs(1, urls);
+            for (const [index, tab] of tabs.entries()) {
+                await recordTabsOpened([tab], time + index * minute);
+            }
+        };
+
+        it("suggests unmapped sites often opened together, named after the busiest", async () => {
+            await openTogether(["https://jira.com/", "https://confluence.com/", "https://jira.com/"], now - 2 * day);
+            await openTogether(["https://jira.com/", "https://confluence.com/"], now - day);
+            await openTogether(["https://confluence.com/", "https://jira.com/"], now);
+
+            const stats = await getStats();
+            expect(suggestMappings(stats, [])).to.deep.equal([
+                { domains: ["confluence.com", "jira.com"], groupName: "jira", count: 4 }
+            ]);
+            expect(suggestMappings(stats, [{ id: "r1", type: "domain", pattern: "jira.com", groupName: "Work" }]))
+                .to.deep.equal([]);
+        });
+
+        it("ignores sites opened far apart or in different windows", async () => {
+            for (const offset of [0, day, 2 * day]) {
+                const [first] = await fake.openTabs(1, ["https://jira.com/"]);
+                const [second] = await fake.openTabs(2, ["https://confluence.com/"]);
+                const [third] = await fake.openTabs(1, ["https://confluence.com/"]);
+                await recordTabsOpened([first, second], now - offset);
+                await recordTabsOpened([third], now - offset + 20 * minute);
+            }
+
+            expect(suggestMappings(await getStats(), [])).to.deep.equal([]);
+        });
+    });
+
+    it("adds days up into daily and weekly bars, oldest first", async () => {
+        for (const offset of [0, 1, 7]) {
+            const [tab] = await fake.openTabs(1, [`https://site${offset}.com/`]);
+            await recordTabsOpened([tab], now - offset * day);
+        }
+        const stats = await getStats();
+
+        const daily = getChartBars(stats, "daily", 3, now);
+        const weekly = getChartBars(stats, "weekly", 2, now);
+
+        expect(daily.map(bar => bar.tabsOpened)).to.deep.equal([0, 1, 1]);
+        expect(daily[2].day).to.equal("2026-10-19");
+        expect(weekly.map(bar => [bar.day, bar.tabsOpened])).to.deep.equal([["2026-10-06", 1], ["2026-10-13", 2]]);
+    });
+
+    it("drops days past the retention period and clears everything on request", async () => {
+        await recordGroupsCreated(["Old"], now - STATS_RETENTION_DAYS * day);
+        await recordGroupsCreated(["Recent"], now - day);
+        await recordGroupsCreated(["Today"], now);
+
+        const groups = summarizeStats(await getStats(), STATS_RETENTION_DAYS + 1, now).groups.map(group => group.name);
+        expect(groups).to.have.members(["Recent", "Today"]);
+
+        await clearStats();
+        expect(await getStats()).to.deep.equal({ days: {} });
+    });
+});
@@ -0,0 +1,116 @@
+import { expect } from "chai";
+import { STORAGE_SCHEMA_VERSION, migrateStorage } from "../src/migrations.js";
+import {
+    SYNC_FALLBACK_KEY, SYNC_QUOTA_BYTES_PER_ITEM, StorageManager, getSyncFallbackKeys, itemBytes
+} from "../src/storage.js";
+import { installChromeFake } from "./fakes/setup.js";
+
+// Rules with long patterns, so a few hundred of them are well past one sync item
+const makeRules = count => Array.from({ length: count }, (_, index) => ({
+    id: `rule${index}`, type: "path", pattern: `example.com/some/long/path/number/${index}/*`, groupName: `Group ${index}`
+}));
+
+describe("storage", () => {
+    let fake;
+
+    beforeEach(() => {
+        fake = installChromeFake();
+    });
+
+    // Keep the fallback warning out of the test output
+    let originalWarn;
+    beforeEach(() => {
+        originalWarn = console.warn;
+        console.warn = () => {};
+    });
+    afterEach(() => {
+        console.warn = originalWarn;
+    });
+
+    it("stores small values as a single sync item", async () => {
+        await StorageManager.set("groupColors", { Code: "blue" });
+
+        expect(fake.chrome.storage.sync.dump()).to.deep.equal({ groupColors: { Code: "blue" } });
+        expect(await StorageManager.get("groupColors")).to.deep.equal({ Code: "blue" });
+    });
+
+    it("shards large arrays and maps across items that each fit the per-item quota", async () => {
+        const rules = makeRules(300);
+        const colors = Object.fromEntries(rules.map(rule => [rule.groupName, "blue"]));
+
+        await StorageManager.setMany({ groupRules: rules, groupColors: colors });
+
+        const synced = fake.chrome.storage.sync.dump();
+        expect(synced.groupRules.__shards).to.be.above(1);
+        expect(Object.entries(synced).every(([key, value]) => itemBytes(key, value) <= SYNC_QUOTA_BYTES_PER_ITEM)).to.equal(true);
+        expect(await StorageManager.get("groupRules")).to.deep.equal(rules);
+        expect(await StorageManager.get("groupColors")).to.deep.equal(colors);
+    });
+
+    it("drops leftover shards when a value shrinks", async () => {
+        await StorageManager.set("groupRules", makeRules(300));
+        await StorageManager.set("groupRules", makeRules(2));
+
+        expect(Object.keys(fake.chrome.storage.sync.dump())).to.deep.equal(["groupRules"]);
+        expect(await StorageManager.get("groupRules")).to.deep.equal(makeRules(2));
+    });
+
+    it("falls back to local storage when sync is full, and moves back once the value fits", async () => {
+        const rules = makeRules(1500);
+
+        await StorageManager.set("groupRules", rules);
+
+        expect(await getSyncFallbackKeys()).to.deep.equal(["groupRules"]);
+        expect(fake.chrome.storage.sync.dump()).to.deep.equal({});
+        expect(await StorageManager.get("groupRules")).to.deep.equal(rules);
+
+        await StorageManager.set("groupRules", makeRules(3));
+
+        expect(await getSyncFallbackKeys()).to.deep.equal([]);
+        expect(fake.chrome.storage.local.dump()).to.deep.equal({});
+        expect(await StorageManager.get("groupRules")).to.deep.equal(makeRules(3));
+    });
+
+    it("reports changes once per key, wherever the value is stored", async () => {
+        const reported = [];
+        StorageManager.onChanged(changes => reported.push(...Object.keys(changes)));
+
+        await StorageManager.set("groupRules", makeRules(300));
+        await StorageManager.set("groupColors", Object.fromEntries(makeRules(6000).map(rule => [rule.groupName, "red"])));
+
+        expect([...new Set(reported)].sort()).to.deep.equal(["groupColors", "groupRules", SYNC_FALLBACK_KEY]);
+    });
+
+    describe("migrateStorage", () => {
+        it("converts legacy mappings into rules and records the schema version", async () => {
+            await fake.chrome.storage.sync.set({
+                groupMappings: { "github.com": "Code", "docs.github.com": "Docs" },
+                groupingModes: { "github.com": "subdomain" }
+            });
+
+            await migrateStorage();
+
+            const rules = await StorageManager.get("groupRules");
+            expect(rules.map(rule => [rule.pattern, rule.groupName, rule.groupBy])).to.deep.equal([
+                ["docs.github.com", "Docs", "domain"],
+                ["github.com", "Code", "subdomain"]
+            ]);
+            expect(await StorageManager.get("schemaVersion")).to.equal(STORAGE_SCHEMA_VERSION);
+            expect(await StorageManager.get("groupMappings", null)).to.equal(null);
+        });
+
+        it("reshards mappings stored whole by earlier versions, and runs only once", async () => {
+            const rules = makeRules(70);
+            await fake.chrome.storage.sync.set({ groupRules: rules, schemaVersion: 1 });
+            expect(itemBytes("groupRules", rules)).to.be.above(7000);
+
+            await migrateStorage();
+            expect(fake.chrome.storage.sync.dump().groupRules.__shards).to.equal(2);
+
+            fake.calls.length = 0;
+            const before = fake.chrome.storage.sync.dump();
+            await migrateStorage();
+            expect(fake.chrome.storage.sync.dump()).to.deep.equal(before);
+        });
+    });
+});
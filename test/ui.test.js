@@ -0,0 +1,28 @@
+import { expect } from "chai";
+import { buildMappingsExport, parseMappingsImport, planMappingsImport } from "../src/ui.js";
+
+describe("ui", () => {
+    describe("mappings export and import", () => {
+        const githubRule = { id: "r1", type: "domain", pattern: "github.com", groupName: "Code" };
+        const roundTrip = rules => parseMappingsImport(JSON.stringify(buildMappingsExport(rules, {})));
+
+        it("keeps a mapping that gives the opener precedence through an export and a replacing import", () => {
+            const imported = roundTrip([{ ...githubRule, precedence: "opener" }]);
+            expect(imported.errors).to.deep.equal([]);
+
+            const { rules, diff } = planMappingsImport({ rules: [githubRule], colors: {} }, imported, "replace");
+
+            expect(rules).to.deep.equal([{ ...githubRule, groupBy: "domain", precedence: "opener" }]);
+            expect(diff).to.deep.equal([{ kind: "changed", text: "github.com: Code -> Code" }]);
+        });
+
+        it("clears the opener's precedence when a merging import leaves it out", () => {
+            const imported = roundTrip([githubRule]);
+
+            const { rules, diff } = planMappingsImport({ rules: [{ ...githubRule, precedence: "opener" }], colors: {} }, imported, "merge");
+
+            expect(rules).to.deep.equal([{ ...githubRule, groupBy: "domain" }]);
+            expect(diff).to.have.lengthOf(1);
+        });
+    });
+});
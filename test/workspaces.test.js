@@ -0,0 +1,150 @@
+import { expect } from "chai";
+import { groupTabsByDomain, ungroupMisplacedTabs, updateExistingGroups } from "../src/grouping.js";
+import { StorageManager } from "../src/storage.js";
+import {
+    activateWorkspace, applyAutomaticWorkspace, createWorkspace, deleteWorkspace, endWorkspaceSwitch, getActiveWorkspaceId,
+    getWorkspaces, isScheduleActive, isWorkspaceSwitchPending, setWindowWorkspace, updateWorkspace
+} from "../src/workspaces.js";
+import { installChromeFake } from "./fakes/setup.js";
+
+describe("workspaces", () => {
+    let fake;
+
+    beforeEach(() => {
+        fake = installChromeFake({ windows: [{ id: 1 }, { id: 2 }] });
+    });
+
+    const workRules = [{ id: "r1", type: "domain", pattern: "github.com", groupName: "Code" }];
+
+    // A Monday and a Saturday, at the given local time
+    const monday = time => new Date(`2026-10-19T${time}:00`);
+    const saturday = time => new Date(`2026-10-24T${time}:00`);
+
+    it("keeps the current settings in the first workspace and starts later ones as copies", async () => {
+        await StorageManager.setMany({ groupRules: workRules, groupingOptions: { minGroupSize: 3 } });
+
+        const work = await createWorkspace("Work");
+        const personal = await createWorkspace(" Personal ");
+
+        expect(await getActiveWorkspaceId()).to.equal(work.id);
+        expect((await getWorkspaces()).map(workspace => workspace.name)).to.deep.equal(["Work", "Personal"]);
+        expect(await StorageManager.get(`workspace:${personal.id}:groupRules`)).to.deep.equal(workRules);
+    });
+
+    it("rejects empty and duplicate names", async () => {
+        await createWorkspace("Work");
+
+        for (const name of ["", "work"]) {
+            let message = null;
+            try {
+                await createWorkspace(name);
+            } catch (error) {
+                message = error.message;
+            }
+            expect(message).to.be.a("string");
+        }
+        expect(await getWorkspaces()).to.have.length(1);
+    });
+
+    it("rejects schedules without any days", async () => {
+        const work = await createWorkspace("Work");
+
+        let message = null;
+        try {
+            await updateWorkspace(work.id, { schedule: { days: [], start: "09:00", end: "17:00" } });
+        } catch (error) {
+            message = error.message;
+        }
+
+        expect(message).to.equal("Pick the days the schedule runs on");
+    });
+
+    it("swaps the whole mapping set on switching, so regrouping uses the new one", async () => {
+        await StorageManager.setMany({ groupRules: workRules, groupColors: { Code: "blue" } });
+        const work = await createWorkspace("Work");
+        const personal = await createWorkspace("Personal");
+        await fake.openTabs(1, ["https://github.com/a", "https://github.com/b"]);
+
+        await activateWorkspace(personal.id);
+        await StorageManager.set("groupRules", [{ id: "r2", type: "domain", pattern: "github.com", groupName: "Hobby" }]);
+        await groupTabsByDomain(1);
+        expect(fake.groupTitles(1)).to.deep.equal(["Hobby"]);
+
+        await activateWorkspace(work.id);
+        await updateExistingGroups();
+        await ungroupMisplacedTabs();
+        await groupTabsByDomain(1);
+
+        expect(fake.groupTitles(1)).to.deep.equal(["Code"]);
+        expect(await StorageManager.get("groupColors")).to.deep.equal({ Code: "blue" });
+        expect((await StorageManager.get(`workspace:${personal.id}:groupRules`))[0].groupName).to.equal("Hobby");
+    });
+
+    it("keeps a switch pending until its activeWorkspaceId change is handled, and not for no-op switches", async () => {
+        await createWorkspace("Work");
+        const personal = await createWorkspace("Personal");
+
+        await activateWorkspace(personal.id);
+        expect(isWorkspaceSwitchPending()).to.equal(true);
+
+        endWorkspaceSwitch();
+        await activateWorkspace(personal.id);
+        expect(isWorkspaceSwitchPending()).to.equal(false);
+    });
+
+    it("switches to the next workspace before deleting the active one", async () => {
+        await StorageManager.set("groupRules", workRules);
+        const work = await createWorkspace("Work");
+        const personal = await createWorkspace("Personal");
+        await StorageManager.set(`workspace:${personal.id}:groupRules`, []);
+
+        await deleteWorkspace(work.id);
+
+        expect(await getActiveWorkspaceId()).to.equal(personal.id);
+        expect(await StorageManager.get("groupRules", [])).to.deep.equal([]);
+        expect(await StorageManager.get(`workspace:${work.id}:groupRules`, null)).to.equal(null);
+    });
+
+    describe("isScheduleActive", () => {
+        const workHours = { days: [1, 2, 3, 4, 5], start: "09:00", end: "17:00" };
+        const evenings = { days: [1, 2, 3, 4, 5], start: "18:00", end: "02:00" };
+
+        it("covers the schedule's days and hours", () => {
+            expect(isScheduleActive(workHours, monday("10:30"))).to.equal(true);
+            expect(isScheduleActive(workHours, monday("17:00"))).to.equal(false);
+            expect(isScheduleActive(workHours, saturday("10:30"))).to.equal(false);
+        });
+
+        it("runs schedules ending before they start into the next day", () => {
+            expect(isScheduleActive(evenings, monday("23:00"))).to.equal(true);
+            expect(isScheduleActive(evenings, saturday("01:00"))).to.equal(true);
+            expect(isScheduleActive(evenings, saturday("03:00"))).to.equal(false);
+        });
+    });
+
+    describe("applyAutomaticWorkspace", () => {
+        it("switches when a schedule starts, then lets a manual pick hold until it ends", async () => {
+            const personal = await createWorkspace("Personal");
+            const work = await createWorkspace("Work", { days: [1, 2, 3, 4, 5], start: "09:00", end: "17:00" });
+
+            expect(await applyAutomaticWorkspace(1, monday("09:01"))).to.equal(true);
+            expect(await getActiveWorkspaceId()).to.equal(work.id);
+
+            await activateWorkspace(personal.id);
+            expect(await applyAutomaticWorkspace(1, monday("09:02"))).to.equal(false);
+            expect(await getActiveWorkspaceId()).to.equal(personal.id);
+        });
+
+        it("prefers the workspace a window is tied to over the schedule", async () => {
+            const personal = await createWorkspace("Personal");
+            const work = await createWorkspace("Work", { days: [1, 2, 3, 4, 5], start: "09:00", end: "17:00" });
+            await setWindowWorkspace(2, personal.id);
+
+            await applyAutomaticWorkspace(1, monday("10:00"));
+            expect(await getActiveWorkspaceId()).to.equal(work.id);
+
+            await applyAutomaticWorkspace(2, monday("10:01"));
+            expect(await getActiveWorkspaceId()).to.equal(personal.id);
+        });
+    });
+});